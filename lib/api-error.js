@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+
+/**
+ * API Error for Helios Demo Backend
+ *
+ * Error carrying the HTTP status a route should answer with, plus optional
+ * structured details for the response body.
+ */
+
+class ApiError extends Error {
+    constructor(status, message, details = undefined) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+module.exports = ApiError;
@@ -0,0 +1,349 @@
+#!/usr/bin/env node
+
+/**
+ * API Key Authentication for Helios Demo Backend
+ *
+ * Keys come from the HELIOS_API_KEYS environment variable and/or a JSON key
+ * file. Every key carries scopes; `admin` implies `write`, which implies
+ * `read`. The same lookup backs the Express middleware and the Socket.IO
+ * handshake, and the resolved key id names the caller's rate-limit bucket.
+ * Keys are bound to a namespace; only admin keys may act in another one.
+ * Invalid keys are counted per client IP; an IP that keeps presenting them
+ * gets 429s until its window ends, so keys cannot be guessed at full speed.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const ApiError = require('./api-error');
+const { DEFAULT_NAMESPACE, NAMESPACE_PATTERN } = require('./real-helios/namespace-quotas');
+
+const SCOPES = ['read', 'write', 'admin'];
+const AUTHOR_PATTERN = /^\P{Cc}{1,128}$/u;
+
+const MAX_TRACKED_CLIENTS = 10000;
+
+/**
+ * Fixed-window count of failed authentication attempts per client IP
+ */
+class AuthFailureLimiter {
+    constructor(options = {}) {
+        this.limit = options.limit || 20;
+        this.windowMs = options.windowMs || 15 * 60 * 1000;
+        this.clients = new Map(); // ip -> { failures, resetAt }
+    }
+
+    entry(ip, now = Date.now()) {
+        const entry = this.clients.get(ip);
+        if (entry && entry.resetAt <= now) {
+            this.clients.delete(ip);
+            return null;
+        }
+        return entry || null;
+    }
+
+    /**
+     * Seconds until `ip` may try again, or 0 when it is not blocked
+     */
+    retryAfter(ip, now = Date.now()) {
+        const entry = this.entry(ip, now);
+        return entry && entry.failures >= this.limit ? Math.ceil((entry.resetAt - now) / 1000) : 0;
+    }
+
+    recordFailure(ip, now = Date.now()) {
+        const entry = this.entry(ip, now);
+        if (entry) {
+            entry.failures++;
+            return;
+        }
+
+        if (this.clients.size >= MAX_TRACKED_CLIENTS) {
+            for (const [trackedIp, tracked] of this.clients) {
+                if (tracked.resetAt <= now) this.clients.delete(trackedIp);
+            }
+            // Still full: forget the oldest window
+            if (this.clients.size >= MAX_TRACKED_CLIENTS) {
+                this.clients.delete(this.clients.keys().next().value);
+            }
+        }
+        this.clients.set(ip, { failures: 1, resetAt: now + this.windowMs });
+    }
+}
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Parse `id:key:scope+scope[:namespace],...` from an environment variable
+ */
+function parseKeyList(value) {
+    return value.split(',').map(entry => entry.trim()).filter(Boolean).map((entry) => {
+        const [id, key, scopes = 'read', namespace] = entry.split(':');
+        if (!id || !key) {
+            throw new Error(`Invalid API key entry "${id || entry}"; expected id:key:scopes[:namespace]`);
+        }
+        return { id, key, scopes: scopes.split('+'), namespace };
+    });
+}
+
+/**
+ * Highest scope a key holds, as an index into SCOPES
+ */
+function scopeLevel(scopes) {
+    return Math.max(-1, ...scopes.map(scope => SCOPES.indexOf(scope)));
+}
+
+class ApiKeyStore {
+    constructor(options = {}) {
+        this.enabled = options.enabled !== false;
+        this.defaultRateLimit = options.defaultRateLimit || 1000;
+        this.keys = new Map(); // sha256(key) -> { id, scopes, namespace, rateLimit }
+
+        if (options.keys) {
+            parseKeyList(options.keys).forEach(entry => this.add(entry));
+        }
+        if (options.keyFile && fs.existsSync(options.keyFile)) {
+            this.loadFile(options.keyFile);
+        }
+    }
+
+    /**
+     * Key file: { "keys": [{ "id", "key" | "sha256", "scopes": [], "namespace", "rateLimit" }] }
+     */
+    loadFile(keyFile) {
+        const data = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+        for (const entry of data.keys || []) {
+            this.add(entry);
+        }
+        console.log(`🔑 Loaded ${(data.keys || []).length} API key(s) from ${keyFile}`);
+    }
+
+    add({ id, key, sha256, scopes = ['read'], namespace = DEFAULT_NAMESPACE, rateLimit }) {
+        const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+        if (!id || !(key || sha256) || unknown.length > 0) {
+            throw new Error(`Invalid API key "${id}": ${unknown.length > 0 ? `unknown scope ${unknown[0]}` : 'missing id or key'}`);
+        }
+        if (!NAMESPACE_PATTERN.test(namespace)) {
+            throw new Error(`Invalid API key "${id}": invalid namespace ${namespace}`);
+        }
+        this.keys.set(sha256 || hashKey(key), {
+            id,
+            scopes,
+            namespace,
+            rateLimit: rateLimit || this.defaultRateLimit
+        });
+    }
+
+    get size() {
+        return this.keys.size;
+    }
+
+    /**
+     * Resolve a presented key to its record, or null
+     */
+    lookup(key) {
+        if (typeof key !== 'string' || key.length === 0) {
+            return null;
+        }
+        return this.keys.get(hashKey(key)) || null;
+    }
+
+    /**
+     * Identity used when authentication is disabled
+     */
+    anonymous() {
+        return {
+            id: 'anonymous',
+            scopes: ['admin'],
+            namespace: DEFAULT_NAMESPACE,
+            rateLimit: this.defaultRateLimit,
+            anonymous: true
+        };
+    }
+
+    static hasScope(record, scope) {
+        return Boolean(record) && scopeLevel(record.scopes) >= SCOPES.indexOf(scope);
+    }
+}
+
+/**
+ * Key presented in `X-API-Key` or `Authorization: Bearer <key>`
+ */
+function extractKey(headers = {}) {
+    if (headers['x-api-key']) {
+        return headers['x-api-key'];
+    }
+    const match = /^Bearer\s+(.+)$/i.exec(headers.authorization || '');
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * Namespace a key acts in: its own, or for admin keys any requested one
+ */
+function resolveNamespace(record, requested) {
+    const own = (record && record.namespace) || DEFAULT_NAMESPACE;
+    if (!requested || requested === own) {
+        return own;
+    }
+    if (!NAMESPACE_PATTERN.test(requested)) {
+        throw new ApiError(400, `Invalid namespace: ${requested}`);
+    }
+    if (!ApiKeyStore.hasScope(record, 'admin')) {
+        throw new ApiError(403, `API key ${record ? record.id : '(none)'} cannot access namespace ${requested}`);
+    }
+    return requested;
+}
+
+/**
+ * Author recorded on commits: the requested name, or the key id when none is given
+ */
+function resolveAuthor(record, requested) {
+    if (requested === undefined || requested === null || requested === '') {
+        return record ? record.id : null;
+    }
+    const author = String(requested).trim();
+    if (!AUTHOR_PATTERN.test(author)) {
+        throw new ApiError(400, 'Invalid author: use 1-128 printable characters');
+    }
+    return author;
+}
+
+/**
+ * Express middleware resolving the caller's key onto `req.apiKey`.
+ * A key that is presented but unknown is rejected here and counted against
+ * the client IP in `failures`; missing keys are left to `requireScope` so
+ * public routes stay reachable.
+ */
+function authenticate(store, failures = new AuthFailureLimiter()) {
+    return (req, res, next) => {
+        if (!store.enabled) {
+            req.apiKey = store.anonymous();
+            return next();
+        }
+
+        const key = extractKey(req.headers);
+        if (key === null) {
+            return next();
+        }
+
+        const retryAfter = failures.retryAfter(req.ip);
+        if (retryAfter > 0) {
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                success: false,
+                error: 'Too many invalid API keys from this IP, please try again later.',
+                requestId: req.requestId
+            });
+        }
+
+        req.apiKey = store.lookup(key);
+        if (!req.apiKey) {
+            failures.recordFailure(req.ip);
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid API key',
+                requestId: req.requestId
+            });
+        }
+        next();
+    };
+}
+
+/**
+ * Express middleware setting `req.namespace` from the key and the
+ * optional `X-Helios-Namespace` header
+ */
+function selectNamespace() {
+    return (req, res, next) => {
+        try {
+            req.namespace = resolveNamespace(req.apiKey, req.get('X-Helios-Namespace'));
+            next();
+        } catch (error) {
+            res.status(error.status).json({
+                success: false,
+                error: error.message,
+                requestId: req.requestId
+            });
+        }
+    };
+}
+
+/**
+ * Express middleware requiring `scope` on the authenticated key
+ */
+function requireScope(scope) {
+    return (req, res, next) => {
+        if (!req.apiKey) {
+            return res.status(401).json({
+                success: false,
+                error: 'API key required',
+                requestId: req.requestId
+            });
+        }
+        if (!ApiKeyStore.hasScope(req.apiKey, scope)) {
+            return res.status(403).json({
+                success: false,
+                error: `API key ${req.apiKey.id} lacks the ${scope} scope`,
+                requestId: req.requestId
+            });
+        }
+        next();
+    };
+}
+
+/**
+ * Socket.IO middleware authenticating the handshake with `auth.apiKey` or
+ * the same headers as REST; sets `socket.data.apiKey`,
+ * `socket.data.namespace` (admins may pass `auth.namespace`) and
+ * `socket.data.author` (`auth.author`, defaulting to the key id)
+ */
+function authenticateSocket(store, scope = 'read', failures = new AuthFailureLimiter()) {
+    return (socket, next) => {
+        const auth = socket.handshake.auth || {};
+        const ip = socket.handshake.address;
+        const key = auth.apiKey || extractKey(socket.handshake.headers);
+
+        if (store.enabled && key && failures.retryAfter(ip) > 0) {
+            const error = new Error('Too Many Requests');
+            error.data = { error: 'Too many invalid API keys from this IP, please try again later.' };
+            return next(error);
+        }
+
+        const record = store.enabled ? store.lookup(key) : store.anonymous();
+        if (!record && key) {
+            failures.recordFailure(ip);
+        }
+
+        if (!record || !ApiKeyStore.hasScope(record, scope)) {
+            const error = new Error(record ? 'Forbidden' : 'Unauthorized');
+            error.data = { error: record ? `API key ${record.id} lacks the ${scope} scope` : 'Valid API key required' };
+            return next(error);
+        }
+
+        try {
+            socket.data.namespace = resolveNamespace(record, auth.namespace || socket.handshake.headers['x-helios-namespace']);
+            socket.data.author = resolveAuthor(record, auth.author || socket.handshake.headers['x-helios-author']);
+        } catch (apiError) {
+            const error = new Error('Forbidden');
+            error.data = { error: apiError.message };
+            return next(error);
+        }
+
+        socket.data.apiKey = record;
+        next();
+    };
+}
+
+module.exports = {
+    SCOPES,
+    ApiKeyStore,
+    AuthFailureLimiter,
+    hashKey,
+    extractKey,
+    authenticate,
+    resolveNamespace,
+    resolveAuthor,
+    selectNamespace,
+    requireScope,
+    authenticateSocket
+};
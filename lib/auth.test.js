@@ -0,0 +1,118 @@
+const express = require('express');
+const request = require('supertest');
+const {
+    ApiKeyStore,
+    AuthFailureLimiter,
+    authenticate,
+    requireScope,
+    resolveNamespace,
+    authenticateSocket
+} = require('./auth');
+
+const KEYS = 'reader:r-key:read,writer:w-key:write:team-a,admin:a-key:admin';
+
+describe('ApiKeyStore', () => {
+    const store = new ApiKeyStore({ keys: KEYS });
+
+    test('resolves keys to their records without storing them in clear', () => {
+        expect(store.lookup('w-key')).toMatchObject({ id: 'writer', scopes: ['write'], namespace: 'team-a' });
+        expect(store.lookup('nope')).toBeNull();
+        expect(store.lookup('')).toBeNull();
+        expect(Array.from(store.keys.keys())).not.toContain('w-key');
+    });
+
+    test('admin implies write, which implies read', () => {
+        const reader = store.lookup('r-key');
+        const writer = store.lookup('w-key');
+        const admin = store.lookup('a-key');
+
+        expect(['read', 'write', 'admin'].map(scope => ApiKeyStore.hasScope(reader, scope))).toEqual([true, false, false]);
+        expect(['read', 'write', 'admin'].map(scope => ApiKeyStore.hasScope(writer, scope))).toEqual([true, true, false]);
+        expect(['read', 'write', 'admin'].map(scope => ApiKeyStore.hasScope(admin, scope))).toEqual([true, true, true]);
+        expect(ApiKeyStore.hasScope(null, 'read')).toBe(false);
+    });
+
+    test('rejects unknown scopes and bad namespaces', () => {
+        expect(() => new ApiKeyStore({ keys: 'x:key:root' })).toThrow('unknown scope root');
+        expect(() => new ApiKeyStore({ keys: 'x:key:read:Bad_NS' })).toThrow('invalid namespace');
+        expect(() => new ApiKeyStore({ keys: 'x' })).toThrow('expected id:key:scopes');
+    });
+
+    test('only admin keys may act in another namespace', () => {
+        const store = new ApiKeyStore({ keys: KEYS });
+        expect(resolveNamespace(store.lookup('w-key'), undefined)).toBe('team-a');
+        expect(resolveNamespace(store.lookup('a-key'), 'team-b')).toBe('team-b');
+        expect(() => resolveNamespace(store.lookup('w-key'), 'team-b')).toThrow(expect.objectContaining({ status: 403 }));
+    });
+});
+
+describe('AuthFailureLimiter', () => {
+    test('blocks an IP once it reaches the limit until its window ends', () => {
+        const limiter = new AuthFailureLimiter({ limit: 2, windowMs: 1000 });
+        limiter.recordFailure('10.0.0.1', 0);
+        expect(limiter.retryAfter('10.0.0.1', 10)).toBe(0);
+        limiter.recordFailure('10.0.0.1', 10);
+
+        expect(limiter.retryAfter('10.0.0.1', 500)).toBe(1);
+        expect(limiter.retryAfter('10.0.0.2', 500)).toBe(0);
+        expect(limiter.retryAfter('10.0.0.1', 1000)).toBe(0);
+    });
+});
+
+describe('authenticate', () => {
+    const createApp = (failures) => {
+        const app = express();
+        app.use(authenticate(new ApiKeyStore({ keys: KEYS }), failures));
+        app.get('/read', requireScope('read'), (req, res) => res.json({ id: req.apiKey.id }));
+        app.post('/write', requireScope('write'), (req, res) => res.json({ id: req.apiKey.id }));
+        return app;
+    };
+
+    test('checks scopes per route', async () => {
+        const app = createApp();
+
+        await request(app).get('/read').expect(401);
+        await request(app).get('/read').set('X-API-Key', 'r-key').expect(200, { id: 'reader' });
+        await request(app).post('/write').set('X-API-Key', 'r-key').expect(403);
+        await request(app).post('/write').set('Authorization', 'Bearer w-key').expect(200, { id: 'writer' });
+        await request(app).get('/read').set('X-API-Key', 'wrong').expect(401);
+    });
+
+    test('answers 429 once an IP has presented too many invalid keys', async () => {
+        const app = createApp(new AuthFailureLimiter({ limit: 3 }));
+
+        for (let attempt = 0; attempt < 3; attempt++) {
+            await request(app).get('/read').set('X-API-Key', `guess-${attempt}`).expect(401);
+        }
+        const blocked = await request(app).get('/read').set('X-API-Key', 'guess-3').expect(429);
+        expect(Number(blocked.headers['retry-after'])).toBeGreaterThan(0);
+
+        // Requests without a key are not guesses and are unaffected
+        await request(app).get('/read').expect(401);
+    });
+});
+
+describe('authenticateSocket', () => {
+    const handshake = (apiKey, address = '10.0.0.9') => ({
+        handshake: { auth: { apiKey }, headers: {}, address },
+        data: {}
+    });
+    const run = (middleware, socket) => new Promise(resolve => middleware(socket, resolve));
+
+    test('sets the key, namespace and author on the socket', async () => {
+        const middleware = authenticateSocket(new ApiKeyStore({ keys: KEYS }), 'read');
+        const socket = handshake('w-key');
+
+        expect(await run(middleware, socket)).toBeUndefined();
+        expect(socket.data).toMatchObject({ namespace: 'team-a', author: 'writer', apiKey: { id: 'writer' } });
+    });
+
+    test('refuses handshakes after too many invalid keys from one IP', async () => {
+        const middleware = authenticateSocket(new ApiKeyStore({ keys: KEYS }), 'read', new AuthFailureLimiter({ limit: 2 }));
+
+        expect((await run(middleware, handshake('guess-1'))).message).toBe('Unauthorized');
+        expect((await run(middleware, handshake('guess-2'))).message).toBe('Unauthorized');
+        expect((await run(middleware, handshake('r-key'))).message).toBe('Too Many Requests');
+        expect(await run(middleware, handshake('r-key', '10.0.0.10'))).toBeUndefined();
+    });
+});
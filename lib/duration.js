@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+
+/**
+ * Duration Strings
+ *
+ * `30s`, `15m`, `6h` or `7d` as used by metrics history windows, retention
+ * ages, universe TTLs and interval settings. Invalid values are rejected
+ * with a 400 so request handlers can pass them straight through.
+ */
+
+const ApiError = require('./api-error');
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a duration string into milliseconds
+ */
+function parseDuration(value) {
+    const match = /^(\d+)([smhd])$/.exec(String(value));
+    if (!match || Number(match[1]) === 0) {
+        throw new ApiError(400, `Invalid duration: ${value}`);
+    }
+    return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+module.exports = { parseDuration, DURATION_UNITS };
@@ -0,0 +1,22 @@
+const { parseDuration } = require('./duration');
+const ApiError = require('./api-error');
+
+describe('parseDuration', () => {
+    test('converts each unit to milliseconds', () => {
+        expect(parseDuration('30s')).toBe(30 * 1000);
+        expect(parseDuration('15m')).toBe(15 * 60 * 1000);
+        expect(parseDuration('6h')).toBe(6 * 60 * 60 * 1000);
+        expect(parseDuration('7d')).toBe(7 * 24 * 60 * 60 * 1000);
+    });
+
+    test.each(['0s', '5x', '', '1.5h', '-1m', 'h'])('rejects %p with a 400', value => {
+        let error;
+        try {
+            parseDuration(value);
+        } catch (caught) {
+            error = caught;
+        }
+        expect(error).toBeInstanceOf(ApiError);
+        expect(error.status).toBe(400);
+    });
+});
@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+
+/**
+ * Asynchronous Job Manager for Helios Demo Backend
+ *
+ * Runs long bulk work (such as creating thousands of universes) outside the
+ * HTTP request. A job is a list of items processed with bounded parallelism;
+ * at most `maxRunningJobs` jobs run at once and the rest wait in FIFO order.
+ * Cancelling a job stops new items from starting and keeps the results of
+ * items that already finished.
+ */
+
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+const FINISHED_STATES = new Set(['completed', 'failed', 'cancelled']);
+
+class Job {
+    constructor({ type, namespace, total, concurrency, params, runItem }) {
+        this.id = uuidv4();
+        this.type = type;
+        this.namespace = namespace;
+        this.params = params;
+        this.total = total;
+        this.concurrency = concurrency;
+        this.runItem = runItem;
+
+        this.status = 'queued';
+        this.succeeded = 0;
+        this.failed = 0;
+        this.results = []; // { index, ...itemResult }
+        this.errors = []; // { index, error }
+        this.cancelRequested = false;
+        this.createdAt = Date.now();
+        this.startedAt = null;
+        this.finishedAt = null;
+    }
+
+    get processed() {
+        return this.succeeded + this.failed;
+    }
+
+    get finished() {
+        return FINISHED_STATES.has(this.status);
+    }
+
+    getProgress() {
+        return {
+            jobId: this.id,
+            type: this.type,
+            status: this.status,
+            total: this.total,
+            processed: this.processed,
+            succeeded: this.succeeded,
+            failed: this.failed,
+            percent: this.total > 0 ? Math.round(this.processed / this.total * 100) : 100
+        };
+    }
+
+    serialize() {
+        return {
+            ...this.getProgress(),
+            namespace: this.namespace,
+            params: this.params,
+            concurrency: this.concurrency,
+            results: this.results,
+            errors: this.errors,
+            createdAt: this.createdAt,
+            startedAt: this.startedAt,
+            finishedAt: this.finishedAt,
+            duration: this.startedAt ? (this.finishedAt || Date.now()) - this.startedAt : null
+        };
+    }
+}
+
+class JobManager extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.maxRunningJobs = Math.max(1, options.maxRunningJobs || 2);
+        this.defaultConcurrency = Math.max(1, options.concurrency || 4);
+        this.retention = options.retention || 60 * 60 * 1000; // Keep finished jobs for an hour
+
+        this.jobs = new Map();
+        this.queue = [];
+        this.running = new Map(); // jobId -> promise
+    }
+
+    /**
+     * Queue a job of `total` items; `runItem(index)` resolves to the item's result
+     */
+    submit({ type, namespace, total, concurrency, params = {}, runItem }) {
+        this.prune();
+
+        const job = new Job({
+            type,
+            namespace,
+            total,
+            concurrency: Math.max(1, concurrency || this.defaultConcurrency),
+            params,
+            runItem
+        });
+        this.jobs.set(job.id, job);
+        this.queue.push(job);
+        this.drain();
+        return job;
+    }
+
+    drain() {
+        while (this.running.size < this.maxRunningJobs && this.queue.length > 0) {
+            const job = this.queue.shift();
+            const run = this.run(job).finally(() => {
+                this.running.delete(job.id);
+                this.drain();
+            });
+            this.running.set(job.id, run);
+        }
+    }
+
+    async run(job) {
+        job.status = 'running';
+        job.startedAt = Date.now();
+        this.emit('progress', job);
+
+        let nextIndex = 0;
+        const worker = async () => {
+            while (!job.cancelRequested && nextIndex < job.total) {
+                const index = nextIndex++;
+                try {
+                    const result = await job.runItem(index);
+                    job.results.push({ index, ...result });
+                    job.succeeded++;
+                } catch (error) {
+                    job.errors.push({ index, error: error.message });
+                    job.failed++;
+                }
+                this.emit('progress', job);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(job.concurrency, job.total) }, worker));
+
+        job.results.sort((a, b) => a.index - b.index);
+        job.errors.sort((a, b) => a.index - b.index);
+        if (job.cancelRequested) {
+            job.status = 'cancelled';
+        } else {
+            job.status = job.failed > 0 && job.succeeded === 0 ? 'failed' : 'completed';
+        }
+        job.finishedAt = Date.now();
+        this.emit('completed', job);
+    }
+
+    /**
+     * Look up a job, optionally only within a namespace
+     */
+    getJob(jobId, namespace = null) {
+        const job = this.jobs.get(jobId);
+        if (!job || (namespace && job.namespace !== namespace)) {
+            return undefined;
+        }
+        return job;
+    }
+
+    /**
+     * Stop a job from starting further items. Queued jobs are cancelled
+     * immediately; running jobs finish their in-flight items first.
+     */
+    cancel(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job || job.finished) {
+            return job;
+        }
+
+        job.cancelRequested = true;
+        const queuedIndex = this.queue.indexOf(job);
+        if (queuedIndex !== -1) {
+            this.queue.splice(queuedIndex, 1);
+            job.status = 'cancelled';
+            job.finishedAt = Date.now();
+            this.emit('completed', job);
+        } else {
+            job.status = 'cancelling';
+            this.emit('progress', job);
+        }
+        return job;
+    }
+
+    /**
+     * Forget finished jobs older than the retention window
+     */
+    prune() {
+        const cutoff = Date.now() - this.retention;
+        for (const [jobId, job] of this.jobs) {
+            if (job.finished && job.finishedAt < cutoff) {
+                this.jobs.delete(jobId);
+            }
+        }
+    }
+
+    getMetrics(namespace = null) {
+        const counts = { queued: 0, running: 0, cancelling: 0, completed: 0, failed: 0, cancelled: 0 };
+        for (const job of this.jobs.values()) {
+            if (namespace && job.namespace !== namespace) continue;
+            counts[job.status]++;
+        }
+        return { ...counts, maxRunningJobs: this.maxRunningJobs };
+    }
+
+    /**
+     * Cancel everything and wait for in-flight items to settle
+     */
+    async shutdown() {
+        for (const jobId of Array.from(this.jobs.keys())) {
+            this.cancel(jobId);
+        }
+        await Promise.all(this.running.values());
+    }
+}
+
+module.exports = JobManager;
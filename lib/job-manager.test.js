@@ -0,0 +1,108 @@
+const JobManager = require('./job-manager');
+
+const completion = (manager, job) => new Promise((resolve) => {
+    if (job.finished) return resolve(job);
+    const onCompleted = (finished) => {
+        if (finished !== job) return;
+        manager.off('completed', onCompleted);
+        resolve(job);
+    };
+    manager.on('completed', onCompleted);
+});
+
+describe('JobManager', () => {
+    let manager;
+
+    beforeEach(() => {
+        manager = new JobManager({ maxRunningJobs: 1, concurrency: 2 });
+    });
+
+    afterEach(async () => {
+        await manager.shutdown();
+    });
+
+    test('runs items with bounded parallelism and keeps results in order', async () => {
+        let inFlight = 0;
+        let peak = 0;
+        const job = manager.submit({
+            type: 'test',
+            namespace: 'team-a',
+            total: 6,
+            runItem: async (index) => {
+                inFlight++;
+                peak = Math.max(peak, inFlight);
+                await new Promise(resolve => setTimeout(resolve, (6 - index) * 2));
+                inFlight--;
+                return { value: index * 10 };
+            }
+        });
+
+        await completion(manager, job);
+
+        expect(peak).toBe(2);
+        expect(job.serialize()).toMatchObject({ status: 'completed', total: 6, succeeded: 6, failed: 0, percent: 100 });
+        expect(job.results.map(result => result.value)).toEqual([0, 10, 20, 30, 40, 50]);
+    });
+
+    test('records item failures and fails jobs where nothing succeeded', async () => {
+        const partial = manager.submit({
+            type: 'test',
+            total: 3,
+            runItem: async (index) => {
+                if (index === 1) throw new Error('item broke');
+                return {};
+            }
+        });
+        const broken = manager.submit({ type: 'test', total: 2, runItem: async () => { throw new Error('no'); } });
+
+        await completion(manager, broken);
+
+        expect(partial.status).toBe('completed');
+        expect(partial.errors).toEqual([{ index: 1, error: 'item broke' }]);
+        expect(broken.status).toBe('failed');
+    });
+
+    test('queues jobs beyond maxRunningJobs in FIFO order', async () => {
+        const order = [];
+        const first = manager.submit({ type: 'test', total: 1, runItem: async () => { order.push('first'); return {}; } });
+        const second = manager.submit({ type: 'test', total: 1, runItem: async () => { order.push('second'); return {}; } });
+
+        expect(second.status).toBe('queued');
+        expect(manager.getMetrics()).toMatchObject({ running: 1, queued: 1 });
+        await completion(manager, second);
+
+        expect(first.status).toBe('completed');
+        expect(order).toEqual(['first', 'second']);
+    });
+
+    test('cancels queued jobs at once and running jobs after their in-flight items', async () => {
+        let release;
+        const gate = new Promise(resolve => { release = resolve; });
+        const running = manager.submit({ type: 'test', total: 10, concurrency: 1, runItem: () => gate.then(() => ({})) });
+        const queued = manager.submit({ type: 'test', total: 1, runItem: async () => ({}) });
+
+        expect(manager.cancel(queued.id).status).toBe('cancelled');
+        expect(manager.cancel(running.id).status).toBe('cancelling');
+        release();
+        await completion(manager, running);
+
+        expect(running.status).toBe('cancelled');
+        expect(running.succeeded).toBe(1);
+        expect(queued.processed).toBe(0);
+    });
+
+    test('hides jobs of other namespaces and forgets old finished ones', async () => {
+        manager = new JobManager({ retention: 1000 });
+        const job = manager.submit({ type: 'test', namespace: 'team-a', total: 1, runItem: async () => ({}) });
+
+        expect(manager.getJob(job.id, 'team-a')).toBe(job);
+        expect(manager.getJob(job.id, 'team-b')).toBeUndefined();
+        expect(manager.getMetrics('team-a')).toMatchObject({ running: 1 });
+        expect(manager.getMetrics('team-b')).toMatchObject({ queued: 0, running: 0 });
+
+        await completion(manager, job);
+        job.finishedAt -= 2000;
+        manager.prune();
+        expect(manager.getJob(job.id)).toBeUndefined();
+    });
+});
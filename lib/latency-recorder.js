@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+/**
+ * Latency Recorder
+ *
+ * One place to record operation latencies. Everything is stored in
+ * nanoseconds: per operation a log-bucketed histogram for percentiles, an
+ * exact running count/sum for the mean, and the number of samples within the
+ * operation's SLO target. Convert units only when formatting for output.
+ */
+
+const LogHistogram = require('./real-helios/log-histogram');
+
+const NS_PER_UNIT = { ns: 1, us: 1e3, 'μs': 1e3, ms: 1e6, s: 1e9 };
+
+// Default SLO targets in nanoseconds
+const DEFAULT_TARGETS = {
+    commit: 70e3, // 70μs
+    restore: 10e6,
+    diff: 10e6,
+    materialize: 100e6,
+    request: 200e6
+};
+
+/**
+ * Parse `70us`, `10ms` or `1.5s` into nanoseconds
+ */
+function parseDurationNs(value) {
+    const match = /^(\d+(?:\.\d+)?)(ns|us|μs|ms|s)$/.exec(String(value).trim());
+    if (!match) {
+        throw new Error(`Invalid latency target: ${value}`);
+    }
+    return Number(match[1]) * NS_PER_UNIT[match[2]];
+}
+
+/**
+ * Parse `commit=70us,request=200ms` into { operation: nanoseconds }
+ */
+function parseTargets(spec) {
+    const targets = {};
+    for (const entry of String(spec || '').split(',').map(item => item.trim()).filter(Boolean)) {
+        const [operation, duration] = entry.split('=');
+        if (!operation || !duration) {
+            throw new Error(`Invalid latency target: ${entry}`);
+        }
+        targets[operation.trim()] = parseDurationNs(duration);
+    }
+    return targets;
+}
+
+/**
+ * Human-readable duration in the largest unit that keeps the value >= 1
+ */
+function formatDuration(ns) {
+    if (ns === null || ns === undefined || !Number.isFinite(ns)) return 'N/A';
+    if (ns >= 1e9) return `${(ns / 1e9).toFixed(2)}s`;
+    if (ns >= 1e6) return `${(ns / 1e6).toFixed(2)}ms`;
+    if (ns >= 1e3) return `${(ns / 1e3).toFixed(2)}μs`;
+    return `${Math.round(ns)}ns`;
+}
+
+class LatencyRecorder {
+    constructor(options = {}) {
+        this.targets = { ...DEFAULT_TARGETS, ...(options.targets || {}) };
+        this.operations = new Map(); // operation -> { histogram, withinTarget }
+    }
+
+    record(operation, durationNs) {
+        if (!Number.isFinite(durationNs) || durationNs < 0) {
+            return;
+        }
+
+        let entry = this.operations.get(operation);
+        if (!entry) {
+            entry = { histogram: new LogHistogram(), withinTarget: 0 };
+            this.operations.set(operation, entry);
+        }
+        entry.histogram.record(durationNs);
+        if (this.withinTarget(operation, durationNs)) {
+            entry.withinTarget++;
+        }
+    }
+
+    /**
+     * Whether a duration meets the operation's SLO target (true when it has none)
+     */
+    withinTarget(operation, durationNs) {
+        const target = this.targets[operation];
+        return target === undefined || durationNs <= target;
+    }
+
+    /**
+     * Running mean in nanoseconds (0 before the first sample)
+     */
+    mean(operation) {
+        const entry = this.operations.get(operation);
+        return entry ? entry.histogram.mean : 0;
+    }
+
+    count(operation) {
+        const entry = this.operations.get(operation);
+        return entry ? entry.histogram.count : 0;
+    }
+
+    /**
+     * count, mean, min, max, p50/p90/p99/p99.9 (ns) and SLO compliance for one operation
+     */
+    getStats(operation) {
+        const entry = this.operations.get(operation);
+        const histogram = entry ? entry.histogram : new LogHistogram();
+        const target = this.targets[operation];
+        const empty = histogram.count === 0;
+
+        return {
+            unit: 'ns',
+            count: histogram.count,
+            mean: empty ? null : histogram.mean,
+            min: empty ? null : histogram.min,
+            max: empty ? null : histogram.max,
+            p50: empty ? null : histogram.percentile(50),
+            p90: empty ? null : histogram.percentile(90),
+            p99: empty ? null : histogram.percentile(99),
+            p999: empty ? null : histogram.percentile(99.9),
+            slo: {
+                target: target === undefined ? null : target,
+                withinTarget: entry ? entry.withinTarget : 0,
+                compliance: target === undefined || empty ? null : entry.withinTarget / histogram.count * 100
+            }
+        };
+    }
+
+    /**
+     * Stats for the given operations (default: every recorded one)
+     */
+    summary(operations = Array.from(this.operations.keys())) {
+        const summary = {};
+        for (const operation of operations) {
+            summary[operation] = this.getStats(operation);
+        }
+        return summary;
+    }
+}
+
+module.exports = {
+    LatencyRecorder,
+    DEFAULT_TARGETS,
+    parseDurationNs,
+    parseTargets,
+    formatDuration
+};
@@ -0,0 +1,102 @@
+const { LatencyRecorder, DEFAULT_TARGETS, parseDurationNs, parseTargets, formatDuration } = require('./latency-recorder');
+
+describe('parseDurationNs', () => {
+    test('converts every unit to nanoseconds', () => {
+        expect(parseDurationNs('250ns')).toBe(250);
+        expect(parseDurationNs('70us')).toBe(70e3);
+        expect(parseDurationNs('70μs')).toBe(70e3);
+        expect(parseDurationNs('10ms')).toBe(10e6);
+        expect(parseDurationNs(' 1.5s ')).toBe(1.5e9);
+    });
+
+    test('rejects values without a known unit', () => {
+        expect(() => parseDurationNs('10')).toThrow('Invalid latency target: 10');
+        expect(() => parseDurationNs('10m')).toThrow('Invalid latency target');
+        expect(() => parseDurationNs('-5ms')).toThrow('Invalid latency target');
+    });
+});
+
+describe('parseTargets', () => {
+    test('parses a comma-separated operation list', () => {
+        expect(parseTargets('commit=70us, request = 200ms,')).toEqual({ commit: 70e3, request: 200e6 });
+        expect(parseTargets('')).toEqual({});
+        expect(parseTargets(undefined)).toEqual({});
+    });
+
+    test('rejects entries without a duration', () => {
+        expect(() => parseTargets('commit')).toThrow('Invalid latency target: commit');
+        expect(() => parseTargets('commit=fast')).toThrow('Invalid latency target: fast');
+    });
+});
+
+describe('formatDuration', () => {
+    test('picks the largest unit that keeps the value at least 1', () => {
+        expect(formatDuration(512)).toBe('512ns');
+        expect(formatDuration(70e3)).toBe('70.00μs');
+        expect(formatDuration(12.345e6)).toBe('12.35ms');
+        expect(formatDuration(2e9)).toBe('2.00s');
+    });
+
+    test('reports missing values as N/A', () => {
+        expect(formatDuration(null)).toBe('N/A');
+        expect(formatDuration(undefined)).toBe('N/A');
+        expect(formatDuration(NaN)).toBe('N/A');
+    });
+});
+
+describe('LatencyRecorder', () => {
+    test('reports empty stats before the first sample', () => {
+        const recorder = new LatencyRecorder();
+        const stats = recorder.getStats('commit');
+
+        expect(stats).toMatchObject({ unit: 'ns', count: 0, mean: null, p50: null, p99: null });
+        expect(stats.slo).toEqual({ target: DEFAULT_TARGETS.commit, withinTarget: 0, compliance: null });
+        expect(recorder.mean('commit')).toBe(0);
+        expect(recorder.count('commit')).toBe(0);
+    });
+
+    test('tracks percentiles and SLO compliance in nanoseconds', () => {
+        const recorder = new LatencyRecorder({ targets: { commit: 50e3 } });
+        for (let i = 1; i <= 100; i++) {
+            recorder.record('commit', i * 1e3); // 1μs .. 100μs
+        }
+
+        const stats = recorder.getStats('commit');
+        expect(stats.count).toBe(100);
+        expect(stats.mean).toBeCloseTo(50.5e3);
+        expect(stats.min).toBe(1e3);
+        expect(stats.max).toBe(100e3);
+        expect(stats.p50).toBeGreaterThan(45e3);
+        expect(stats.p50).toBeLessThan(55e3);
+        expect(stats.p99).toBeGreaterThan(95e3);
+        expect(stats.p99).toBeLessThanOrEqual(100e3);
+        expect(stats.slo).toEqual({ target: 50e3, withinTarget: 50, compliance: 50 });
+    });
+
+    test('ignores invalid durations', () => {
+        const recorder = new LatencyRecorder();
+        recorder.record('diff', -1);
+        recorder.record('diff', NaN);
+        recorder.record('diff', Infinity);
+
+        expect(recorder.count('diff')).toBe(0);
+    });
+
+    test('treats operations without a target as within it', () => {
+        const recorder = new LatencyRecorder();
+        recorder.record('custom', 5e9);
+
+        expect(recorder.withinTarget('custom', 5e9)).toBe(true);
+        expect(recorder.getStats('custom').slo).toEqual({ target: null, withinTarget: 1, compliance: null });
+    });
+
+    test('summarizes recorded or requested operations', () => {
+        const recorder = new LatencyRecorder();
+        recorder.record('commit', 10e3);
+        recorder.record('restore', 1e6);
+
+        expect(Object.keys(recorder.summary())).toEqual(['commit', 'restore']);
+        expect(Object.keys(recorder.summary(['merge']))).toEqual(['merge']);
+        expect(recorder.summary(['merge']).merge.count).toBe(0);
+    });
+});
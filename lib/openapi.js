@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+
+/**
+ * OpenAPI 3 Document Generation
+ *
+ * Builds the API specification from the RouteRegistry, converting each
+ * route's joi schemas into JSON Schema for parameters and request bodies.
+ */
+
+/**
+ * Convert a joi `describe()` tree into a JSON Schema object
+ */
+function describeToJsonSchema(description) {
+    const flags = description.flags || {};
+    const rules = description.rules || [];
+    const rule = name => rules.find(r => r.name === name);
+    let schema;
+
+    switch (description.type) {
+        case 'object': {
+            const keys = description.keys || {};
+            schema = { type: 'object', properties: {} };
+            const required = [];
+            for (const [key, child] of Object.entries(keys)) {
+                schema.properties[key] = describeToJsonSchema(child);
+                if ((child.flags || {}).presence === 'required') required.push(key);
+            }
+            if (required.length > 0) schema.required = required;
+            if (description.keys) {
+                schema.additionalProperties = Boolean(flags.unknown);
+            }
+            break;
+        }
+        case 'string': {
+            schema = { type: 'string' };
+            const pattern = rule('pattern');
+            if (pattern) schema.pattern = pattern.args.regex.replace(/^\/|\/[a-z]*$/g, '');
+            if (rule('min')) schema.minLength = rule('min').args.limit;
+            if (rule('max')) schema.maxLength = rule('max').args.limit;
+            break;
+        }
+        case 'number': {
+            schema = { type: rule('integer') ? 'integer' : 'number' };
+            if (rule('min')) schema.minimum = rule('min').args.limit;
+            if (rule('max')) schema.maximum = rule('max').args.limit;
+            break;
+        }
+        case 'boolean':
+            schema = { type: 'boolean' };
+            break;
+        case 'array': {
+            schema = { type: 'array' };
+            if (description.items && description.items.length > 0) {
+                schema.items = describeToJsonSchema(description.items[0]);
+            }
+            if (rule('min')) schema.minItems = rule('min').args.limit;
+            if (rule('max')) schema.maxItems = rule('max').args.limit;
+            break;
+        }
+        case 'date':
+            schema = { type: 'string', format: 'date-time' };
+            break;
+        default:
+            schema = {};
+    }
+
+    // Joi.when switches (per-operation params) become oneOf alternatives
+    if (description.whens) {
+        const alternatives = [];
+        for (const when of description.whens) {
+            for (const branch of when.switch || [when]) {
+                if (branch.then) alternatives.push(describeToJsonSchema(branch.then));
+            }
+        }
+        schema = { oneOf: alternatives };
+    }
+
+    if (flags.only && description.allow) {
+        schema.enum = description.allow.filter(value => typeof value !== 'object' || value === null);
+    } else if (description.allow && description.allow.includes(null)) {
+        schema.nullable = true;
+    }
+    if (flags.default !== undefined && typeof flags.default !== 'function') {
+        schema.default = flags.default;
+    }
+    if (flags.description) {
+        schema.description = flags.description;
+    }
+    return schema;
+}
+
+function toJsonSchema(joiSchema) {
+    return describeToJsonSchema(joiSchema.describe());
+}
+
+/**
+ * `/api/universes/:id/files/*path` -> `/api/universes/{id}/files/{path}`
+ */
+function toOpenApiPath(path) {
+    return path.replace(/:([A-Za-z0-9_]+)/g, '{$1}').replace(/\*([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+function buildParameters(route) {
+    const parameters = [];
+    const pathParams = new Set();
+    for (const match of route.path.matchAll(/[:*]([A-Za-z0-9_]+)/g)) {
+        pathParams.add(match[1]);
+    }
+
+    for (const [location, joiSchema] of [['path', route.params], ['query', route.query]]) {
+        if (!joiSchema) continue;
+        const schema = toJsonSchema(joiSchema);
+        for (const [name, property] of Object.entries(schema.properties || {})) {
+            parameters.push({
+                name,
+                in: location,
+                required: location === 'path' || (schema.required || []).includes(name),
+                schema: property
+            });
+        }
+    }
+
+    // Path segments without a joi schema (e.g. wildcard file paths)
+    for (const name of pathParams) {
+        if (!parameters.some(p => p.in === 'path' && p.name === name)) {
+            parameters.push({ name, in: 'path', required: true, schema: { type: 'string' } });
+        }
+    }
+    return parameters;
+}
+
+function buildResponses(route) {
+    const responses = {};
+    const declared = route.responses || { 200: 'Success' };
+
+    for (const [status, description] of Object.entries(declared)) {
+        const success = Number(status) < 400;
+        responses[status] = {
+            description,
+            content: success && route.produces
+                ? { [route.produces]: { schema: { type: 'string', format: 'binary' } } }
+                : { 'application/json': { schema: { $ref: success ? '#/components/schemas/Success' : '#/components/schemas/Error' } } }
+        };
+    }
+
+    if (route.params || route.query || route.body) {
+        responses[400] = {
+            description: 'Validation failed',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } }
+        };
+    }
+    if (route.scope) {
+        const error = { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } };
+        responses[401] = { description: 'Missing or invalid API key', content: error };
+        responses[403] = { description: `API key lacks the ${route.scope} scope`, content: error };
+    }
+    return responses;
+}
+
+/**
+ * Build the OpenAPI 3 document for every route in the registry
+ */
+function buildOpenApiDocument(registry, info = {}) {
+    const paths = {};
+
+    for (const route of registry.routes) {
+        const operation = {
+            summary: route.summary,
+            tags: route.tags || [],
+            parameters: buildParameters(route),
+            responses: buildResponses(route)
+        };
+        if (route.description) operation.description = route.description;
+        if (route.scope) {
+            operation.security = [{ ApiKeyHeader: [] }, { BearerKey: [] }];
+            operation['x-required-scope'] = route.scope;
+        }
+
+        if (route.body) {
+            operation.requestBody = {
+                required: true,
+                content: { 'application/json': { schema: toJsonSchema(route.body) } }
+            };
+        } else if (route.rawBody) {
+            operation.requestBody = {
+                required: true,
+                content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } }
+            };
+        }
+
+        const openApiPath = toOpenApiPath(route.path);
+        paths[openApiPath] = paths[openApiPath] || {};
+        paths[openApiPath][route.method] = operation;
+    }
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: info.title || 'Helios Demo Backend API',
+            version: info.version || '1.0.0',
+            description: info.description
+        },
+        paths,
+        components: {
+            securitySchemes: {
+                ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+                BearerKey: { type: 'http', scheme: 'bearer' }
+            },
+            schemas: {
+                Success: {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean', enum: [true] },
+                        data: {},
+                        requestId: { type: 'string' }
+                    }
+                },
+                Error: {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean', enum: [false] },
+                        error: { type: 'string' },
+                        requestId: { type: 'string' }
+                    }
+                },
+                ValidationError: {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean', enum: [false] },
+                        error: { type: 'string', enum: ['Validation failed'] },
+                        details: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    field: { type: 'string' },
+                                    message: { type: 'string' },
+                                    type: { type: 'string' }
+                                }
+                            }
+                        },
+                        requestId: { type: 'string' }
+                    }
+                }
+            }
+        }
+    };
+}
+
+module.exports = { buildOpenApiDocument, toJsonSchema };
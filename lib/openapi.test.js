@@ -0,0 +1,114 @@
+const express = require('express');
+const request = require('supertest');
+const Joi = require('joi');
+const RouteRegistry = require('./route-registry');
+const { buildOpenApiDocument, toJsonSchema } = require('./openapi');
+const { schemas } = require('./validation');
+
+describe('toJsonSchema', () => {
+    test('converts types, limits, defaults and required keys', () => {
+        expect(toJsonSchema(Joi.object({
+            name: Joi.string().min(1).max(10).required(),
+            count: Joi.number().integer().min(1).max(5).default(1),
+            ratio: Joi.number(),
+            mode: Joi.string().valid('a', 'b'),
+            when: Joi.date().iso(),
+            tags: Joi.array().items(Joi.string()).max(3),
+            parent: Joi.string().allow(null)
+        }))).toEqual({
+            type: 'object',
+            properties: {
+                name: { type: 'string', minLength: 1, maxLength: 10 },
+                count: { type: 'integer', minimum: 1, maximum: 5, default: 1 },
+                ratio: { type: 'number' },
+                mode: { type: 'string', enum: ['a', 'b'] },
+                when: { type: 'string', format: 'date-time' },
+                tags: { type: 'array', items: { type: 'string' }, maxItems: 3 },
+                parent: { type: 'string', nullable: true }
+            },
+            required: ['name'],
+            additionalProperties: false
+        });
+    });
+
+    test('turns per-operation params into oneOf alternatives', () => {
+        const params = toJsonSchema(schemas.operation).properties.params;
+        expect(params.oneOf).toHaveLength(4);
+        expect(params.oneOf[1].required).toEqual(['snapshotId']);
+    });
+});
+
+describe('buildOpenApiDocument', () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        if (req.headers['x-api-key'] === 'reader') req.apiKey = { id: 'reader', scopes: ['read'] };
+        next();
+    });
+    const registry = new RouteRegistry(app);
+    registry.get('/api/health', { summary: 'Health', tags: ['System'] }, (req, res) => res.json({ ok: true }));
+    registry.post('/api/universes/:id/fork', {
+        summary: 'Fork',
+        tags: ['Universes'],
+        scope: 'write',
+        params: schemas.universeParams,
+        body: schemas.forkUniverse,
+        responses: { 201: 'Forked', 404: 'Not found' }
+    }, (req, res) => res.status(201).json({ body: req.body }));
+    registry.get('/api/universes/:id/snapshots/:snapshotId/archive', {
+        summary: 'Archive',
+        scope: 'read',
+        params: schemas.snapshotParams,
+        query: schemas.archiveQuery,
+        produces: 'application/gzip'
+    }, (req, res) => res.end());
+    registry.put('/api/universes/:id/files/*path', {
+        summary: 'Write file',
+        scope: 'write',
+        expressPath: '/api/universes/:id/files/*',
+        rawBody: true
+    }, (req, res) => res.end());
+    const document = buildOpenApiDocument(registry, { title: 'Test API' });
+
+    test('documents every registered route under OpenAPI paths', () => {
+        expect(document.openapi).toBe('3.0.3');
+        expect(document.info.title).toBe('Test API');
+        expect(registry.list()).toEqual([
+            'GET /api/health',
+            'POST /api/universes/:id/fork',
+            'GET /api/universes/:id/snapshots/:snapshotId/archive',
+            'PUT /api/universes/:id/files/*path'
+        ]);
+        expect(Object.keys(document.paths)).toEqual([
+            '/api/health',
+            '/api/universes/{id}/fork',
+            '/api/universes/{id}/snapshots/{snapshotId}/archive',
+            '/api/universes/{id}/files/{path}'
+        ]);
+    });
+
+    test('describes parameters, bodies, scopes and responses', () => {
+        const fork = document.paths['/api/universes/{id}/fork'].post;
+        expect(fork.parameters).toEqual([{ name: 'id', in: 'path', required: true, schema: expect.objectContaining({ type: 'string' }) }]);
+        expect(fork.requestBody.content['application/json'].schema.properties).toHaveProperty('snapshotId');
+        expect(fork['x-required-scope']).toBe('write');
+        expect(Object.keys(fork.responses).sort()).toEqual(['201', '400', '401', '403', '404']);
+
+        const archive = document.paths['/api/universes/{id}/snapshots/{snapshotId}/archive'].get;
+        expect(archive.parameters.map(p => `${p.in}:${p.name}`)).toEqual(['path:id', 'path:snapshotId', 'query:include', 'query:exclude']);
+        expect(archive.responses[200].content).toHaveProperty('application/gzip');
+
+        const write = document.paths['/api/universes/{id}/files/{path}'].put;
+        expect(write.parameters.map(p => p.name)).toEqual(['id', 'path']);
+        expect(write.requestBody.content).toHaveProperty('application/octet-stream');
+
+        expect(document.paths['/api/health'].get.security).toBeUndefined();
+    });
+
+    test('mounts routes with their scope check and validation', async () => {
+        await request(app).post('/api/universes/u1/fork').send({}).expect(401);
+        await request(app).post('/api/universes/u1/fork').set('X-API-Key', 'reader').send({}).expect(403);
+        await request(app).get('/api/universes/-x/snapshots/s1/archive').set('X-API-Key', 'reader').expect(400);
+        await request(app).get('/api/health').expect(200);
+    });
+});
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * Prometheus Exposition Format
+ *
+ * Minimal helpers for the text exposition format (version 0.0.4): a
+ * cumulative histogram and a renderer for metric families. Metric families
+ * are plain objects: { name, help, type, samples: [{ labels, value }] }.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Operation latencies span microseconds (in-process commits) to seconds (CLI spawns)
+const LATENCY_BUCKETS = [0.00001, 0.000025, 0.00005, 0.0001, 0.00025, 0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels = {}) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    if (Number.isNaN(value)) return 'NaN';
+    return String(value);
+}
+
+/**
+ * Cumulative histogram with fixed upper bounds (in seconds for latencies)
+ */
+class Histogram {
+    constructor(buckets = LATENCY_BUCKETS) {
+        this.buckets = [...buckets].sort((a, b) => a - b);
+        this.counts = new Array(this.buckets.length).fill(0);
+        this.sum = 0;
+        this.count = 0;
+    }
+
+    observe(value) {
+        if (!Number.isFinite(value)) {
+            return;
+        }
+        for (let i = 0; i < this.buckets.length; i++) {
+            if (value <= this.buckets[i]) {
+                this.counts[i]++;
+            }
+        }
+        this.sum += value;
+        this.count++;
+    }
+
+    /**
+     * `_bucket`, `_sum` and `_count` samples for a histogram family
+     */
+    samples(name, labels = {}) {
+        const samples = this.buckets.map((bound, i) => ({
+            name: `${name}_bucket`,
+            labels: { ...labels, le: formatValue(bound) },
+            value: this.counts[i]
+        }));
+        samples.push({ name: `${name}_bucket`, labels: { ...labels, le: '+Inf' }, value: this.count });
+        samples.push({ name: `${name}_sum`, labels, value: this.sum });
+        samples.push({ name: `${name}_count`, labels, value: this.count });
+        return samples;
+    }
+}
+
+/**
+ * Render metric families as exposition text
+ */
+function renderMetrics(families) {
+    const lines = [];
+    for (const family of families) {
+        lines.push(`# HELP ${family.name} ${family.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+        lines.push(`# TYPE ${family.name} ${family.type}`);
+        for (const sample of family.samples) {
+            lines.push(`${sample.name || family.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+        }
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Node.js process metrics under the conventional names
+ */
+function processMetrics() {
+    const memory = process.memoryUsage();
+    const cpu = process.cpuUsage();
+    const gauge = (name, help, value, type = 'gauge') => ({ name, help, type, samples: [{ value }] });
+
+    return [
+        gauge('process_cpu_user_seconds_total', 'User CPU time spent in seconds.', cpu.user / 1e6, 'counter'),
+        gauge('process_cpu_system_seconds_total', 'System CPU time spent in seconds.', cpu.system / 1e6, 'counter'),
+        gauge('process_resident_memory_bytes', 'Resident memory size in bytes.', memory.rss),
+        gauge('process_start_time_seconds', 'Start time of the process since unix epoch in seconds.',
+            Math.round(Date.now() / 1000 - process.uptime())),
+        gauge('nodejs_heap_size_total_bytes', 'Process heap size from Node.js in bytes.', memory.heapTotal),
+        gauge('nodejs_heap_size_used_bytes', 'Process heap size used from Node.js in bytes.', memory.heapUsed),
+        gauge('nodejs_external_memory_bytes', 'Node.js external memory size in bytes.', memory.external)
+    ];
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    LATENCY_BUCKETS,
+    Histogram,
+    renderMetrics,
+    processMetrics
+};
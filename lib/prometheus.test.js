@@ -0,0 +1,126 @@
+const { CONTENT_TYPE, LATENCY_BUCKETS, Histogram, renderMetrics, processMetrics } = require('./prometheus');
+
+describe('Histogram', () => {
+    test('counts observations cumulatively per upper bound', () => {
+        const histogram = new Histogram([1, 0.1, 10]);
+        expect(histogram.buckets).toEqual([0.1, 1, 10]);
+
+        histogram.observe(0.05);
+        histogram.observe(0.5);
+        histogram.observe(1);
+        histogram.observe(20);
+
+        expect(histogram.counts).toEqual([1, 3, 3]);
+        expect(histogram.count).toBe(4);
+        expect(histogram.sum).toBeCloseTo(21.55);
+    });
+
+    test('ignores non-finite observations', () => {
+        const histogram = new Histogram([1]);
+        histogram.observe(NaN);
+        histogram.observe(Infinity);
+        histogram.observe(undefined);
+
+        expect(histogram.count).toBe(0);
+        expect(histogram.sum).toBe(0);
+    });
+
+    test('emits bucket, +Inf, sum and count samples with the given labels', () => {
+        const histogram = new Histogram([0.1, 1]);
+        histogram.observe(0.5);
+
+        expect(histogram.samples('op_seconds', { operation: 'commit' })).toEqual([
+            { name: 'op_seconds_bucket', labels: { operation: 'commit', le: '0.1' }, value: 0 },
+            { name: 'op_seconds_bucket', labels: { operation: 'commit', le: '1' }, value: 1 },
+            { name: 'op_seconds_bucket', labels: { operation: 'commit', le: '+Inf' }, value: 1 },
+            { name: 'op_seconds_sum', labels: { operation: 'commit' }, value: 0.5 },
+            { name: 'op_seconds_count', labels: { operation: 'commit' }, value: 1 }
+        ]);
+    });
+
+    test('defaults to the latency buckets', () => {
+        expect(new Histogram().buckets).toEqual(LATENCY_BUCKETS);
+    });
+});
+
+describe('renderMetrics', () => {
+    test('renders HELP and TYPE lines followed by samples', () => {
+        const text = renderMetrics([
+            {
+                name: 'helios_universes',
+                help: 'Universes held by the engine.',
+                type: 'gauge',
+                samples: [
+                    { labels: { state: 'active' }, value: 2 },
+                    { labels: { state: 'paused' }, value: 0 }
+                ]
+            },
+            { name: 'helios_gc_runs_total', help: 'Completed passes.', type: 'counter', samples: [{ value: 3 }] }
+        ]);
+
+        expect(text).toBe([
+            '# HELP helios_universes Universes held by the engine.',
+            '# TYPE helios_universes gauge',
+            'helios_universes{state="active"} 2',
+            'helios_universes{state="paused"} 0',
+            '# HELP helios_gc_runs_total Completed passes.',
+            '# TYPE helios_gc_runs_total counter',
+            'helios_gc_runs_total 3',
+            ''
+        ].join('\n'));
+    });
+
+    test('escapes label values and help text', () => {
+        const text = renderMetrics([{
+            name: 'm',
+            help: 'back\\slash\nnewline',
+            type: 'gauge',
+            samples: [{ labels: { path: 'a\\b "c"\nd' }, value: 1 }]
+        }]);
+
+        expect(text).toContain('# HELP m back\\\\slash\\nnewline\n');
+        expect(text).toContain('m{path="a\\\\b \\"c\\"\\nd"} 1\n');
+    });
+
+    test('formats special values', () => {
+        const text = renderMetrics([{
+            name: 'm',
+            help: 'h',
+            type: 'gauge',
+            samples: [{ labels: { v: 'pos' }, value: Infinity }, { labels: { v: 'neg' }, value: -Infinity }, { labels: { v: 'nan' }, value: NaN }]
+        }]);
+
+        expect(text).toContain('m{v="pos"} +Inf');
+        expect(text).toContain('m{v="neg"} -Inf');
+        expect(text).toContain('m{v="nan"} NaN');
+    });
+
+    test('uses the sample name for histogram series', () => {
+        const histogram = new Histogram([1]);
+        histogram.observe(0.5);
+        const text = renderMetrics([{ name: 'h_seconds', help: 'h', type: 'histogram', samples: histogram.samples('h_seconds') }]);
+
+        expect(text).toContain('h_seconds_bucket{le="1"} 1\n');
+        expect(text).toContain('h_seconds_bucket{le="+Inf"} 1\n');
+        expect(text).toContain('h_seconds_sum 0.5\n');
+        expect(text).toContain('h_seconds_count 1\n');
+    });
+});
+
+describe('processMetrics', () => {
+    test('reports the conventional process and Node.js families', () => {
+        const families = processMetrics();
+        const names = families.map(family => family.name);
+
+        expect(names).toEqual(expect.arrayContaining([
+            'process_cpu_user_seconds_total',
+            'process_resident_memory_bytes',
+            'process_start_time_seconds',
+            'nodejs_heap_size_used_bytes'
+        ]));
+        for (const family of families) {
+            expect(family.samples[0].value).toBeGreaterThanOrEqual(0);
+        }
+        expect(CONTENT_TYPE).toMatch(/^text\/plain; version=0\.0\.4/);
+    });
+});
@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark Runner for the Helios VST Backend
+ *
+ * Runs a workload profile (commits of generated files, restore cycles and
+ * diffs) against a scratch workspace, measures every operation, and reports
+ * latency percentiles and throughput. Results are stored with their
+ * timestamp and engine version and compared against a saved baseline so
+ * regressions show up as a failed run. The scratch workspace, in a
+ * namespace no tenant can use, is always removed afterwards, and so are the
+ * run's snapshots when the backend can delete them.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const ApiError = require('../api-error');
+const { SCRATCH_NAMESPACE } = require('./namespace-quotas');
+const { formatDuration } = require('../latency-recorder');
+
+const PROFILES = {
+    quick: { commits: 20, filesPerCommit: 5, fileSize: 1024, restoreCycles: 10, diffs: 10 },
+    standard: { commits: 100, filesPerCommit: 10, fileSize: 4096, restoreCycles: 50, diffs: 50 },
+    heavy: { commits: 500, filesPerCommit: 50, fileSize: 16384, restoreCycles: 200, diffs: 200 }
+};
+
+const HISTORY_LIMIT = 50;
+const DEFAULT_TOLERANCE = 0.2; // 20% slower than baseline counts as a regression
+
+/**
+ * Nearest-rank percentile of an ascending array
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const rank = Math.ceil(p / 100 * sorted.length);
+    return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+/**
+ * Latency distribution (ms) and throughput of one operation type
+ */
+function summarize(durations) {
+    const sorted = [...durations].sort((a, b) => a - b);
+    const totalMs = sorted.reduce((sum, value) => sum + value, 0);
+    const round = value => Math.round(value * 1000) / 1000;
+
+    return {
+        count: sorted.length,
+        totalMs: round(totalMs),
+        throughput: totalMs > 0 ? Math.round(sorted.length / totalMs * 1000 * 100) / 100 : 0, // ops/sec
+        latencyMs: {
+            min: round(sorted[0] || 0),
+            mean: round(sorted.length > 0 ? totalMs / sorted.length : 0),
+            p50: round(percentile(sorted, 50)),
+            p90: round(percentile(sorted, 90)),
+            p95: round(percentile(sorted, 95)),
+            p99: round(percentile(sorted, 99)),
+            max: round(sorted[sorted.length - 1] || 0)
+        }
+    };
+}
+
+async function timed(fn) {
+    const start = process.hrtime.bigint();
+    const result = await fn();
+    return { result, duration: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+class BenchmarkRunner {
+    constructor(heliosEngine, options = {}) {
+        this.heliosEngine = heliosEngine;
+        this.resultsDir = options.resultsDir || path.join(heliosEngine.backend.workDir, 'benchmarks');
+        this.historyPath = path.join(this.resultsDir, 'history.json');
+        this.baselinePath = path.join(this.resultsDir, 'baseline.json');
+        this.running = null;
+    }
+
+    /**
+     * Resolve a profile name plus overrides into a workload
+     */
+    static resolveWorkload(profile = 'quick', overrides = {}) {
+        if (!PROFILES[profile]) {
+            throw new ApiError(400, `Unknown benchmark profile: ${profile}`);
+        }
+        return { ...PROFILES[profile], ...overrides };
+    }
+
+    /**
+     * Run one benchmark; concurrent runs would skew each other's numbers
+     */
+    async run(options = {}) {
+        if (this.running) {
+            throw new ApiError(409, 'A benchmark is already running');
+        }
+
+        this.running = this.execute(options);
+        try {
+            return await this.running;
+        } finally {
+            this.running = null;
+        }
+    }
+
+    async execute({ profile = 'quick', overrides = {}, saveAsBaseline = false, tolerance = DEFAULT_TOLERANCE }) {
+        const workload = BenchmarkRunner.resolveWorkload(profile, overrides);
+        const backend = this.heliosEngine.backend;
+        const startedAt = Date.now();
+        const workDir = await backend.createWorkspace(`benchmark-${uuidv4()}`, SCRATCH_NAMESPACE);
+
+        const durations = { commit: [], restore: [], diff: [] };
+        const snapshots = [];
+        try {
+            // Commits: rewrite a rotating set of files each round so every commit has real changes
+            for (let i = 0; i < workload.commits; i++) {
+                for (let f = 0; f < workload.filesPerCommit; f++) {
+                    const fileIndex = (i * workload.filesPerCommit + f) % (workload.filesPerCommit * 4);
+                    await fs.writeFile(path.join(workDir, `file-${fileIndex}.dat`), crypto.randomBytes(workload.fileSize));
+                }
+                const { result, duration } = await timed(() => backend.commit(workDir));
+                snapshots.push(result.snapshotId);
+                durations.commit.push(duration);
+            }
+
+            // Restore cycles alternate between the oldest and newest snapshots
+            for (let i = 0; i < workload.restoreCycles && snapshots.length > 0; i++) {
+                const snapshotId = i % 2 === 0 ? snapshots[0] : snapshots[snapshots.length - 1];
+                durations.restore.push((await timed(() => backend.restore(snapshotId, workDir))).duration);
+            }
+
+            // Diffs between consecutive snapshots, wrapping around
+            for (let i = 0; i < workload.diffs && snapshots.length > 1; i++) {
+                const from = snapshots[i % (snapshots.length - 1)];
+                const to = snapshots[i % (snapshots.length - 1) + 1];
+                durations.diff.push((await timed(() => backend.diff(from, to, workDir))).duration);
+            }
+        } finally {
+            await backend.removeWorkspace(workDir).catch((error) => {
+                console.error('❌ Failed to remove benchmark workspace:', error.message);
+            });
+            if (backend.canDeleteSnapshots && snapshots.length > 0) {
+                await backend.deleteSnapshots(snapshots).catch((error) => {
+                    console.error('❌ Failed to delete benchmark snapshots:', error.message);
+                });
+            }
+        }
+
+        const results = {
+            commit: summarize(durations.commit),
+            restore: summarize(durations.restore),
+            diff: summarize(durations.diff)
+        };
+        const commitP95Ns = results.commit.latencyMs.p95 * 1e6;
+        const commitTargetNs = this.heliosEngine.latency.targets.commit;
+        const baseline = await this.getBaseline();
+        const comparison = baseline ? BenchmarkRunner.compare(results, baseline, tolerance) : null;
+
+        const run = {
+            id: uuidv4(),
+            timestamp: new Date(startedAt).toISOString(),
+            durationMs: Date.now() - startedAt,
+            profile,
+            workload,
+            backend: backend.name,
+            engineVersion: await this.heliosEngine.getVersion(),
+            results,
+            targets: {
+                commitLatency: {
+                    target: `< ${formatDuration(commitTargetNs)}`,
+                    p95: formatDuration(commitP95Ns),
+                    met: commitP95Ns <= commitTargetNs
+                }
+            },
+            comparison,
+            status: comparison ? (comparison.regressions.length > 0 ? 'regressed' : 'passed') : 'no-baseline'
+        };
+        run.testPassed = run.status !== 'regressed';
+
+        await this.saveRun(run);
+        if (saveAsBaseline) {
+            await this.writeJson(this.baselinePath, run);
+        }
+        return run;
+    }
+
+    /**
+     * Compare p50/p95 latency and throughput per operation against a baseline
+     */
+    static compare(results, baseline, tolerance = DEFAULT_TOLERANCE) {
+        const metrics = {};
+        const regressions = [];
+        const change = (current, previous) => (previous > 0 ? Math.round((current - previous) / previous * 1000) / 10 : null);
+
+        for (const [operation, current] of Object.entries(results)) {
+            const previous = baseline.results[operation];
+            if (!previous || current.count === 0 || previous.count === 0) continue;
+
+            metrics[operation] = {};
+            for (const stat of ['p50', 'p95']) {
+                const entry = {
+                    baseline: previous.latencyMs[stat],
+                    current: current.latencyMs[stat],
+                    changePercent: change(current.latencyMs[stat], previous.latencyMs[stat])
+                };
+                metrics[operation][stat] = entry;
+                if (entry.current > entry.baseline * (1 + tolerance)) {
+                    regressions.push({ operation, metric: `latency ${stat}`, ...entry });
+                }
+            }
+
+            const throughput = {
+                baseline: previous.throughput,
+                current: current.throughput,
+                changePercent: change(current.throughput, previous.throughput)
+            };
+            metrics[operation].throughput = throughput;
+            if (throughput.current < throughput.baseline * (1 - tolerance)) {
+                regressions.push({ operation, metric: 'throughput', ...throughput });
+            }
+        }
+
+        return {
+            baselineId: baseline.id,
+            baselineTimestamp: baseline.timestamp,
+            baselineEngineVersion: baseline.engineVersion,
+            tolerance,
+            metrics,
+            regressions
+        };
+    }
+
+    async readJson(filePath, fallback) {
+        try {
+            return JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return fallback;
+            throw error;
+        }
+    }
+
+    async writeJson(filePath, data) {
+        await fs.mkdir(this.resultsDir, { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+        await fs.rename(tempPath, filePath);
+    }
+
+    async saveRun(run) {
+        const history = await this.getHistory();
+        history.push(run);
+        await this.writeJson(this.historyPath, history.slice(-HISTORY_LIMIT));
+    }
+
+    /**
+     * Stored runs, oldest first
+     */
+    getHistory() {
+        return this.readJson(this.historyPath, []);
+    }
+
+    getBaseline() {
+        return this.readJson(this.baselinePath, null);
+    }
+}
+
+module.exports = { BenchmarkRunner, PROFILES };
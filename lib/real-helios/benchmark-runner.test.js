@@ -0,0 +1,86 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const RealHeliosEngine = require('./real-helios-engine');
+const { BenchmarkRunner } = require('./benchmark-runner');
+
+const WORKLOAD = { commits: 4, filesPerCommit: 2, fileSize: 256, restoreCycles: 2, diffs: 2 };
+
+describe('BenchmarkRunner', () => {
+    let workDir;
+    let engine;
+    let runner;
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    beforeEach(async () => {
+        workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'helios-benchmark-test-'));
+        engine = new RealHeliosEngine({ workDir });
+        await engine.ready;
+        runner = new BenchmarkRunner(engine);
+    });
+
+    afterEach(async () => {
+        await engine.shutdown();
+        await fs.rm(workDir, { recursive: true, force: true });
+    });
+
+    const manifests = async () => (await fs.readdir(engine.backend.snapshotsDir)).sort();
+
+    test('measures every operation of the workload', async () => {
+        const run = await runner.run({ overrides: WORKLOAD });
+
+        expect(run.results.commit.count).toBe(4);
+        expect(run.results.restore.count).toBe(2);
+        expect(run.results.diff.count).toBe(2);
+        expect(run.status).toBe('no-baseline');
+        expect(await runner.getHistory()).toHaveLength(1);
+    });
+
+    test('leaves no snapshots, objects or workspaces behind', async () => {
+        const universe = await engine.createUniverse();
+        const before = await manifests();
+        const objectsBefore = await engine.backend.scanDirectory(engine.backend.objectsDir);
+
+        await runner.run({ overrides: WORKLOAD });
+
+        expect(await manifests()).toEqual(before);
+        expect(await engine.backend.scanDirectory(engine.backend.objectsDir)).toEqual(objectsBefore);
+        expect(await fs.readdir(path.join(engine.backend.namespacesDir, '_scratch'))).toEqual([]);
+        expect(await fs.readdir(universe.workDir)).toEqual([`universe-${universe.id}.txt`]);
+    });
+
+    test('keeps its scratch workspace out of tenant namespaces', async () => {
+        const tenant = await engine.createUniverse({}, { namespace: 'benchmark' });
+
+        await runner.run({ overrides: WORKLOAD });
+
+        expect(await fs.readdir(path.join(engine.backend.namespacesDir, 'benchmark'))).toEqual([tenant.id]);
+    });
+
+    test('rejects a second run while one is in progress', async () => {
+        const first = runner.run({ overrides: WORKLOAD });
+        await expect(runner.run({ overrides: WORKLOAD })).rejects.toMatchObject({ status: 409 });
+        await first;
+    });
+
+    test('flags latency and throughput regressions against the baseline', () => {
+        const stats = (p50, p95, throughput) => ({ count: 10, throughput, latencyMs: { p50, p95 } });
+        const baseline = { id: 'b', results: { commit: stats(1, 2, 100), diff: stats(1, 1, 100) } };
+        const comparison = BenchmarkRunner.compare({ commit: stats(1.1, 3, 100), diff: stats(1, 1, 50) }, baseline, 0.2);
+
+        expect(comparison.regressions.map(r => `${r.operation} ${r.metric}`)).toEqual(['commit latency p95', 'diff throughput']);
+        expect(comparison.metrics.commit.p95.changePercent).toBe(50);
+    });
+
+    test('rejects unknown profiles', () => {
+        expect(() => BenchmarkRunner.resolveWorkload('extreme')).toThrow(expect.objectContaining({ status: 400 }));
+        expect(BenchmarkRunner.resolveWorkload('quick', { commits: 3 })).toMatchObject({ commits: 3, filesPerCommit: 5 });
+    });
+});
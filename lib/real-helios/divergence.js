@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * Multi-Universe Divergence
+ *
+ * Compares any number of snapshot trees at once. Trees are Maps of
+ * path -> { hash, bytes }, so nothing here reads file contents. Two trees
+ * differ on a path when its hash differs or only one of them has it; the
+ * bytes a differing path contributes are the size of its larger version.
+ */
+
+/**
+ * Compare `trees` ([{ universeId, tree }]); returns
+ * { matrix: { filesDiffering, bytesChanged }, files, filesCompared }, where both
+ * matrices are indexed like `trees` and `files` lists every path whose
+ * versions are not all the same, with the universes holding each version
+ */
+function compareTrees(trees) {
+    const size = trees.length;
+    const filesDiffering = trees.map(() => new Array(size).fill(0));
+    const bytesChanged = trees.map(() => new Array(size).fill(0));
+    const paths = new Set(trees.flatMap(({ tree }) => Array.from(tree.keys())));
+    const files = [];
+
+    for (const filePath of Array.from(paths).sort()) {
+        const entries = trees.map(({ tree }) => tree.get(filePath) || null);
+        const hashes = new Set(entries.map(entry => (entry ? entry.hash : null)));
+        if (hashes.size === 1) continue;
+
+        for (let i = 0; i < size; i++) {
+            for (let j = i + 1; j < size; j++) {
+                const a = entries[i];
+                const b = entries[j];
+                if ((a && a.hash) === (b && b.hash)) continue;
+                const bytes = Math.max(a ? a.bytes : 0, b ? b.bytes : 0);
+                filesDiffering[i][j]++;
+                filesDiffering[j][i]++;
+                bytesChanged[i][j] += bytes;
+                bytesChanged[j][i] += bytes;
+            }
+        }
+
+        // Group universes by version, most widely held first; missingFrom is the absent "version"
+        const versions = new Map();
+        const missingFrom = [];
+        entries.forEach((entry, index) => {
+            const { universeId } = trees[index];
+            if (!entry) {
+                missingFrom.push(universeId);
+                return;
+            }
+            if (!versions.has(entry.hash)) {
+                versions.set(entry.hash, { hash: entry.hash, bytes: entry.bytes, universes: [] });
+            }
+            versions.get(entry.hash).universes.push(universeId);
+        });
+
+        files.push({
+            path: filePath,
+            versions: Array.from(versions.values()).sort((a, b) => b.universes.length - a.universes.length),
+            missingFrom
+        });
+    }
+
+    return {
+        matrix: { filesDiffering, bytesChanged },
+        files,
+        filesCompared: paths.size
+    };
+}
+
+module.exports = { compareTrees };
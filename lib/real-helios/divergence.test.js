@@ -0,0 +1,61 @@
+const { compareTrees } = require('./divergence');
+
+const tree = entries => new Map(Object.entries(entries));
+
+describe('compareTrees', () => {
+    test('reports identical trees as having no differences', () => {
+        const files = { 'a.txt': { hash: 'h1', bytes: 10 } };
+        const result = compareTrees([{ universeId: 'u1', tree: tree(files) }, { universeId: 'u2', tree: tree(files) }]);
+
+        expect(result.files).toEqual([]);
+        expect(result.filesCompared).toBe(1);
+        expect(result.matrix.filesDiffering).toEqual([[0, 0], [0, 0]]);
+    });
+
+    test('fills symmetric matrices with differing files and their larger size', () => {
+        const result = compareTrees([
+            { universeId: 'u1', tree: tree({ 'a.txt': { hash: 'h1', bytes: 10 }, 'b.txt': { hash: 'b', bytes: 5 } }) },
+            { universeId: 'u2', tree: tree({ 'a.txt': { hash: 'h2', bytes: 30 }, 'b.txt': { hash: 'b', bytes: 5 } }) },
+            { universeId: 'u3', tree: tree({ 'a.txt': { hash: 'h1', bytes: 10 } }) }
+        ]);
+
+        expect(result.matrix.filesDiffering).toEqual([
+            [0, 1, 1],
+            [1, 0, 2],
+            [1, 2, 0]
+        ]);
+        expect(result.matrix.bytesChanged).toEqual([
+            [0, 30, 5],
+            [30, 0, 35],
+            [5, 35, 0]
+        ]);
+        expect(result.filesCompared).toBe(2);
+    });
+
+    test('groups universes by version, most widely held first', () => {
+        const result = compareTrees([
+            { universeId: 'u1', tree: tree({ 'a.txt': { hash: 'h2', bytes: 3 } }) },
+            { universeId: 'u2', tree: tree({ 'a.txt': { hash: 'h1', bytes: 2 } }) },
+            { universeId: 'u3', tree: tree({ 'a.txt': { hash: 'h1', bytes: 2 } }) },
+            { universeId: 'u4', tree: tree({}) }
+        ]);
+
+        expect(result.files).toEqual([{
+            path: 'a.txt',
+            versions: [
+                { hash: 'h1', bytes: 2, universes: ['u2', 'u3'] },
+                { hash: 'h2', bytes: 3, universes: ['u1'] }
+            ],
+            missingFrom: ['u4']
+        }]);
+    });
+
+    test('lists differing paths in sorted order', () => {
+        const result = compareTrees([
+            { universeId: 'u1', tree: tree({ 'z.txt': { hash: 'z', bytes: 1 }, 'a/b.txt': { hash: 'b', bytes: 1 } }) },
+            { universeId: 'u2', tree: tree({}) }
+        ]);
+
+        expect(result.files.map(file => file.path)).toEqual(['a/b.txt', 'z.txt']);
+    });
+});
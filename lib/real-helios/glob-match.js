@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * Minimal glob matching for snapshot paths
+ *
+ * Supports `*`, `**`, `?` and comma-separated pattern lists, the same
+ * subset the Helios CLI accepts for --include/--exclude. Patterns without
+ * a slash also match against the file's basename.
+ *
+ * Patterns come from API callers, so they are never turned into a
+ * backtracking RegExp: a compiled pattern is run as a state set over the
+ * path, which takes time proportional to path length x pattern length
+ * whatever the pattern looks like.
+ */
+
+const MAX_CACHED_PATTERNS = 256;
+const patternCache = new Map(); // pattern -> tokens, least recently used first
+
+/**
+ * Tokens: { char }, `any` (`?`), `star` (`*`), `globstar` (`**`) and
+ * `dirs` (`**` followed by `/`, zero or more whole directories)
+ */
+function compilePattern(pattern) {
+    if (patternCache.has(pattern)) {
+        const cached = patternCache.get(pattern);
+        patternCache.delete(pattern);
+        patternCache.set(pattern, cached);
+        return cached;
+    }
+
+    const tokens = [];
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*') {
+            let type = 'star';
+            if (pattern[i + 1] === '*') {
+                if (pattern[i + 2] === '/') {
+                    type = 'dirs';
+                    i += 2;
+                } else {
+                    type = 'globstar';
+                    i += 1;
+                }
+            }
+
+            // Runs of wildcards match what their widest member matches
+            const last = tokens[tokens.length - 1];
+            if (type === 'star' && last && (last.type === 'star' || last.type === 'globstar')) continue;
+            if (type === 'globstar' && last && last.type === 'star') {
+                last.type = 'globstar';
+                continue;
+            }
+            tokens.push({ type });
+        } else if (char === '?') {
+            tokens.push({ type: 'any' });
+        } else {
+            tokens.push({ type: 'char', char });
+        }
+    }
+
+    patternCache.set(pattern, tokens);
+    if (patternCache.size > MAX_CACHED_PATTERNS) {
+        patternCache.delete(patternCache.keys().next().value);
+    }
+    return tokens;
+}
+
+/**
+ * Add `index` and every state reachable from it without consuming a character
+ */
+function addState(states, tokens, index) {
+    while (index < tokens.length && !states.has(index)) {
+        states.add(index);
+        const { type } = tokens[index];
+        if (type !== 'star' && type !== 'globstar' && type !== 'dirs') return;
+        index++;
+    }
+    states.add(index);
+}
+
+/**
+ * States are token indexes, plus `~index` once a `dirs` token has consumed
+ * part of a directory name: from there it can only be left through a `/`,
+ * so a directory wildcard never ends in the middle of a path segment
+ */
+function matchTokens(tokens, text) {
+    let states = new Set();
+    addState(states, tokens, 0);
+
+    for (const char of text) {
+        const next = new Set();
+        for (const state of states) {
+            const index = state < 0 ? ~state : state;
+            if (index === tokens.length) continue;
+            const token = tokens[index];
+            switch (token.type) {
+                case 'char':
+                    if (char === token.char) addState(next, tokens, index + 1);
+                    break;
+                case 'any':
+                    if (char !== '/') addState(next, tokens, index + 1);
+                    break;
+                case 'star':
+                    if (char !== '/') addState(next, tokens, index);
+                    break;
+                case 'globstar':
+                    addState(next, tokens, index);
+                    break;
+                case 'dirs':
+                    next.add(~index);
+                    if (char === '/') addState(next, tokens, index + 1);
+                    break;
+            }
+        }
+        if (next.size === 0) return false;
+        states = next;
+    }
+
+    return states.has(tokens.length);
+}
+
+function splitPatterns(patterns) {
+    if (!patterns) return [];
+    const list = Array.isArray(patterns) ? patterns : String(patterns).split(',');
+    return list.map(p => p.trim()).filter(Boolean);
+}
+
+/**
+ * Test a relative (forward-slash) path against one or more glob patterns
+ */
+function matchesGlob(filePath, patterns) {
+    const basename = filePath.slice(filePath.lastIndexOf('/') + 1);
+
+    return splitPatterns(patterns).some(pattern => {
+        const tokens = compilePattern(pattern);
+        return matchTokens(tokens, filePath) || (!pattern.includes('/') && matchTokens(tokens, basename));
+    });
+}
+
+/**
+ * Keep paths that match `include` (when given) and do not match `exclude`
+ */
+function filterPaths(paths, { include, exclude } = {}) {
+    const hasInclude = splitPatterns(include).length > 0;
+    return paths.filter(filePath =>
+        (!hasInclude || matchesGlob(filePath, include)) &&
+        !matchesGlob(filePath, exclude)
+    );
+}
+
+module.exports = { matchesGlob, filterPaths };
@@ -0,0 +1,67 @@
+const { matchesGlob, filterPaths } = require('./glob-match');
+
+describe('matchesGlob', () => {
+    test.each([
+        ['src/app.js', '*.js', true],
+        ['src/app.js', 'src/*.js', true],
+        ['src/lib/app.js', 'src/*.js', false],
+        ['src/lib/app.js', 'src/**/*.js', true],
+        ['src/app.js', 'src/**/*.js', true],
+        ['src/b.js', 'src/**/b.js', true],
+        ['src/x/y/b.js', 'src/**/b.js', true],
+        ['src/xb.js', 'src/**/b.js', false],
+        ['src/x/yb.js', 'src/**/b.js', false],
+        ['a/foo', '**/foo', true],
+        ['foo', '**/foo', true],
+        ['a/xfoo', '**/foo', false],
+        ['src/lib/deep/app.js', 'src/**', true],
+        ['src/app.js', 'src/ap?.js', true],
+        ['src/a/p.js', 'src/a?p.js', false],
+        ['docs/readme.md', '*.js', false],
+        ['a+b(1).txt', 'a+b(1).txt', true],
+        ['a+b(1).txt', 'a.b(1).txt', false]
+    ])('%s against %s is %s', (filePath, pattern, expected) => {
+        expect(matchesGlob(filePath, pattern)).toBe(expected);
+    });
+
+    test('matches basenames for patterns without a slash', () => {
+        expect(matchesGlob('deep/nested/file.log', 'file.*')).toBe(true);
+        expect(matchesGlob('deep/nested/file.log', 'nested/file.*')).toBe(false);
+    });
+
+    test('accepts comma-separated lists and arrays', () => {
+        expect(matchesGlob('a.md', '*.js, *.md')).toBe(true);
+        expect(matchesGlob('a.md', ['*.js', '*.md'])).toBe(true);
+        expect(matchesGlob('a.txt', '*.js,*.md')).toBe(false);
+        expect(matchesGlob('a.txt', '')).toBe(false);
+    });
+
+    test('runs in linear time on patterns that make backtracking regexes blow up', () => {
+        const startedAt = Date.now();
+        expect(matchesGlob('a'.repeat(40), '*a'.repeat(12) + 'b')).toBe(false);
+        expect(matchesGlob('a'.repeat(2000), '*a'.repeat(500) + 'b')).toBe(false);
+        expect(matchesGlob('a/'.repeat(200) + 'x', '**/'.repeat(100) + 'x')).toBe(true);
+        expect(Date.now() - startedAt).toBeLessThan(2000);
+    });
+
+    test('keeps matching correctly once the pattern cache has evicted entries', () => {
+        for (let i = 0; i < 1000; i++) {
+            expect(matchesGlob(`file-${i}.txt`, `file-${i}.*`)).toBe(true);
+        }
+        expect(matchesGlob('file-0.txt', 'file-0.*')).toBe(true);
+    });
+});
+
+describe('filterPaths', () => {
+    const paths = ['src/app.js', 'src/app.test.js', 'docs/guide.md', 'README.md'];
+
+    test('keeps everything without filters', () => {
+        expect(filterPaths(paths)).toEqual(paths);
+    });
+
+    test('applies include, then exclude', () => {
+        expect(filterPaths(paths, { include: 'src/**' })).toEqual(['src/app.js', 'src/app.test.js']);
+        expect(filterPaths(paths, { include: 'src/**', exclude: '*.test.js' })).toEqual(['src/app.js']);
+        expect(filterPaths(paths, { exclude: '*.md' })).toEqual(['src/app.js', 'src/app.test.js']);
+    });
+});
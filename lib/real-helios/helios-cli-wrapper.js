@@ -7,19 +7,34 @@
  * enabling the demo backend to showcase actual VST operations with <70μs commits
  */
 
-const { spawn, exec } = require('child_process');
+const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs').promises;
-const util = require('util');
+const VstBackend = require('./vst-backend');
+const ProcessPool = require('./process-pool');
+const { formatDuration } = require('../latency-recorder');
 
-const execAsync = util.promisify(exec);
+const DEFAULT_TIMEOUT_MS = 30000;
+const KILL_GRACE_MS = 2000; // SIGTERM -> SIGKILL escalation delay
+const MAX_OUTPUT_BYTES = 16 * 1024 * 1024;
 
-class HeliosCliWrapper {
-    constructor(heliosCliPath = null) {
+class HeliosCliWrapper extends VstBackend {
+    constructor(heliosCliPath = null, workDir = null, options = {}) {
+        super(workDir);
+        this.name = 'cli';
         // Path to the packaged Helios CLI binary
         this.heliosCliPath = heliosCliPath || path.join(__dirname, '../../bin/helios-cli');
-        this.workDir = path.join(__dirname, '../../workspace');
-        this.initialized = false;
+        this.defaultTimeout = options.timeout || DEFAULT_TIMEOUT_MS;
+        this.pool = new ProcessPool({ maxConcurrency: options.maxConcurrency });
+    }
+
+    /**
+     * Reject values the CLI could mistake for flags before they reach argv
+     */
+    assertSafeArgument(value, name) {
+        if (typeof value !== 'string' || value.length === 0 || value.startsWith('-') || value.includes('\0')) {
+            throw new Error(`Invalid ${name}: ${value}`);
+        }
     }
 
     /**
@@ -29,6 +44,7 @@ class HeliosCliWrapper {
         try {
             // Create demo workspace if it doesn't exist
             await fs.mkdir(this.workDir, { recursive: true });
+            await fs.mkdir(this.namespacesDir, { recursive: true });
 
             // Verify Helios CLI binary exists
             await fs.access(this.heliosCliPath);
@@ -44,39 +60,127 @@ class HeliosCliWrapper {
 
     /**
      * Execute Helios CLI command with real binary
+     *
+     * Arguments are passed as an argv array (no shell), calls wait for a slot
+     * in the process pool, and a call that outlives its timeout is killed.
      */
     async executeCommand(command, args = [], options = {}) {
-        if (!this.initialized) {
-            await this.initialize();
-        }
+        await this.ensureInitialized();
 
-        const fullCommand = `${this.heliosCliPath} ${command} ${args.join(' ')}`.trim();
+        const queuedAt = process.hrtime.bigint();
+        return await this.pool.run(() => this.spawnCommand(command, args, {
+            ...options,
+            queueTime: Number(process.hrtime.bigint() - queuedAt) / 1000000
+        }));
+    }
 
-        try {
+    spawnCommand(command, args, options) {
+        const argv = [command, ...args];
+        const displayCommand = [this.heliosCliPath, ...argv].join(' ');
+        const timeout = options.timeout || this.defaultTimeout;
+
+        return new Promise((resolve) => {
             const startTime = process.hrtime.bigint();
-            const { stdout, stderr } = await execAsync(fullCommand, {
-                cwd: this.workDir,
-                timeout: options.timeout || 30000,
-                ...options
+            const stdout = [];
+            const stderr = [];
+            let outputBytes = 0;
+            let timedOut = false;
+            let killTimer = null;
+
+            const child = spawn(this.heliosCliPath, argv, {
+                cwd: options.cwd || this.workDir,
+                shell: false,
+                stdio: ['ignore', 'pipe', 'pipe'],
+                detached: true // own process group, so a timeout kills any children too
             });
-            const endTime = process.hrtime.bigint();
-            const executionTime = Number(endTime - startTime) / 1000000; // Convert to milliseconds
 
-            return {
-                success: true,
-                stdout: stdout.trim(),
-                stderr: stderr.trim(),
-                executionTime,
-                command: fullCommand
+            const killGroup = (signal) => {
+                try {
+                    process.kill(-child.pid, signal);
+                } catch (error) {
+                    child.kill(signal);
+                }
             };
-        } catch (error) {
-            return {
-                success: false,
-                error: error.message,
-                command: fullCommand,
-                executionTime: 0
+
+            const collect = target => (chunk) => {
+                outputBytes += chunk.length;
+                if (outputBytes <= MAX_OUTPUT_BYTES) target.push(chunk);
             };
-        }
+            child.stdout.on('data', collect(stdout));
+            child.stderr.on('data', collect(stderr));
+
+            const timeoutTimer = setTimeout(() => {
+                timedOut = true;
+                killGroup('SIGTERM');
+                killTimer = setTimeout(() => killGroup('SIGKILL'), KILL_GRACE_MS);
+            }, timeout);
+
+            let finished = false;
+            const finish = (result) => {
+                if (finished) return;
+                finished = true;
+                clearTimeout(timeoutTimer);
+                clearTimeout(killTimer);
+                const durationNs = Number(process.hrtime.bigint() - startTime);
+                resolve({
+                    ...result,
+                    durationNs,
+                    executionTime: durationNs / 1e6, // ms
+                    queueTime: options.queueTime,
+                    command: displayCommand
+                });
+            };
+
+            child.on('error', (error) => {
+                finish({
+                    success: false,
+                    error: error.message,
+                    stdout: Buffer.concat(stdout).toString('utf8').trim(),
+                    stderr: Buffer.concat(stderr).toString('utf8').trim(),
+                    exitCode: null,
+                    signal: null,
+                    timedOut
+                });
+            });
+
+            // A killed process may leave its pipes open in orphans, so don't wait for 'close'
+            child.on('exit', (exitCode, signal) => {
+                if (timedOut) {
+                    finish({
+                        success: false,
+                        error: `timed out after ${timeout}ms`,
+                        stdout: Buffer.concat(stdout).toString('utf8').trim(),
+                        stderr: Buffer.concat(stderr).toString('utf8').trim(),
+                        exitCode,
+                        signal,
+                        timedOut
+                    });
+                }
+            });
+
+            child.on('close', (exitCode, signal) => {
+                const out = Buffer.concat(stdout).toString('utf8').trim();
+                const err = Buffer.concat(stderr).toString('utf8').trim();
+
+                if (exitCode === 0 && !timedOut) {
+                    finish({ success: true, stdout: out, stderr: err, exitCode, signal: null, timedOut });
+                    return;
+                }
+
+                const reason = timedOut
+                    ? `timed out after ${timeout}ms`
+                    : signal ? `killed by ${signal}` : `exited with code ${exitCode}`;
+                finish({
+                    success: false,
+                    error: err ? `${reason}: ${err}` : reason,
+                    stdout: out,
+                    stderr: err,
+                    exitCode,
+                    signal,
+                    timedOut
+                });
+            });
+        });
     }
 
     /**
@@ -84,7 +188,7 @@ class HeliosCliWrapper {
      */
     async commit(workDir = null) {
         const targetDir = workDir || this.workDir;
-        const result = await this.executeCommand('commit', ['--work', targetDir]);
+        const result = await this.executeCommand('commit', ['--work', targetDir], { cwd: targetDir });
 
         if (result.success) {
             try {
@@ -94,11 +198,13 @@ class HeliosCliWrapper {
                 return {
                     success: true,
                     snapshotId: output.snapshot_id,
+                    // Wall time of the CLI process, spawn included
                     metrics: {
-                        commitTime: result.executionTime * 1000, // Convert ms to μs
+                        durationNs: result.durationNs,
+                        commitTime: result.durationNs / 1e3, // μs
                         executionTime: result.executionTime,
                         realHeliosOperation: true,
-                        vstLatency: `${(result.executionTime * 1000).toFixed(2)}μs`
+                        vstLatency: formatDuration(result.durationNs)
                     },
                     rawOutput: result.stdout
                 };
@@ -113,14 +219,17 @@ class HeliosCliWrapper {
     /**
      * Restore from VST snapshot - Real Helios restore operation
      */
-    async restore(snapshotId) {
-        const result = await this.executeCommand('restore', ['--id', snapshotId]);
+    async restore(snapshotId, workDir = null) {
+        this.assertSafeArgument(snapshotId, 'snapshot id');
+        const targetDir = workDir || this.workDir;
+        const result = await this.executeCommand('restore', ['--id', snapshotId, '--work', targetDir], { cwd: targetDir });
 
         if (result.success) {
             return {
                 success: true,
                 snapshotId,
                 metrics: {
+                    durationNs: result.durationNs,
                     restoreTime: result.executionTime,
                     realHeliosOperation: true
                 },
@@ -134,8 +243,11 @@ class HeliosCliWrapper {
     /**
      * Get diff between snapshots - Real Helios diff operation
      */
-    async diff(fromSnapshot, toSnapshot) {
-        const result = await this.executeCommand('diff', ['--from', fromSnapshot, '--to', toSnapshot]);
+    async diff(fromSnapshot, toSnapshot, workDir = null) {
+        this.assertSafeArgument(fromSnapshot, 'snapshot id');
+        this.assertSafeArgument(toSnapshot, 'snapshot id');
+        const targetDir = workDir || this.workDir;
+        const result = await this.executeCommand('diff', ['--from', fromSnapshot, '--to', toSnapshot], { cwd: targetDir });
 
         if (result.success) {
             return {
@@ -143,6 +255,7 @@ class HeliosCliWrapper {
                 fromSnapshot,
                 toSnapshot,
                 diffStats: {
+                    durationNs: result.durationNs,
                     executionTime: result.executionTime,
                     realHeliosOperation: true
                 },
@@ -157,11 +270,18 @@ class HeliosCliWrapper {
      * Materialize snapshot to directory - Real Helios materialize operation
      */
     async materialize(snapshotId, outputDir, options = {}) {
-        const args = ['--id', snapshotId, '--out', outputDir];
-        if (options.include) args.push('--include', options.include);
-        if (options.exclude) args.push('--exclude', options.exclude);
+        this.assertSafeArgument(snapshotId, 'snapshot id');
+        const args = ['--id', snapshotId, '--out', path.resolve(outputDir)];
+        if (options.include) {
+            this.assertSafeArgument(options.include, 'include pattern');
+            args.push('--include', options.include);
+        }
+        if (options.exclude) {
+            this.assertSafeArgument(options.exclude, 'exclude pattern');
+            args.push('--exclude', options.exclude);
+        }
 
-        const result = await this.executeCommand('materialize', args);
+        const result = await this.executeCommand('materialize', args, { cwd: options.workDir || this.workDir });
 
         if (result.success) {
             return {
@@ -169,6 +289,7 @@ class HeliosCliWrapper {
                 snapshotId,
                 outputDir,
                 metrics: {
+                    durationNs: result.durationNs,
                     materializeTime: result.executionTime,
                     realHeliosOperation: true
                 },
@@ -211,23 +332,6 @@ class HeliosCliWrapper {
             binaryPath: this.heliosCliPath
         };
     }
-
-    /**
-     * Create demo file in workspace for testing
-     */
-    async createDemoFile(filename, content) {
-        const filePath = path.join(this.workDir, filename);
-        await fs.writeFile(filePath, content, 'utf8');
-        return filePath;
-    }
-
-    /**
-     * Read demo file from workspace
-     */
-    async readDemoFile(filename) {
-        const filePath = path.join(this.workDir, filename);
-        return await fs.readFile(filePath, 'utf8');
-    }
 }
 
 module.exports = HeliosCliWrapper;
\ No newline at end of file
@@ -0,0 +1,66 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const HeliosCliWrapper = require('./helios-cli-wrapper');
+
+// Stand-in for the Helios binary: echoes its argv, or fails/hangs on request
+const FAKE_CLI = `#!/bin/sh
+case "$1" in
+    fail) echo "bad things" >&2; exit 3 ;;
+    hang) sleep 30 ;;
+    *) for arg in "$@"; do printf '%s\\n' "$arg"; done ;;
+esac
+`;
+
+describe('HeliosCliWrapper', () => {
+    let workDir;
+    let wrapper;
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    beforeEach(async () => {
+        workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'helios-cli-test-'));
+        const cliPath = path.join(workDir, 'helios-cli');
+        await fs.writeFile(cliPath, FAKE_CLI, { mode: 0o755 });
+        wrapper = new HeliosCliWrapper(cliPath, path.join(workDir, 'workspace'), { timeout: 500, maxConcurrency: 2 });
+    });
+
+    afterEach(async () => {
+        await fs.rm(workDir, { recursive: true, force: true });
+    });
+
+    test('passes arguments as argv without a shell', async () => {
+        const result = await wrapper.executeCommand('echo', ['$(touch pwned)', 'a b; c']);
+
+        expect(result).toMatchObject({ success: true, exitCode: 0, timedOut: false });
+        expect(result.stdout.split('\n')).toEqual(['echo', '$(touch pwned)', 'a b; c']);
+        await expect(fs.access(path.join(wrapper.workDir, 'pwned'))).rejects.toMatchObject({ code: 'ENOENT' });
+    });
+
+    test('reports the exit code and stderr of failed commands', async () => {
+        const result = await wrapper.executeCommand('fail');
+
+        expect(result).toMatchObject({ success: false, exitCode: 3, error: 'exited with code 3: bad things' });
+    });
+
+    test('kills commands that outlive their timeout', async () => {
+        const result = await wrapper.executeCommand('hang', [], { timeout: 100 });
+
+        expect(result).toMatchObject({ success: false, timedOut: true, error: 'timed out after 100ms' });
+        expect(result.executionTime).toBeLessThan(5000);
+        expect(wrapper.pool.getMetrics()).toMatchObject({ timedOut: 1, active: 0 });
+    });
+
+    test('rejects arguments the CLI could read as flags', () => {
+        expect(() => wrapper.assertSafeArgument('--force', 'snapshot id')).toThrow('Invalid snapshot id');
+        expect(() => wrapper.assertSafeArgument('', 'snapshot id')).toThrow('Invalid snapshot id');
+        expect(() => wrapper.assertSafeArgument('abc\0', 'snapshot id')).toThrow('Invalid snapshot id');
+        expect(() => wrapper.assertSafeArgument('abc123', 'snapshot id')).not.toThrow();
+    });
+});
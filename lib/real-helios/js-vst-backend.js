@@ -0,0 +1,480 @@
+#!/usr/bin/env node
+
+/**
+ * In-process JavaScript VST Backend
+ *
+ * Content-addressed, copy-on-write snapshot store that implements the same
+ * contract as HeliosCliWrapper without needing the Helios CLI binary.
+ * File contents are stored once per SHA-256 hash; a snapshot is a manifest
+ * mapping relative paths to object hashes, so unchanged files are shared
+ * between every snapshot and universe that references them.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const VstBackend = require('./vst-backend');
+const { filterPaths } = require('./glob-match');
+const { formatDuration } = require('../latency-recorder');
+
+const SNAPSHOT_ID_PATTERN = /^[0-9a-f]{64}$/;
+// Unreferenced manifests younger than this may belong to a commit its caller has not recorded yet
+const UNREFERENCED_GRACE_MS = 60 * 60 * 1000;
+
+class JsVstBackend extends VstBackend {
+    constructor(workDir = null) {
+        super(workDir);
+        this.name = 'js';
+        this.storeDir = path.join(this.workDir, '.vst');
+        this.objectsDir = path.join(this.storeDir, 'objects');
+        this.snapshotsDir = path.join(this.storeDir, 'snapshots');
+
+        // absolute path -> { size, mtimeMs, hash } so unchanged files are not re-hashed
+        this.hashCache = new Map();
+        // working directory -> latest snapshot id, used as the parent of the next commit
+        this.heads = new Map();
+
+        // Commits share the store; deleteSnapshots() needs it to itself so it never
+        // sweeps objects of a commit whose manifest is not written yet
+        this.canDeleteSnapshots = true;
+        this.reportsSnapshotStorage = true;
+        this.activeCommits = 0;
+        this.exclusive = null; // resolves when the running sweep finishes
+        this.commitsDrained = null;
+    }
+
+    /**
+     * Create the object and snapshot stores
+     */
+    async initialize() {
+        await fs.mkdir(this.namespacesDir, { recursive: true });
+        await fs.mkdir(this.objectsDir, { recursive: true });
+        await fs.mkdir(this.snapshotsDir, { recursive: true });
+
+        this.initialized = true;
+        console.log(`✅ JS VST backend initialized: ${this.storeDir}`);
+        return true;
+    }
+
+    objectPath(hash) {
+        return path.join(this.objectsDir, hash.slice(0, 2), hash.slice(2));
+    }
+
+    /**
+     * Hash a working file without storing it
+     */
+    async hashFile(absPath) {
+        const stat = await fs.stat(absPath);
+        const cached = this.hashCache.get(absPath);
+        if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs) {
+            return cached.hash;
+        }
+
+        const content = await fs.readFile(absPath);
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    /**
+     * Hash a working file and store its content if the object is new
+     * Returns { hash, size, mode, stored }
+     */
+    async storeFile(absPath) {
+        const stat = await fs.stat(absPath);
+        const cached = this.hashCache.get(absPath);
+        if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs) {
+            return { hash: cached.hash, size: stat.size, mode: stat.mode & 0o777, stored: false };
+        }
+
+        const content = await fs.readFile(absPath);
+        const hash = crypto.createHash('sha256').update(content).digest('hex');
+        const stored = await this.writeObject(hash, content);
+
+        this.hashCache.set(absPath, { size: stat.size, mtimeMs: stat.mtimeMs, hash });
+        return { hash, size: stat.size, mode: stat.mode & 0o777, stored };
+    }
+
+    async writeObject(hash, content) {
+        const objectPath = this.objectPath(hash);
+        try {
+            await fs.access(objectPath);
+            return false;
+        } catch (error) {
+            await fs.mkdir(path.dirname(objectPath), { recursive: true });
+            const tempPath = `${objectPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+            await fs.writeFile(tempPath, content);
+            await fs.rename(tempPath, objectPath);
+            return true;
+        }
+    }
+
+    async readObject(hash) {
+        return await fs.readFile(this.objectPath(hash));
+    }
+
+    /**
+     * Load a snapshot manifest by id
+     */
+    async loadManifest(snapshotId) {
+        if (!SNAPSHOT_ID_PATTERN.test(String(snapshotId))) {
+            throw new Error(`Invalid snapshot id: ${snapshotId}`);
+        }
+
+        try {
+            const raw = await fs.readFile(path.join(this.snapshotsDir, `${snapshotId}.json`), 'utf8');
+            return JSON.parse(raw);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`Snapshot ${snapshotId} not found`);
+            }
+            throw error;
+        }
+    }
+
+    async enterCommit() {
+        while (this.exclusive) {
+            await this.exclusive;
+        }
+        this.activeCommits++;
+    }
+
+    leaveCommit() {
+        this.activeCommits--;
+        if (this.activeCommits === 0 && this.commitsDrained) {
+            this.commitsDrained();
+        }
+    }
+
+    /**
+     * Wait for running commits, hold new ones back; resolves to a release function
+     */
+    async acquireExclusive() {
+        while (this.exclusive) {
+            await this.exclusive;
+        }
+        let release;
+        this.exclusive = new Promise(resolve => { release = resolve; });
+        while (this.activeCommits > 0) {
+            await new Promise(resolve => { this.commitsDrained = resolve; });
+        }
+        this.commitsDrained = null;
+        return () => {
+            this.exclusive = null;
+            release();
+        };
+    }
+
+    /**
+     * Commit changes to VST - content-addressed snapshot of a working directory
+     */
+    async commit(workDir = null) {
+        await this.ensureInitialized();
+        await this.enterCommit();
+        try {
+            return await this.writeSnapshot(workDir || this.workDir);
+        } finally {
+            this.leaveCommit();
+        }
+    }
+
+    async writeSnapshot(targetDir) {
+        const startTime = process.hrtime.bigint();
+
+        const files = {};
+        let newObjects = 0;
+        let totalBytes = 0;
+        for (const file of await this.scanDirectory(targetDir)) {
+            const { hash, size, mode, stored } = await this.storeFile(file.absPath);
+            files[file.relPath] = { hash, size, mode };
+            totalBytes += size;
+            if (stored) newObjects++;
+        }
+
+        const manifest = {
+            parent: this.heads.get(targetDir) || null,
+            createdAt: new Date().toISOString(),
+            workspace: path.basename(targetDir),
+            files
+        };
+        const snapshotId = crypto.createHash('sha256')
+            .update(JSON.stringify(manifest))
+            .update(crypto.randomBytes(8))
+            .digest('hex');
+
+        await fs.writeFile(
+            path.join(this.snapshotsDir, `${snapshotId}.json`),
+            JSON.stringify({ id: snapshotId, ...manifest })
+        );
+        this.heads.set(targetDir, snapshotId);
+
+        const durationNs = Number(process.hrtime.bigint() - startTime);
+
+        return {
+            success: true,
+            snapshotId,
+            metrics: {
+                durationNs,
+                commitTime: durationNs / 1e3, // μs
+                executionTime: durationNs / 1e6, // ms
+                realHeliosOperation: false,
+                vstLatency: formatDuration(durationNs)
+            },
+            rawOutput: JSON.stringify({
+                snapshot_id: snapshotId,
+                files: Object.keys(files).length,
+                bytes: totalBytes,
+                new_objects: newObjects
+            })
+        };
+    }
+
+    /**
+     * Restore from VST snapshot - only files whose content differs are rewritten
+     */
+    async restore(snapshotId, workDir = null) {
+        await this.ensureInitialized();
+        const targetDir = workDir || this.workDir;
+        const startTime = process.hrtime.bigint();
+
+        const manifest = await this.loadManifest(snapshotId);
+        let written = 0;
+        let removed = 0;
+
+        for (const file of await this.scanDirectory(targetDir)) {
+            if (!manifest.files[file.relPath]) {
+                await fs.rm(file.absPath, { force: true });
+                this.hashCache.delete(file.absPath);
+                removed++;
+            }
+        }
+
+        for (const [relPath, entry] of Object.entries(manifest.files)) {
+            const absPath = path.join(targetDir, relPath);
+            const currentHash = await this.hashFile(absPath).catch(() => null);
+            if (currentHash === entry.hash) {
+                continue;
+            }
+
+            await fs.mkdir(path.dirname(absPath), { recursive: true });
+            await fs.writeFile(absPath, await this.readObject(entry.hash), { mode: entry.mode });
+            this.hashCache.delete(absPath);
+            written++;
+        }
+
+        this.heads.set(targetDir, snapshotId);
+        const durationNs = Number(process.hrtime.bigint() - startTime);
+
+        return {
+            success: true,
+            snapshotId,
+            metrics: {
+                durationNs,
+                restoreTime: durationNs / 1e6, // ms
+                realHeliosOperation: false
+            },
+            rawOutput: JSON.stringify({ snapshot_id: snapshotId, written, removed })
+        };
+    }
+
+    /**
+     * Get diff between snapshots by comparing manifests
+     */
+    async diff(fromSnapshot, toSnapshot) {
+        await this.ensureInitialized();
+        const startTime = process.hrtime.bigint();
+
+        const from = await this.loadManifest(fromSnapshot);
+        const to = await this.loadManifest(toSnapshot);
+
+        const added = [];
+        const modified = [];
+        const deleted = [];
+        for (const [relPath, entry] of Object.entries(to.files)) {
+            const previous = from.files[relPath];
+            if (!previous) {
+                added.push({ path: relPath, hash: entry.hash, size: entry.size });
+            } else if (previous.hash !== entry.hash) {
+                modified.push({ path: relPath, from_hash: previous.hash, to_hash: entry.hash, from_size: previous.size, to_size: entry.size });
+            }
+        }
+        for (const [relPath, entry] of Object.entries(from.files)) {
+            if (!to.files[relPath]) {
+                deleted.push({ path: relPath, hash: entry.hash, size: entry.size });
+            }
+        }
+
+        const durationNs = Number(process.hrtime.bigint() - startTime);
+
+        return {
+            success: true,
+            fromSnapshot,
+            toSnapshot,
+            diffStats: {
+                durationNs,
+                executionTime: durationNs / 1e6, // ms
+                realHeliosOperation: false
+            },
+            rawOutput: JSON.stringify({ added, modified, deleted })
+        };
+    }
+
+    /**
+     * Materialize snapshot to directory
+     */
+    async materialize(snapshotId, outputDir, options = {}) {
+        await this.ensureInitialized();
+        const startTime = process.hrtime.bigint();
+
+        const manifest = await this.loadManifest(snapshotId);
+        const paths = filterPaths(Object.keys(manifest.files), options);
+
+        for (const relPath of paths) {
+            const entry = manifest.files[relPath];
+            const absPath = path.join(outputDir, relPath);
+            await fs.mkdir(path.dirname(absPath), { recursive: true });
+            await fs.writeFile(absPath, await this.readObject(entry.hash), { mode: entry.mode });
+        }
+
+        const durationNs = Number(process.hrtime.bigint() - startTime);
+
+        return {
+            success: true,
+            snapshotId,
+            outputDir,
+            metrics: {
+                durationNs,
+                materializeTime: durationNs / 1e6, // ms
+                realHeliosOperation: false
+            },
+            rawOutput: JSON.stringify({ snapshot_id: snapshotId, files: paths.length })
+        };
+    }
+
+    /**
+     * Read one file straight from the object store
+     */
+    async readSnapshotFile(snapshotId, filePath) {
+        await this.ensureInitialized();
+        const manifest = await this.loadManifest(snapshotId);
+        const entry = manifest.files[filePath];
+        return entry ? await this.readObject(entry.hash) : null;
+    }
+
+    /**
+     * File hashes and sizes straight from the manifest
+     */
+    async listSnapshotFiles(snapshotId) {
+        await this.ensureInitialized();
+        const manifest = await this.loadManifest(snapshotId);
+        return new Map(Object.entries(manifest.files).map(([relPath, entry]) =>
+            [relPath, { hash: entry.hash, bytes: entry.size }]));
+    }
+
+    /**
+     * Delete snapshot manifests, then sweep every object that no remaining
+     * manifest references. Cached hashes of swept objects are dropped too,
+     * since storeFile() takes a cache hit to mean the object is stored.
+     * With `live` (the snapshot ids still referenced), every other manifest
+     * older than `graceMs` is deleted as well.
+     */
+    async deleteSnapshots(snapshotIds, options = {}) {
+        await this.ensureInitialized();
+        const release = await this.acquireExclusive();
+
+        try {
+            const doomed = new Set(snapshotIds.filter(id => SNAPSHOT_ID_PATTERN.test(String(id))));
+            const referenced = options.live ? new Set(options.live) : null;
+            const unreferencedBefore = Date.now() - (options.graceMs === undefined ? UNREFERENCED_GRACE_MS : options.graceMs);
+            const deleted = [];
+            const live = new Set();
+            let bytesReclaimed = 0;
+
+            // Mark: objects referenced by snapshots that stay
+            for (const name of await fs.readdir(this.snapshotsDir)) {
+                const snapshotId = path.basename(name, '.json');
+                if (!name.endsWith('.json') || !SNAPSHOT_ID_PATTERN.test(snapshotId)) continue;
+
+                const manifestPath = path.join(this.snapshotsDir, name);
+                const manifest = doomed.has(snapshotId) ? null : JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+                if (manifest && referenced && !referenced.has(snapshotId) &&
+                    Date.parse(manifest.createdAt) < unreferencedBefore) {
+                    doomed.add(snapshotId);
+                }
+                if (doomed.has(snapshotId)) {
+                    bytesReclaimed += (await fs.stat(manifestPath)).size;
+                    deleted.push(snapshotId);
+                    if (!options.dryRun) await fs.rm(manifestPath, { force: true });
+                    continue;
+                }
+                for (const entry of Object.values(manifest.files)) {
+                    live.add(entry.hash);
+                }
+            }
+
+            // Sweep: everything else in the object store
+            const swept = new Set();
+            for (const object of await this.scanDirectory(this.objectsDir)) {
+                const hash = object.relPath.replace('/', '');
+                if (!SNAPSHOT_ID_PATTERN.test(hash) || live.has(hash)) continue;
+
+                bytesReclaimed += (await fs.stat(object.absPath)).size;
+                swept.add(hash);
+                if (!options.dryRun) await fs.rm(object.absPath, { force: true });
+            }
+
+            if (!options.dryRun) {
+                for (const [absPath, cached] of this.hashCache) {
+                    if (swept.has(cached.hash)) this.hashCache.delete(absPath);
+                }
+                for (const [workDir, head] of this.heads) {
+                    if (doomed.has(head)) this.heads.delete(workDir);
+                }
+            }
+
+            return { deleted, objectsRemoved: swept.size, bytesReclaimed };
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Get store statistics
+     */
+    async getStats() {
+        await this.ensureInitialized();
+        const startTime = process.hrtime.bigint();
+
+        const objects = await this.scanDirectory(this.objectsDir);
+        let bytesStored = 0;
+        for (const object of objects) {
+            bytesStored += (await fs.stat(object.absPath)).size;
+        }
+        const snapshots = (await fs.readdir(this.snapshotsDir)).filter(name => name.endsWith('.json')).length;
+
+        const engineMetrics = { objects: objects.length, snapshots, bytes_stored: bytesStored };
+        const executionTime = Number(process.hrtime.bigint() - startTime) / 1000000;
+
+        return {
+            success: true,
+            stats: {
+                executionTime,
+                realHeliosOperation: false,
+                engineMetrics: JSON.stringify(engineMetrics)
+            },
+            rawOutput: JSON.stringify(engineMetrics)
+        };
+    }
+
+    /**
+     * Get backend version information
+     */
+    async getVersion() {
+        return {
+            success: true,
+            version: 'Helios VST Engine v1.0.0 (JS Backend)',
+            realHeliosOperation: false,
+            storePath: this.storeDir
+        };
+    }
+}
+
+module.exports = JsVstBackend;
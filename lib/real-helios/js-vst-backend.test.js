@@ -0,0 +1,205 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const JsVstBackend = require('./js-vst-backend');
+
+describe('JsVstBackend', () => {
+    let workDir;
+    let backend;
+    let workspace;
+
+    const writeFiles = async (dir, files) => {
+        for (const [relPath, content] of Object.entries(files)) {
+            await fs.mkdir(path.dirname(path.join(dir, relPath)), { recursive: true });
+            await fs.writeFile(path.join(dir, relPath), content);
+        }
+    };
+
+    const readTree = async (dir) => {
+        const tree = {};
+        for (const file of await backend.scanDirectory(dir)) {
+            tree[file.relPath] = (await fs.readFile(file.absPath)).toString();
+        }
+        return tree;
+    };
+
+    const commit = async (dir = workspace) => {
+        const result = await backend.commit(dir);
+        return { snapshotId: result.snapshotId, ...JSON.parse(result.rawOutput) };
+    };
+
+    const objectCount = async () => (await backend.scanDirectory(backend.objectsDir)).length;
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    beforeEach(async () => {
+        workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'helios-js-backend-test-'));
+        backend = new JsVstBackend(workDir);
+        await backend.initialize();
+        workspace = path.join(workDir, 'namespaces', 'default', 'u1');
+        await fs.mkdir(workspace, { recursive: true });
+    });
+
+    afterEach(async () => {
+        await fs.rm(workDir, { recursive: true, force: true });
+    });
+
+    describe('commit and restore', () => {
+        test('round-trips a working tree, rewriting only what changed', async () => {
+            await writeFiles(workspace, { 'a.txt': 'a', 'src/b.txt': 'b', 'src/keep.txt': 'keep' });
+            const first = await commit();
+
+            await writeFiles(workspace, { 'a.txt': 'a changed', 'c.txt': 'new' });
+            await fs.rm(path.join(workspace, 'src/b.txt'));
+            const second = await commit();
+            expect(second.files).toBe(3);
+
+            const restored = await backend.restore(first.snapshotId, workspace);
+            expect(JSON.parse(restored.rawOutput)).toEqual({ snapshot_id: first.snapshotId, written: 2, removed: 1 });
+            expect(await readTree(workspace)).toEqual({ 'a.txt': 'a', 'src/b.txt': 'b', 'src/keep.txt': 'keep' });
+
+            await backend.restore(second.snapshotId, workspace);
+            expect(await readTree(workspace)).toEqual({ 'a.txt': 'a changed', 'c.txt': 'new', 'src/keep.txt': 'keep' });
+        });
+
+        test('stores each content once across workspaces', async () => {
+            const other = path.join(workDir, 'namespaces', 'default', 'u2');
+            await writeFiles(workspace, { 'a.txt': 'same', 'b.txt': 'same' });
+            await writeFiles(other, { 'c.txt': 'same' });
+
+            expect((await commit()).new_objects).toBe(1);
+            expect((await commit(other)).new_objects).toBe(0);
+            expect(await objectCount()).toBe(1);
+        });
+
+        test('chains each commit to the previous head of its workspace', async () => {
+            await writeFiles(workspace, { 'a.txt': 'a' });
+            const first = await commit();
+            const second = await commit();
+
+            expect((await backend.loadManifest(first.snapshotId)).parent).toBeNull();
+            expect((await backend.loadManifest(second.snapshotId)).parent).toBe(first.snapshotId);
+        });
+
+        test('rejects malformed and unknown snapshot ids', async () => {
+            await expect(backend.restore('../etc', workspace)).rejects.toThrow('Invalid snapshot id');
+            await expect(backend.restore('0'.repeat(64), workspace)).rejects.toThrow('not found');
+        });
+    });
+
+    describe('hash cache', () => {
+        test('skips re-hashing unchanged files and notices changed ones', async () => {
+            await writeFiles(workspace, { 'a.txt': 'a' });
+            await commit();
+            const absPath = path.join(workspace, 'a.txt');
+            expect(backend.hashCache.has(absPath)).toBe(true);
+
+            const readFile = jest.spyOn(fs, 'readFile');
+            expect((await backend.storeFile(absPath)).stored).toBe(false);
+            expect(readFile).not.toHaveBeenCalledWith(absPath);
+            readFile.mockRestore();
+
+            await fs.writeFile(absPath, 'a, but longer');
+            const { snapshotId, new_objects: newObjects } = await commit();
+            expect(newObjects).toBe(1);
+            expect((await backend.readSnapshotFile(snapshotId, 'a.txt')).toString()).toBe('a, but longer');
+        });
+
+        test('stores objects again after a sweep removed them', async () => {
+            await writeFiles(workspace, { 'a.txt': 'a' });
+            const first = await commit();
+            await backend.deleteSnapshots([first.snapshotId]);
+            expect(await objectCount()).toBe(0);
+
+            const second = await commit();
+            expect(second.new_objects).toBe(1);
+            await fs.rm(path.join(workspace, 'a.txt'));
+            await backend.restore(second.snapshotId, workspace);
+            expect(await readTree(workspace)).toEqual({ 'a.txt': 'a' });
+        });
+    });
+
+    describe('deleteSnapshots', () => {
+        test('keeps objects still shared with remaining snapshots', async () => {
+            await writeFiles(workspace, { 'shared.txt': 'shared', 'only-first.txt': 'first' });
+            const first = await commit();
+            await fs.rm(path.join(workspace, 'only-first.txt'));
+            await writeFiles(workspace, { 'only-second.txt': 'second' });
+            const second = await commit();
+            expect(await objectCount()).toBe(3);
+
+            const report = await backend.deleteSnapshots([first.snapshotId]);
+            expect(report.deleted).toEqual([first.snapshotId]);
+            expect(report.objectsRemoved).toBe(1);
+            expect(report.bytesReclaimed).toBeGreaterThan(0);
+            expect(await objectCount()).toBe(2);
+
+            await fs.rm(workspace, { recursive: true });
+            await fs.mkdir(workspace);
+            await backend.restore(second.snapshotId, workspace);
+            expect(await readTree(workspace)).toEqual({ 'shared.txt': 'shared', 'only-second.txt': 'second' });
+
+            await backend.deleteSnapshots([second.snapshotId]);
+            expect(await objectCount()).toBe(0);
+        });
+
+        test('reports without deleting on a dry run', async () => {
+            await writeFiles(workspace, { 'a.txt': 'a' });
+            const { snapshotId } = await commit();
+
+            const report = await backend.deleteSnapshots([snapshotId], { dryRun: true });
+            expect(report).toMatchObject({ deleted: [snapshotId], objectsRemoved: 1 });
+            expect((await backend.loadManifest(snapshotId)).id).toBe(snapshotId);
+            expect(await objectCount()).toBe(1);
+        });
+
+        test('sweeps manifests outside the live set once they are past the grace period', async () => {
+            await writeFiles(workspace, { 'a.txt': 'a' });
+            const kept = await commit();
+            const orphan = await commit();
+
+            expect((await backend.deleteSnapshots([], { live: [kept.snapshotId] })).deleted).toEqual([]);
+
+            // Age both manifests past the grace period
+            for (const { snapshotId } of [kept, orphan]) {
+                const manifestPath = path.join(backend.snapshotsDir, `${snapshotId}.json`);
+                const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+                manifest.createdAt = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+                await fs.writeFile(manifestPath, JSON.stringify(manifest));
+            }
+            const report = await backend.deleteSnapshots([], { live: [kept.snapshotId] });
+            expect(report.deleted).toEqual([orphan.snapshotId]);
+            expect(report.objectsRemoved).toBe(0);
+            expect((await backend.loadManifest(kept.snapshotId)).id).toBe(kept.snapshotId);
+        });
+    });
+
+    describe('reads', () => {
+        test('diffs manifests and materializes filtered trees', async () => {
+            await writeFiles(workspace, { 'a.txt': 'a', 'src/b.js': 'b', 'old.txt': 'old' });
+            const first = await commit();
+            await writeFiles(workspace, { 'a.txt': 'a2', 'src/c.js': 'c' });
+            await fs.rm(path.join(workspace, 'old.txt'));
+            const second = await commit();
+
+            const diff = JSON.parse((await backend.diff(first.snapshotId, second.snapshotId)).rawOutput);
+            expect(diff.added.map(entry => entry.path)).toEqual(['src/c.js']);
+            expect(diff.modified.map(entry => entry.path)).toEqual(['a.txt']);
+            expect(diff.deleted.map(entry => entry.path)).toEqual(['old.txt']);
+
+            const outputDir = path.join(workDir, 'out');
+            await backend.materialize(second.snapshotId, outputDir, { include: 'src/**' });
+            expect(await readTree(outputDir)).toEqual({ 'src/b.js': 'b', 'src/c.js': 'c' });
+
+            expect(Array.from((await backend.listSnapshotFiles(second.snapshotId)).keys()).sort())
+                .toEqual(['a.txt', 'src/b.js', 'src/c.js']);
+            expect(await backend.readSnapshotFile(second.snapshotId, 'missing.txt')).toBeNull();
+        });
+    });
+});
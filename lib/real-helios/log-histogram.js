@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * Log-Bucketed Histogram
+ *
+ * Sparse histogram whose bucket boundaries grow geometrically, so any
+ * percentile is answered within a fixed relative error (about 4.5% with the
+ * default 2^(1/8) growth) whatever the value range. Histograms with the same
+ * growth factor merge exactly, which is what makes time-bucket rollups cheap.
+ */
+
+const DEFAULT_GROWTH = Math.pow(2, 1 / 8);
+
+class LogHistogram {
+    constructor(growth = DEFAULT_GROWTH) {
+        this.growth = growth;
+        this.logGrowth = Math.log(growth);
+        this.buckets = new Map(); // bucket index -> count
+        this.zeroCount = 0; // values <= 0
+        this.count = 0;
+        this.sum = 0;
+        this.min = Infinity;
+        this.max = -Infinity;
+    }
+
+    record(value, times = 1) {
+        if (!Number.isFinite(value)) {
+            return;
+        }
+        if (value <= 0) {
+            this.zeroCount += times;
+        } else {
+            const index = Math.ceil(Math.log(value) / this.logGrowth);
+            this.buckets.set(index, (this.buckets.get(index) || 0) + times);
+        }
+        this.count += times;
+        this.sum += value * times;
+        this.min = Math.min(this.min, value);
+        this.max = Math.max(this.max, value);
+    }
+
+    /**
+     * Add another histogram's samples into this one
+     */
+    merge(other) {
+        if (other.growth !== this.growth) {
+            throw new Error('Cannot merge histograms with different growth factors');
+        }
+        for (const [index, count] of other.buckets) {
+            this.buckets.set(index, (this.buckets.get(index) || 0) + count);
+        }
+        this.zeroCount += other.zeroCount;
+        this.count += other.count;
+        this.sum += other.sum;
+        this.min = Math.min(this.min, other.min);
+        this.max = Math.max(this.max, other.max);
+        return this;
+    }
+
+    get mean() {
+        return this.count > 0 ? this.sum / this.count : 0;
+    }
+
+    /**
+     * Value at percentile `p` (0-100); the bucket's geometric midpoint, clamped to the observed range
+     */
+    percentile(p) {
+        if (this.count === 0) {
+            return 0;
+        }
+        const rank = Math.max(1, Math.ceil(p / 100 * this.count));
+        if (rank <= this.zeroCount) {
+            return Math.max(this.min, 0);
+        }
+
+        let seen = this.zeroCount;
+        const indexes = Array.from(this.buckets.keys()).sort((a, b) => a - b);
+        for (const index of indexes) {
+            seen += this.buckets.get(index);
+            if (seen >= rank) {
+                const midpoint = Math.pow(this.growth, index - 0.5);
+                return Math.min(Math.max(midpoint, this.min), this.max);
+            }
+        }
+        return this.max;
+    }
+
+    /**
+     * count/avg/min/max/p50/p95/p99 summary
+     */
+    summary() {
+        if (this.count === 0) {
+            return { count: 0, avg: null, min: null, max: null, p50: null, p95: null, p99: null };
+        }
+        return {
+            count: this.count,
+            avg: this.mean,
+            min: this.min,
+            max: this.max,
+            p50: this.percentile(50),
+            p95: this.percentile(95),
+            p99: this.percentile(99)
+        };
+    }
+}
+
+module.exports = LogHistogram;
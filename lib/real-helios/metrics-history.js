@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+/**
+ * Multi-Resolution Metrics History
+ *
+ * Every sample is rolled into time buckets at several resolutions at once
+ * (1s for an hour, 1m for a day, 1h for 30 days by default). Each bucket is a
+ * LogHistogram, so a query can merge buckets into any coarser step and still
+ * report percentiles. Memory stays bounded by resolution retention, not by
+ * request volume.
+ */
+
+const LogHistogram = require('./log-histogram');
+const ApiError = require('../api-error');
+const { parseDuration } = require('../duration');
+const MAX_QUERY_BUCKETS = 1000;
+
+const DEFAULT_RESOLUTIONS = [
+    { name: '1s', bucketMs: 1000, retentionMs: 60 * 60 * 1000 },
+    { name: '1m', bucketMs: 60 * 1000, retentionMs: 24 * 60 * 60 * 1000 },
+    { name: '1h', bucketMs: 60 * 60 * 1000, retentionMs: 30 * 24 * 60 * 60 * 1000 }
+];
+
+class MetricsHistory {
+    constructor(options = {}) {
+        this.resolutions = (options.resolutions || DEFAULT_RESOLUTIONS).map(resolution => ({
+            ...resolution,
+            series: new Map() // series name -> Map(bucketStart -> LogHistogram), oldest first
+        }));
+        this.units = {}; // series name -> unit label
+    }
+
+    /**
+     * Declare a series and the unit its samples are recorded in
+     */
+    defineSeries(name, unit) {
+        this.units[name] = unit;
+    }
+
+    get seriesNames() {
+        return Object.keys(this.units);
+    }
+
+    record(name, value, timestamp = Date.now()) {
+        if (!this.units[name]) {
+            throw new Error(`Unknown metrics series: ${name}`);
+        }
+
+        for (const resolution of this.resolutions) {
+            let buckets = resolution.series.get(name);
+            if (!buckets) {
+                buckets = new Map();
+                resolution.series.set(name, buckets);
+            }
+
+            const bucketStart = Math.floor(timestamp / resolution.bucketMs) * resolution.bucketMs;
+            let histogram = buckets.get(bucketStart);
+            if (!histogram) {
+                histogram = new LogHistogram();
+                buckets.set(bucketStart, histogram);
+                this.prune(buckets, resolution, timestamp);
+            }
+            histogram.record(value);
+        }
+    }
+
+    /**
+     * Drop buckets older than the resolution's retention (insertion order is time order)
+     */
+    prune(buckets, resolution, now) {
+        const cutoff = now - resolution.retentionMs;
+        for (const bucketStart of buckets.keys()) {
+            if (bucketStart >= cutoff) break;
+            buckets.delete(bucketStart);
+        }
+    }
+
+    /**
+     * Finest resolution that still covers `windowMs` and whose bucket size divides `bucketMs`
+     */
+    pickResolution(windowMs, bucketMs) {
+        const resolution = this.resolutions.find(r =>
+            r.retentionMs >= windowMs && r.bucketMs <= bucketMs && bucketMs % r.bucketMs === 0);
+        if (!resolution) {
+            throw new ApiError(400, `No retained resolution serves a ${windowMs / 1000}s window in ${bucketMs / 1000}s buckets`, {
+                resolutions: this.resolutions.map(r => ({ bucket: r.name, retentionSeconds: r.retentionMs / 1000 }))
+            });
+        }
+        return resolution;
+    }
+
+    /**
+     * Per-bucket count/avg/min/max/p50/p95/p99 for each series over the last `window`
+     */
+    query({ window = '1h', bucket = '1m', series = null, now = Date.now() } = {}) {
+        const windowMs = parseDuration(window);
+        const bucketMs = parseDuration(bucket);
+        const bucketCount = Math.ceil(windowMs / bucketMs);
+        if (bucketCount > MAX_QUERY_BUCKETS) {
+            throw new ApiError(400, `window/bucket yields ${bucketCount} buckets; at most ${MAX_QUERY_BUCKETS} are allowed`);
+        }
+
+        const names = series || this.seriesNames;
+        const unknown = names.filter(name => !this.units[name]);
+        if (unknown.length > 0) {
+            throw new ApiError(400, `Unknown series: ${unknown.join(', ')}`, { available: this.seriesNames });
+        }
+
+        const resolution = this.pickResolution(windowMs, bucketMs);
+        const end = Math.floor(now / bucketMs) * bucketMs + bucketMs;
+        const start = end - bucketCount * bucketMs;
+
+        const result = {};
+        for (const name of names) {
+            const merged = Array.from({ length: bucketCount }, () => new LogHistogram());
+            for (const [bucketStart, histogram] of resolution.series.get(name) || []) {
+                if (bucketStart < start || bucketStart >= end) continue;
+                merged[Math.floor((bucketStart - start) / bucketMs)].merge(histogram);
+            }
+
+            result[name] = {
+                unit: this.units[name],
+                buckets: merged.map((histogram, i) => ({
+                    timestamp: new Date(start + i * bucketMs).toISOString(),
+                    ...histogram.summary(),
+                    rate: histogram.count / (bucketMs / 1000) // samples per second
+                }))
+            };
+        }
+
+        return {
+            window,
+            bucket,
+            resolution: resolution.name,
+            from: new Date(start).toISOString(),
+            to: new Date(end).toISOString(),
+            series: result
+        };
+    }
+
+    /**
+     * Buckets held per resolution, for monitoring the history's own footprint
+     */
+    getFootprint() {
+        return this.resolutions.map(resolution => ({
+            resolution: resolution.name,
+            retentionSeconds: resolution.retentionMs / 1000,
+            buckets: Array.from(resolution.series.values()).reduce((sum, buckets) => sum + buckets.size, 0)
+        }));
+    }
+}
+
+module.exports = { MetricsHistory, DEFAULT_RESOLUTIONS };
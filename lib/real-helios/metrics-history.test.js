@@ -0,0 +1,84 @@
+const { MetricsHistory } = require('./metrics-history');
+const LogHistogram = require('./log-histogram');
+
+const NOW = Date.UTC(2026, 0, 1, 12, 0, 0);
+
+describe('LogHistogram', () => {
+    test('answers percentiles within the bucket error', () => {
+        const histogram = new LogHistogram();
+        for (let value = 1; value <= 1000; value++) {
+            histogram.record(value);
+        }
+
+        expect(histogram.count).toBe(1000);
+        expect(histogram.min).toBe(1);
+        expect(histogram.max).toBe(1000);
+        expect(Math.abs(histogram.percentile(50) - 500) / 500).toBeLessThan(0.05);
+        expect(Math.abs(histogram.percentile(99) - 990) / 990).toBeLessThan(0.05);
+    });
+
+    test('merges into the same summary as recording everything at once', () => {
+        const a = new LogHistogram();
+        const b = new LogHistogram();
+        const all = new LogHistogram();
+        [3, 7, 11].forEach(value => { a.record(value); all.record(value); });
+        [0, 5, 200].forEach(value => { b.record(value); all.record(value); });
+
+        expect(a.merge(b).summary()).toEqual(all.summary());
+    });
+
+    test('refuses to merge histograms with different growth factors', () => {
+        expect(() => new LogHistogram(2).merge(new LogHistogram())).toThrow('different growth factors');
+    });
+});
+
+describe('MetricsHistory', () => {
+    let history;
+
+    beforeEach(() => {
+        history = new MetricsHistory();
+        history.defineSeries('commit', 'ns');
+    });
+
+    test('rolls fine buckets up into the requested step', () => {
+        history.record('commit', 10, NOW - 90 * 1000);
+        history.record('commit', 20, NOW - 30 * 1000);
+        history.record('commit', 30, NOW - 20 * 1000);
+
+        const result = history.query({ window: '5m', bucket: '1m', now: NOW });
+        const buckets = result.series.commit.buckets;
+
+        expect(result.resolution).toBe('1s');
+        expect(result.series.commit.unit).toBe('ns');
+        expect(buckets).toHaveLength(5);
+        expect(buckets.map(bucket => bucket.count)).toEqual([0, 0, 1, 2, 0]);
+        expect(buckets[3]).toMatchObject({ min: 20, max: 30, avg: 25 });
+        expect(buckets[0].p50).toBeNull();
+    });
+
+    test('serves long windows from the hourly resolution', () => {
+        history.record('commit', 5, NOW - 3 * 24 * 60 * 60 * 1000);
+
+        const result = history.query({ window: '7d', bucket: '1d', now: NOW });
+        expect(result.resolution).toBe('1h');
+        expect(result.series.commit.buckets.reduce((sum, bucket) => sum + bucket.count, 0)).toBe(1);
+    });
+
+    test('drops buckets past a resolution\'s retention', () => {
+        history.record('commit', 1, NOW - 2 * 60 * 60 * 1000);
+        history.record('commit', 1, NOW);
+
+        const footprint = Object.fromEntries(history.getFootprint().map(entry => [entry.resolution, entry.buckets]));
+        expect(footprint['1s']).toBe(1);
+        expect(footprint['1m']).toBe(2);
+    });
+
+    test('rejects unknown series and unservable queries with a 400', () => {
+        expect(() => history.record('restore', 1)).toThrow('Unknown metrics series');
+        expect(() => history.query({ series: ['restore'], now: NOW })).toThrow(expect.objectContaining({ status: 400 }));
+        expect(() => history.query({ window: '2h', bucket: '1s', now: NOW })).toThrow(expect.objectContaining({ status: 400 }));
+        expect(() => history.query({ window: '1h', bucket: '90s', now: NOW })).not.toThrow();
+        expect(() => history.query({ window: '60d', bucket: '1d', now: NOW })).toThrow(expect.objectContaining({ status: 400 }));
+        expect(() => history.query({ window: 'soon', now: NOW })).toThrow(expect.objectContaining({ status: 400 }));
+    });
+});
@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+
+/**
+ * Namespace Quotas
+ *
+ * Universes belong to a namespace (team/project). Each namespace has limits
+ * on universe count, total snapshots and disk usage; defaults apply to
+ * namespaces without an explicit entry. Usage is derived from the engine's
+ * universe map, so it is always consistent with the registry. Disk usage is
+ * the namespace's workspaces plus the snapshot store objects its snapshots
+ * reference, each object counted once per namespace however many snapshots
+ * share it.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const ApiError = require('../api-error');
+
+const DEFAULT_NAMESPACE = 'default';
+const NAMESPACE_PATTERN = /^[a-z0-9][a-z0-9-]{0,62}$/;
+// Workspaces the server creates for itself (benchmarks); never a valid tenant name
+const SCRATCH_NAMESPACE = '_scratch';
+
+const DEFAULT_LIMITS = {
+    maxUniverses: 1000,
+    maxSnapshots: 10000,
+    maxDiskBytes: 1024 * 1024 * 1024
+};
+
+/**
+ * Total size of every file under `dir` (including backend metadata)
+ */
+async function directorySize(dir) {
+    let total = 0;
+    let entries;
+    try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+    }
+
+    for (const entry of entries) {
+        const absPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            total += await directorySize(absPath);
+        } else if (entry.isFile()) {
+            total += (await fs.promises.stat(absPath)).size;
+        }
+    }
+    return total;
+}
+
+/**
+ * Bytes of stored snapshot objects referenced per namespace. Snapshots are
+ * added with their file list (path -> { hash, bytes }) and removed by id;
+ * objects are reference counted so shared content is only counted once.
+ */
+class SnapshotStorage {
+    constructor() {
+        this.snapshots = new Map(); // snapshot id -> { namespace, hashes }
+        this.namespaces = new Map(); // namespace -> { objects: hash -> { bytes, refs }, bytes }
+    }
+
+    add(namespace, snapshotId, files) {
+        if (this.snapshots.has(snapshotId)) return;
+        if (!this.namespaces.has(namespace)) {
+            this.namespaces.set(namespace, { objects: new Map(), bytes: 0 });
+        }
+        const usage = this.namespaces.get(namespace);
+
+        const sizes = new Map(Array.from(files.values()).map(entry => [entry.hash, entry.bytes]));
+        for (const [hash, bytes] of sizes) {
+            const object = usage.objects.get(hash);
+            if (object) {
+                object.refs++;
+            } else {
+                usage.objects.set(hash, { bytes, refs: 1 });
+                usage.bytes += bytes;
+            }
+        }
+        this.snapshots.set(snapshotId, { namespace, hashes: Array.from(sizes.keys()) });
+    }
+
+    remove(snapshotId) {
+        const snapshot = this.snapshots.get(snapshotId);
+        if (!snapshot) return;
+        this.snapshots.delete(snapshotId);
+
+        const usage = this.namespaces.get(snapshot.namespace);
+        for (const hash of snapshot.hashes) {
+            const object = usage.objects.get(hash);
+            if (--object.refs === 0) {
+                usage.objects.delete(hash);
+                usage.bytes -= object.bytes;
+            }
+        }
+    }
+
+    bytes(namespace) {
+        const usage = this.namespaces.get(namespace);
+        return usage ? usage.bytes : 0;
+    }
+}
+
+class NamespaceQuotas {
+    constructor(options = {}) {
+        this.defaults = { ...DEFAULT_LIMITS, ...(options.defaults || {}) };
+        this.namespaces = {}; // name -> partial limits
+        this.storage = new SnapshotStorage(); // filled by the engine for backends that report it
+
+        if (options.namespaces) {
+            Object.entries(options.namespaces).forEach(([name, limits]) => this.set(name, limits));
+        }
+        if (options.configFile && fs.existsSync(options.configFile)) {
+            this.loadFile(options.configFile);
+        }
+    }
+
+    /**
+     * Config file: { "namespaces": { "<name>": { maxUniverses, maxSnapshots, maxDiskBytes } } }
+     */
+    loadFile(configFile) {
+        const data = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+        Object.entries(data.namespaces || {}).forEach(([name, limits]) => this.set(name, limits));
+        console.log(`📂 Loaded quotas for ${Object.keys(data.namespaces || {}).length} namespace(s) from ${configFile}`);
+    }
+
+    set(name, limits = {}) {
+        if (!NAMESPACE_PATTERN.test(name)) {
+            throw new Error(`Invalid namespace name: ${name}`);
+        }
+        this.namespaces[name] = limits;
+    }
+
+    limitsFor(namespace) {
+        return { ...this.defaults, ...(this.namespaces[namespace] || {}) };
+    }
+
+    /**
+     * Current universe, snapshot and disk usage of a namespace; diskBytes is
+     * workspaceBytes plus snapshotBytes
+     */
+    usage(namespace, universes) {
+        const usage = { universes: 0, snapshots: 0, diskBytes: 0, workspaceBytes: 0, snapshotBytes: this.storage.bytes(namespace) };
+        for (const universe of universes) {
+            if (universe.namespace !== namespace) continue;
+            usage.universes++;
+            usage.snapshots += universe.snapshots.length;
+            usage.workspaceBytes += universe.diskUsage || 0;
+        }
+        usage.diskBytes = usage.workspaceBytes + usage.snapshotBytes;
+        return usage;
+    }
+
+    /**
+     * Limits and usage for status/metrics endpoints
+     */
+    describe(namespace, universes) {
+        return {
+            namespace,
+            limits: this.limitsFor(namespace),
+            usage: this.usage(namespace, universes)
+        };
+    }
+
+    /**
+     * Names of every namespace that has a quota entry or owns universes
+     */
+    list(universes) {
+        const names = new Set([DEFAULT_NAMESPACE, ...Object.keys(this.namespaces)]);
+        for (const universe of universes) names.add(universe.namespace);
+        return Array.from(names).sort();
+    }
+
+    static exceeded(namespace, quota, limit, usage, requested) {
+        return new ApiError(403, `Namespace ${namespace} ${quota} quota exceeded (${usage} of ${limit} used)`, {
+            namespace,
+            quota,
+            limit,
+            usage,
+            requested
+        });
+    }
+
+    /**
+     * Throw unless `count` more universes fit in the namespace
+     */
+    assertCanCreate(namespace, count, universes) {
+        const limits = this.limitsFor(namespace);
+        const usage = this.usage(namespace, universes);
+
+        if (usage.universes + count > limits.maxUniverses) {
+            throw NamespaceQuotas.exceeded(namespace, 'universe', limits.maxUniverses, usage.universes, count);
+        }
+        // Every new universe takes an initial snapshot
+        if (usage.snapshots + count > limits.maxSnapshots) {
+            throw NamespaceQuotas.exceeded(namespace, 'snapshot', limits.maxSnapshots, usage.snapshots, count);
+        }
+        if (usage.diskBytes >= limits.maxDiskBytes) {
+            throw NamespaceQuotas.exceeded(namespace, 'disk', limits.maxDiskBytes, usage.diskBytes, 0);
+        }
+    }
+
+    /**
+     * Throw unless the namespace can take one more snapshot
+     */
+    assertCanCommit(namespace, universes) {
+        const limits = this.limitsFor(namespace);
+        const usage = this.usage(namespace, universes);
+
+        if (usage.snapshots + 1 > limits.maxSnapshots) {
+            throw NamespaceQuotas.exceeded(namespace, 'snapshot', limits.maxSnapshots, usage.snapshots, 1);
+        }
+        if (usage.diskBytes > limits.maxDiskBytes) {
+            throw NamespaceQuotas.exceeded(namespace, 'disk', limits.maxDiskBytes, usage.diskBytes, 0);
+        }
+    }
+
+    /**
+     * Throw unless `bytes` more fit in the namespace's disk quota
+     */
+    assertDiskAvailable(namespace, bytes, universes) {
+        const limits = this.limitsFor(namespace);
+        const usage = this.usage(namespace, universes);
+
+        if (bytes > 0 && usage.diskBytes + bytes > limits.maxDiskBytes) {
+            throw NamespaceQuotas.exceeded(namespace, 'disk', limits.maxDiskBytes, usage.diskBytes, bytes);
+        }
+    }
+}
+
+module.exports = {
+    NamespaceQuotas,
+    SnapshotStorage,
+    DEFAULT_NAMESPACE,
+    NAMESPACE_PATTERN,
+    SCRATCH_NAMESPACE,
+    directorySize
+};
@@ -0,0 +1,101 @@
+const { NamespaceQuotas, SnapshotStorage } = require('./namespace-quotas');
+
+const files = entries => new Map(entries.map(([filePath, hash, bytes]) => [filePath, { hash, bytes }]));
+
+describe('SnapshotStorage', () => {
+    test('counts each object once per namespace', () => {
+        const storage = new SnapshotStorage();
+        storage.add('team-a', 's1', files([['a.txt', 'h1', 100], ['b.txt', 'h2', 50]]));
+        storage.add('team-a', 's2', files([['a.txt', 'h1', 100], ['b.txt', 'h3', 70]]));
+        storage.add('team-a', 's3', files([['copy.txt', 'h1', 100], ['a.txt', 'h1', 100]]));
+
+        expect(storage.bytes('team-a')).toBe(220);
+        expect(storage.bytes('team-b')).toBe(0);
+    });
+
+    test('charges shared objects to every namespace that references them', () => {
+        const storage = new SnapshotStorage();
+        storage.add('team-a', 's1', files([['a.txt', 'h1', 100]]));
+        storage.add('team-b', 's2', files([['a.txt', 'h1', 100]]));
+
+        expect(storage.bytes('team-a')).toBe(100);
+        expect(storage.bytes('team-b')).toBe(100);
+    });
+
+    test('releases objects once no snapshot references them', () => {
+        const storage = new SnapshotStorage();
+        storage.add('team-a', 's1', files([['a.txt', 'h1', 100], ['b.txt', 'h2', 50]]));
+        storage.add('team-a', 's2', files([['a.txt', 'h1', 100]]));
+
+        storage.remove('s1');
+        expect(storage.bytes('team-a')).toBe(100);
+        storage.remove('s2');
+        expect(storage.bytes('team-a')).toBe(0);
+    });
+
+    test('ignores repeated adds and unknown removes', () => {
+        const storage = new SnapshotStorage();
+        storage.add('team-a', 's1', files([['a.txt', 'h1', 100]]));
+        storage.add('team-a', 's1', files([['a.txt', 'h1', 100]]));
+        storage.remove('unknown');
+
+        expect(storage.bytes('team-a')).toBe(100);
+        storage.remove('s1');
+        expect(storage.bytes('team-a')).toBe(0);
+    });
+});
+
+describe('NamespaceQuotas', () => {
+    const universe = (namespace, snapshots, diskUsage) => ({ namespace, snapshots: new Array(snapshots).fill('s'), diskUsage });
+
+    test('applies per-namespace limits over the defaults', () => {
+        const quotas = new NamespaceQuotas({
+            defaults: { maxUniverses: 10 },
+            namespaces: { 'team-a': { maxUniverses: 2 } }
+        });
+
+        expect(quotas.limitsFor('team-a').maxUniverses).toBe(2);
+        expect(quotas.limitsFor('team-b').maxUniverses).toBe(10);
+        expect(() => quotas.set('Not Valid', {})).toThrow('Invalid namespace name');
+    });
+
+    test('reports workspace and snapshot bytes as disk usage', () => {
+        const quotas = new NamespaceQuotas();
+        quotas.storage.add('team-a', 's1', files([['a.txt', 'h1', 1000]]));
+
+        expect(quotas.usage('team-a', [universe('team-a', 3, 200), universe('team-b', 1, 50)])).toEqual({
+            universes: 1,
+            snapshots: 3,
+            diskBytes: 1200,
+            workspaceBytes: 200,
+            snapshotBytes: 1000
+        });
+    });
+
+    test('rejects creates beyond the universe and snapshot quotas with a 403', () => {
+        const quotas = new NamespaceQuotas({ defaults: { maxUniverses: 2, maxSnapshots: 3 } });
+        const universes = [universe('team-a', 2, 0)];
+
+        expect(() => quotas.assertCanCreate('team-a', 1, universes)).not.toThrow();
+        expect(() => quotas.assertCanCreate('team-a', 2, universes)).toThrow(expect.objectContaining({
+            status: 403,
+            details: expect.objectContaining({ quota: 'universe', limit: 2, usage: 1, requested: 2 })
+        }));
+        expect(() => quotas.assertCanCommit('team-a', [universe('team-a', 3, 0)])).toThrow(expect.objectContaining({
+            details: expect.objectContaining({ quota: 'snapshot' })
+        }));
+    });
+
+    test('counts snapshot storage against the disk quota', () => {
+        const quotas = new NamespaceQuotas({ defaults: { maxDiskBytes: 1000 } });
+        const universes = [universe('team-a', 1, 100)];
+
+        expect(() => quotas.assertDiskAvailable('team-a', 800, universes)).not.toThrow();
+        quotas.storage.add('team-a', 's1', files([['big.bin', 'h1', 950]]));
+        expect(() => quotas.assertDiskAvailable('team-a', 1, universes)).toThrow(expect.objectContaining({
+            status: 403,
+            details: expect.objectContaining({ quota: 'disk', usage: 1050 })
+        }));
+        expect(() => quotas.assertCanCommit('team-a', universes)).toThrow('disk quota exceeded');
+    });
+});
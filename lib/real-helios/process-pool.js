@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/**
+ * Bounded Process Pool
+ *
+ * Runs at most `maxConcurrency` tasks at once and queues the rest in FIFO
+ * order, so bulk operations cannot spawn an unbounded number of Helios CLI
+ * processes. Tracks queue depth for metrics.
+ */
+
+class ProcessPool {
+    constructor(options = {}) {
+        this.maxConcurrency = Math.max(1, options.maxConcurrency || 4);
+        this.active = 0;
+        this.queue = [];
+        this.stats = {
+            completed: 0,
+            failed: 0,
+            timedOut: 0,
+            peakQueueDepth: 0
+        };
+    }
+
+    /**
+     * Run `task` (a function returning a promise) once a slot is free
+     */
+    run(task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, resolve, reject });
+            this.stats.peakQueueDepth = Math.max(this.stats.peakQueueDepth, this.queue.length);
+            this.drain();
+        });
+    }
+
+    drain() {
+        while (this.active < this.maxConcurrency && this.queue.length > 0) {
+            const { task, resolve, reject } = this.queue.shift();
+            this.active++;
+
+            Promise.resolve()
+                .then(task)
+                .then((result) => {
+                    if (result && result.success === false) this.stats.failed++;
+                    else this.stats.completed++;
+                    if (result && result.timedOut) this.stats.timedOut++;
+                    resolve(result);
+                }, (error) => {
+                    this.stats.failed++;
+                    reject(error);
+                })
+                .finally(() => {
+                    this.active--;
+                    this.drain();
+                });
+        }
+    }
+
+    /**
+     * Current pool utilisation for metrics endpoints
+     */
+    getMetrics() {
+        return {
+            maxConcurrency: this.maxConcurrency,
+            active: this.active,
+            queueDepth: this.queue.length,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = ProcessPool;
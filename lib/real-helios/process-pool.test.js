@@ -0,0 +1,53 @@
+const ProcessPool = require('./process-pool');
+
+const deferred = () => {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+    return { promise, resolve, reject };
+};
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('ProcessPool', () => {
+    test('runs at most maxConcurrency tasks, the rest in FIFO order', async () => {
+        const pool = new ProcessPool({ maxConcurrency: 2 });
+        const tasks = [0, 1, 2, 3].map(() => deferred());
+        const started = [];
+        const results = tasks.map((task, index) => pool.run(() => {
+            started.push(index);
+            return task.promise;
+        }));
+
+        await flush();
+        expect(started).toEqual([0, 1]);
+        expect(pool.getMetrics()).toMatchObject({ active: 2, queueDepth: 2, peakQueueDepth: 2 });
+
+        tasks[1].resolve('one');
+        await flush();
+        expect(started).toEqual([0, 1, 2]);
+
+        tasks[0].resolve('zero');
+        tasks[2].resolve('two');
+        tasks[3].resolve('three');
+        expect(await Promise.all(results)).toEqual(['zero', 'one', 'two', 'three']);
+        await flush();
+        expect(pool.getMetrics()).toMatchObject({ active: 0, queueDepth: 0, completed: 4, failed: 0 });
+    });
+
+    test('counts failures, unsuccessful results and timeouts', async () => {
+        const pool = new ProcessPool({ maxConcurrency: 1 });
+
+        await expect(pool.run(() => Promise.reject(new Error('boom')))).rejects.toThrow('boom');
+        await pool.run(() => ({ success: false, timedOut: true }));
+        await pool.run(() => { throw new Error('sync'); }).catch(() => {});
+        await pool.run(() => ({ success: true }));
+        await flush();
+
+        expect(pool.getMetrics()).toMatchObject({ completed: 1, failed: 3, timedOut: 1, active: 0 });
+    });
+
+    test('keeps at least one slot', () => {
+        expect(new ProcessPool({ maxConcurrency: 0 }).maxConcurrency).toBe(4);
+        expect(new ProcessPool({ maxConcurrency: -3 }).maxConcurrency).toBe(1);
+    });
+});
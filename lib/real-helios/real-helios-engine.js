@@ -8,54 +8,286 @@
  */
 
 const HeliosCliWrapper = require('./helios-cli-wrapper');
+const JsVstBackend = require('./js-vst-backend');
+const UniverseRegistry = require('./universe-registry');
+const { buildStructuredDiff } = require('./snapshot-diff');
+const { findCommonAncestor, mergeTrees } = require('./three-way-merge');
+const { compareTrees } = require('./divergence');
+const { filterPaths } = require('./glob-match');
+const { NamespaceQuotas, DEFAULT_NAMESPACE, directorySize } = require('./namespace-quotas');
 const EventEmitter = require('events');
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const ApiError = require('../api-error');
+const { LatencyRecorder, formatDuration } = require('../latency-recorder');
+const { SnapshotCollector } = require('./snapshot-gc');
+const { parseDuration } = require('../duration');
+
+// Backend bookkeeping directories that must never be touched through the file API
+const RESERVED_PATH_SEGMENTS = new Set(['.helios', '.vst']);
+
+// Lifecycle: status -> statuses it may move to (any status may be deleted)
+const LIFECYCLE_TRANSITIONS = {
+    active: ['paused', 'archived'],
+    paused: ['active', 'archived'],
+    archived: ['active']
+};
+const LIFECYCLE_OPERATIONS = { active: 'resume', paused: 'pause', archived: 'archive' };
+const DEFAULT_TTL_CHECK_INTERVAL = 30 * 1000;
+const MAX_SNAPSHOT_TAGS = 20;
+// Conflict sides larger than this are reported truncated
+const MAX_CONFLICT_CONTENT_BYTES = 64 * 1024;
+
+// Snapshot history cursors wrap the sequence number of the last snapshot returned
+const encodeCursor = sequence => Buffer.from(String(sequence)).toString('base64url');
+function decodeCursor(cursor) {
+    const sequence = Number(Buffer.from(cursor, 'base64url').toString());
+    if (!Number.isInteger(sequence) || sequence < 0) {
+        throw new ApiError(400, 'Invalid cursor');
+    }
+    return sequence;
+}
+
+/**
+ * Names of the subdirectories of `dir`; empty when it does not exist
+ */
+async function listDirectories(dir) {
+    try {
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+        return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Content hash of every file under `rootDir`, keyed by relative path, skipping backend bookkeeping
+ */
+async function hashTree(backend, rootDir) {
+    const tree = new Map();
+    for (const file of await backend.scanDirectory(rootDir)) {
+        if (file.relPath.split('/').some(segment => RESERVED_PATH_SEGMENTS.has(segment))) continue;
+        tree.set(file.relPath, crypto.createHash('sha256').update(await fs.readFile(file.absPath)).digest('hex'));
+    }
+    return tree;
+}
+
+/**
+ * One side of a merge conflict; null when the file does not exist on that side
+ */
+async function conflictSide(rootDir, relPath) {
+    const buffer = await fs.readFile(path.join(rootDir, relPath)).catch(() => null);
+    if (!buffer) {
+        return null;
+    }
+    const binary = buffer.subarray(0, 8000).includes(0);
+    const shown = buffer.subarray(0, MAX_CONFLICT_CONTENT_BYTES);
+    return {
+        bytes: buffer.length,
+        binary,
+        encoding: binary ? 'base64' : 'utf8',
+        content: shown.toString(binary ? 'base64' : 'utf8'),
+        truncated: buffer.length > shown.length
+    };
+}
+
+/**
+ * Build the VST backend named by `options.backend` ('js', the default, or 'cli')
+ */
+function createBackend(options = {}) {
+    switch (options.backend || 'js') {
+        case 'cli':
+            return new HeliosCliWrapper(options.heliosCliPath, options.workDir, {
+                maxConcurrency: options.cliConcurrency,
+                timeout: options.cliTimeout
+            });
+        case 'js':
+            return new JsVstBackend(options.workDir);
+        default:
+            throw new Error(`Unknown Helios backend: ${options.backend}`);
+    }
+}
 
 class RealHeliosEngine extends EventEmitter {
     constructor(options = {}) {
         super();
-        this.heliosWrapper = new HeliosCliWrapper();
+        this.backend = createBackend(options);
         this.maxUniverses = options.maxUniverses || 10000;
         this.performanceTracking = options.performanceTracking || true;
         this.realTimeMetrics = options.realTimeMetrics || true;
 
         this.universes = new Map();
+        this.quotas = options.quotas || new NamespaceQuotas();
+        this.pendingCreates = new Map(); // namespace -> universes being initialized
+        this.registry = new UniverseRegistry(options.registryPath || path.join(this.backend.workDir, 'registry.json'));
+        this.registryStatus = { loaded: 0, missingWorkspaces: [], orphanedWorkspaces: [] };
+        this.latency = options.latency || new LatencyRecorder({ targets: options.latencyTargets });
+        this.ttlTimer = null;
         this.metrics = {
             totalCommits: 0,
             totalRestores: 0,
             totalDiffs: 0,
             totalMaterializes: 0,
-            averageCommitTime: 0,
+            totalMerges: 0,
             totalOperations: 0,
             engineStartTime: Date.now()
         };
+        this.gc = new SnapshotCollector(this, { policy: options.retention });
 
-        // Initialize the Helios CLI wrapper
-        this.initialize();
+        // Initialize the backend and reload persisted universes; callers
+        // awaiting `ready` see a failure, it is never left unhandled
+        this.ready = this.initialize(options);
+        this.ready.catch(() => {});
     }
 
-    async initialize() {
+    async initialize(options = {}) {
         try {
-            await this.heliosWrapper.initialize();
-            console.log('✅ Real Helios Engine initialized successfully');
+            await this.backend.ensureInitialized();
+            await this.loadRegistry();
+            if (options.gcIntervalMs && this.backend.canDeleteSnapshots) {
+                this.gc.start(options.gcIntervalMs);
+            }
+
+            // Idle universes with a TTL expire in the background
+            this.ttlTimer = setInterval(() => {
+                this.expireIdleUniverses().catch((error) => {
+                    console.error('❌ Universe TTL check failed:', error.message);
+                });
+            }, options.ttlCheckIntervalMs || DEFAULT_TTL_CHECK_INTERVAL);
+            this.ttlTimer.unref();
+            console.log(`✅ Real Helios Engine initialized successfully (${this.backend.name} backend)`);
         } catch (error) {
             console.error('❌ Real Helios Engine initialization failed:', error.message);
             throw error;
         }
     }
 
+    /**
+     * Rebuild universes from the on-disk registry and reconcile them against
+     * the workspace: records whose workspace is gone are dropped, workspaces
+     * without a record are reported as orphans
+     */
+    async loadRegistry() {
+        const records = await this.registry.load();
+        const missingWorkspaces = [];
+
+        for (const record of records) {
+            try {
+                await fs.access(record.workDir);
+            } catch (error) {
+                missingWorkspaces.push(record.id);
+                continue;
+            }
+            this.universes.set(record.id, DemoUniverse.fromRecord(record, this.backend, this));
+        }
+
+        // Workspaces live under namespaces/<namespace>/<id>; older ones directly under universes/
+        const knownWorkDirs = new Set(Array.from(this.universes.values()).map(u => u.workDir));
+        const workspaceDirs = (await listDirectories(this.backend.universesDir))
+            .map(id => path.join(this.backend.universesDir, id));
+        for (const namespace of await listDirectories(this.backend.namespacesDir)) {
+            const namespaceDir = path.join(this.backend.namespacesDir, namespace);
+            workspaceDirs.push(...(await listDirectories(namespaceDir)).map(id => path.join(namespaceDir, id)));
+        }
+        for (const universe of this.universes.values()) {
+            await this.trackSnapshotStorage(universe, universe.snapshots);
+        }
+
+        const orphanedWorkspaces = workspaceDirs
+            .filter(workDir => !knownWorkDirs.has(workDir))
+            .map(workDir => path.relative(this.backend.workDir, workDir));
+
+        this.registryStatus = { loaded: this.universes.size, missingWorkspaces, orphanedWorkspaces };
+        if (missingWorkspaces.length > 0) {
+            console.warn(`⚠️ Dropped ${missingWorkspaces.length} registry entries with missing workspaces`);
+            await this.persistRegistry();
+        }
+        if (orphanedWorkspaces.length > 0) {
+            console.warn(`⚠️ Found ${orphanedWorkspaces.length} workspaces without registry entries`);
+        }
+
+        this.emit('registryLoaded', { universes: Array.from(this.universes.values()) });
+        console.log(`📂 Loaded ${this.universes.size} universes from registry`);
+    }
+
+    /**
+     * Count the store objects of new snapshots against the universe's
+     * namespace disk quota; snapshots whose manifest is gone are skipped
+     */
+    async trackSnapshotStorage(universe, snapshotIds) {
+        if (!this.backend.reportsSnapshotStorage) return;
+        for (const snapshotId of snapshotIds) {
+            try {
+                const files = await this.backend.listSnapshotFiles(snapshotId, { workDir: universe.workDir });
+                this.quotas.storage.add(universe.namespace, snapshotId, files);
+            } catch (error) {
+                console.warn(`⚠️ Snapshot ${snapshotId} of universe ${universe.id} is not in the store: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Write the current universe set to the registry
+     */
+    persistRegistry() {
+        return this.registry.save(() => Array.from(this.universes.values()).map(u => u.toRecord()))
+            .catch(error => {
+                console.error('❌ Failed to persist universe registry:', error.message);
+            });
+    }
+
+    /**
+     * Universes belonging to a namespace
+     */
+    getUniverses(namespace) {
+        return Array.from(this.universes.values()).filter(u => u.namespace === namespace);
+    }
+
+    /**
+     * Quota limits and usage of a namespace
+     */
+    getNamespace(namespace) {
+        return this.quotas.describe(namespace, this.universes.values());
+    }
+
+    /**
+     * Throw unless `count` more universes fit both the engine and the namespace.
+     * Universes still initializing count against the namespace.
+     */
+    assertCanCreate(namespace = DEFAULT_NAMESPACE, count = 1) {
+        if (this.universes.size + count > this.maxUniverses) {
+            throw new ApiError(429, `Engine is at capacity (${this.universes.size} of ${this.maxUniverses} universes)`, {
+                limit: this.maxUniverses,
+                usage: this.universes.size,
+                requested: count
+            });
+        }
+        const pending = this.pendingCreates.get(namespace) || 0;
+        this.quotas.assertCanCreate(namespace, count + pending, this.universes.values());
+    }
+
     /**
      * Get engine status
      */
     getStatus() {
         return {
-            initialized: this.heliosWrapper.initialized,
+            initialized: this.backend.initialized,
+            backend: this.backend.name,
             totalUniverses: this.universes.size,
             maxUniverses: this.maxUniverses,
+            namespaceCount: this.quotas.list(this.universes.values()).length,
             performance: this.performanceTracking,
             realTimeMetrics: this.realTimeMetrics,
             uptime: Date.now() - this.metrics.engineStartTime,
-            engineType: 'RealHelios'
+            engineType: 'RealHelios',
+            registry: {
+                path: this.registry.filePath,
+                lastSavedAt: this.registry.lastSavedAt,
+                ...this.registryStatus
+            }
         };
     }
 
@@ -64,7 +296,7 @@ class RealHeliosEngine extends EventEmitter {
      */
     async getVersion() {
         try {
-            const versionInfo = await this.heliosWrapper.getVersion();
+            const versionInfo = await this.backend.getVersion();
             return versionInfo.version;
         } catch (error) {
             return 'Real Helios Engine v1.0.0 (CLI unavailable)';
@@ -75,23 +307,32 @@ class RealHeliosEngine extends EventEmitter {
      * Get comprehensive engine metrics
      */
     async getMetrics() {
+        const averageCommitTime = this.latency.mean('commit') / 1e6; // ms
         const baseMetrics = {
             ...this.metrics,
+            averageCommitTime,
+            latency: this.latency.summary(['commit', 'restore', 'diff', 'materialize', 'merge']),
             universes: {
                 total: this.universes.size,
                 active: Array.from(this.universes.values()).filter(u => u.active).length,
-                inactive: Array.from(this.universes.values()).filter(u => !u.active).length
+                inactive: Array.from(this.universes.values()).filter(u => !u.active).length,
+                paused: Array.from(this.universes.values()).filter(u => u.status === 'paused').length,
+                archived: Array.from(this.universes.values()).filter(u => u.status === 'archived').length
             },
             performance: {
-                averageCommitTime: this.metrics.averageCommitTime,
+                averageCommitTime,
                 totalOperations: this.metrics.totalOperations,
                 operationsPerSecond: this.metrics.totalOperations / ((Date.now() - this.metrics.engineStartTime) / 1000)
-            }
+            },
+            gc: this.gc.getMetrics()
         };
 
+        // CLI process pool utilisation (the in-process backend has no pool)
+        baseMetrics.processPool = this.backend.pool ? this.backend.pool.getMetrics() : null;
+
         // Get real Helios engine stats if available
         try {
-            const heliosStats = await this.heliosWrapper.getStats();
+            const heliosStats = await this.backend.getStats();
             baseMetrics.realHeliosStats = heliosStats.stats;
         } catch (error) {
             baseMetrics.realHeliosStats = { error: 'Stats unavailable' };
@@ -103,16 +344,175 @@ class RealHeliosEngine extends EventEmitter {
     /**
      * Create a demo universe with real VST operations
      */
-    async createUniverse(config = {}) {
+    async createUniverse(config = {}, options = {}) {
+        const namespace = options.namespace || DEFAULT_NAMESPACE;
+        this.assertCanCreate(namespace);
+
         const universeId = uuidv4();
-        const universe = new DemoUniverse(universeId, this.heliosWrapper, config, this);
+        const universe = new DemoUniverse(universeId, this.backend, config, this);
+        universe.namespace = namespace;
 
-        await universe.initialize();
+        this.pendingCreates.set(namespace, (this.pendingCreates.get(namespace) || 0) + 1);
+        try {
+            await universe.initialize(options);
+        } catch (error) {
+            // Don't leave half-initialized workspaces behind
+            await universe.destroy().catch(() => {});
+            throw error;
+        } finally {
+            const pending = this.pendingCreates.get(namespace) - 1;
+            if (pending > 0) this.pendingCreates.set(namespace, pending);
+            else this.pendingCreates.delete(namespace);
+        }
         this.universes.set(universeId, universe);
+        this.persistRegistry();
 
         return universe;
     }
 
+    /**
+     * Fork a new universe from a snapshot of an existing one
+     */
+    async forkUniverse(sourceUniverseId, snapshotId = null, config = {}) {
+        const source = this.universes.get(sourceUniverseId);
+        if (!source) {
+            throw new Error(`Universe ${sourceUniverseId} not found`);
+        }
+
+        const forkSnapshot = snapshotId || source.snapshots[source.snapshots.length - 1];
+        source.assertOwnSnapshot(forkSnapshot);
+
+        // Forks stay in the source universe's namespace
+        const universe = await this.createUniverse({ ...source.config, ...config }, {
+            namespace: source.namespace,
+            fork: { universeId: source.id, snapshotId: forkSnapshot, workDir: source.workDir }
+        });
+
+        this.emit('universeForked', {
+            universeId: universe.id,
+            parentUniverseId: source.id,
+            parentSnapshotId: forkSnapshot
+        });
+
+        return universe;
+    }
+
+    /**
+     * Ancestor chain and descendant tree of a universe
+     */
+    getLineage(universeId) {
+        const universe = this.universes.get(universeId);
+        if (!universe) {
+            throw new Error(`Universe ${universeId} not found`);
+        }
+
+        // Walk parent pointers; ancestors that have been deleted end the chain
+        const ancestors = [];
+        let parent = universe.parent;
+        while (parent) {
+            const ancestor = this.universes.get(parent.universeId);
+            ancestors.push({
+                universeId: parent.universeId,
+                forkedAtSnapshot: parent.snapshotId,
+                exists: Boolean(ancestor)
+            });
+            parent = ancestor ? ancestor.parent : null;
+        }
+
+        const childrenOf = (id) => Array.from(this.universes.values())
+            .filter(u => u.parent && u.parent.universeId === id)
+            .map(child => ({
+                universeId: child.id,
+                forkedAtSnapshot: child.parent.snapshotId,
+                createdAt: child.createdAt,
+                children: childrenOf(child.id)
+            }));
+
+        return {
+            universeId,
+            parent: universe.parent,
+            ancestors,
+            descendants: childrenOf(universeId)
+        };
+    }
+
+    /**
+     * Snapshot id -> { universe, parents } over every universe, for ancestry walks.
+     * Parents are the previous head and, for merge commits, the merged snapshot.
+     */
+    snapshotGraph() {
+        const graph = new Map();
+        for (const universe of this.universes.values()) {
+            for (const snapshotId of universe.snapshots) {
+                const info = universe.snapshotInfo[snapshotId] || {};
+                graph.set(snapshotId, { universe, parents: [info.parent, info.mergeParent].filter(Boolean) });
+            }
+        }
+        return graph;
+    }
+
+    /**
+     * Every snapshot id a universe still references: its history, head, fork
+     * point and the parents its snapshots record (merge bases may be among them)
+     */
+    liveSnapshotIds() {
+        const live = new Set();
+        for (const universe of this.universes.values()) {
+            for (const snapshotId of universe.snapshots) {
+                const info = universe.snapshotInfo[snapshotId] || {};
+                live.add(snapshotId);
+                if (info.parent) live.add(info.parent);
+                if (info.mergeParent) live.add(info.mergeParent);
+            }
+            if (universe.head) live.add(universe.head);
+            if (universe.parent) live.add(universe.parent.snapshotId);
+        }
+        return live;
+    }
+
+    /**
+     * Pairwise divergence between snapshots of several universes
+     * Targets: [{ universe, snapshotId }], each snapshot owned by its universe
+     * Options: include/exclude path globs
+     */
+    async compareUniverses(targets, options = {}) {
+        const startTime = process.hrtime.bigint();
+        const trees = [];
+        for (const { universe, snapshotId } of targets) {
+            universe.assertOwnSnapshot(snapshotId);
+            const files = await this.backend.listSnapshotFiles(snapshotId, { workDir: universe.workDir });
+            const paths = filterPaths(Array.from(files.keys()), options)
+                .filter(relPath => !relPath.split('/').some(segment => RESERVED_PATH_SEGMENTS.has(segment)));
+            trees.push({ universeId: universe.id, snapshotId, tree: new Map(paths.map(relPath => [relPath, files.get(relPath)])) });
+        }
+
+        const { matrix, files, filesCompared } = compareTrees(trees);
+        const durationNs = Number(process.hrtime.bigint() - startTime);
+
+        return {
+            universes: trees.map(({ universeId, snapshotId, tree }) => ({
+                universeId,
+                snapshotId,
+                files: tree.size,
+                bytes: Array.from(tree.values()).reduce((total, entry) => total + entry.bytes, 0)
+            })),
+            matrix,
+            files,
+            summary: {
+                universes: trees.length,
+                filesCompared,
+                filesDiffering: files.length,
+                identicalPairs: matrix.filesDiffering.reduce((pairs, row, i) =>
+                    pairs + row.filter((count, j) => j > i && count === 0).length, 0)
+            },
+            metrics: {
+                durationNs,
+                executionTime: durationNs / 1e6,
+                vstLatency: formatDuration(durationNs)
+            }
+        };
+    }
+
     /**
      * Get specific universe
      */
@@ -120,10 +520,123 @@ class RealHeliosEngine extends EventEmitter {
         return this.universes.get(universeId);
     }
 
+    /**
+     * Change a universe's status and/or TTL
+     * Changes: status ('active', 'paused' or 'archived'), ttl (duration, or null to clear it)
+     */
+    updateUniverse(universeId, changes = {}, reason = 'request') {
+        const universe = this.universes.get(universeId);
+        if (!universe) {
+            throw new Error(`Universe ${universeId} not found`);
+        }
+
+        const from = universe.status;
+        if (changes.status && changes.status !== from) {
+            const allowed = LIFECYCLE_TRANSITIONS[from] || [];
+            if (!allowed.includes(changes.status)) {
+                throw new ApiError(409, `Cannot move universe ${universeId} from ${from} to ${changes.status}`, {
+                    from,
+                    to: changes.status,
+                    allowed
+                });
+            }
+            universe.status = changes.status;
+            universe.lastOperation = LIFECYCLE_OPERATIONS[changes.status];
+        }
+
+        if (changes.ttl !== undefined) {
+            const { ttl, ...config } = universe.config;
+            universe.config = changes.ttl === null ? config : { ...config, ttl: changes.ttl };
+        }
+
+        universe.touch();
+        this.persistRegistry();
+        if (universe.status !== from) {
+            this.emitLifecycle(universe, from, reason);
+        }
+
+        return universe;
+    }
+
+    emitLifecycle(universe, from, reason) {
+        this.emit('universeLifecycle', {
+            universeId: universe.id,
+            namespace: universe.namespace,
+            from,
+            to: universe.status,
+            reason
+        });
+    }
+
+    /**
+     * Delete a universe, its snapshots and remove (or archive) its workspace.
+     * Snapshots other universes were forked from or record as parents stay in
+     * the store; ones kept that way for this universe alone go with it.
+     * Backends that cannot delete snapshots keep them all.
+     * Options: archive (keep the workspace under the archive directory), reason
+     */
+    async deleteUniverse(universeId, options = {}) {
+        const universe = this.universes.get(universeId);
+        if (!universe) {
+            throw new Error(`Universe ${universeId} not found`);
+        }
+
+        const from = universe.status;
+        const archivePath = await universe.destroy(options);
+        this.universes.delete(universeId);
+        universe.snapshots.forEach(snapshotId => this.quotas.storage.remove(snapshotId));
+        this.persistRegistry();
+
+        const referenced = new Set(universe.snapshots);
+        if (universe.parent) referenced.add(universe.parent.snapshotId);
+        for (const info of Object.values(universe.snapshotInfo)) {
+            if (info.parent) referenced.add(info.parent);
+            if (info.mergeParent) referenced.add(info.mergeParent);
+        }
+        const live = this.liveSnapshotIds();
+        const unneeded = Array.from(referenced).filter(snapshotId => !live.has(snapshotId));
+        let snapshotsDeleted = 0;
+        if (this.backend.canDeleteSnapshots && unneeded.length > 0) {
+            try {
+                snapshotsDeleted = (await this.backend.deleteSnapshots(unneeded)).deleted.length;
+            } catch (error) {
+                // Left for the next full GC pass, which sweeps unreferenced snapshots
+                console.error(`❌ Failed to delete snapshots of universe ${universeId}:`, error.message);
+            }
+        }
+
+        this.emit('universeDeleted', { universeId, archivePath });
+        this.emitLifecycle(universe, from, options.reason || 'request');
+
+        return { universeId, deleted: true, archivePath, snapshotsDeleted };
+    }
+
+    /**
+     * Delete active and paused universes idle for longer than their TTL;
+     * archived universes are kept until deleted explicitly. One failed
+     * deletion does not stop the others; it is retried on the next check.
+     */
+    async expireIdleUniverses(now = Date.now()) {
+        const idle = Array.from(this.universes.values()).filter(universe =>
+            universe.status !== 'archived' && universe.expiresAt !== null && universe.expiresAt <= now);
+
+        const expired = [];
+        for (const universe of idle) {
+            try {
+                await this.deleteUniverse(universe.id, { reason: 'ttl' });
+                expired.push(universe.id);
+                console.log(`⌛ Universe ${universe.id} expired after ${universe.config.ttl} idle`);
+            } catch (error) {
+                console.error(`❌ Failed to expire universe ${universe.id}:`, error.message);
+            }
+        }
+        return expired;
+    }
+
     /**
      * Perform operation on universe
      */
-    async performOperation(universeId, operation, params) {
+    async performOperation(universeId, operation, params, context = {}) {
         const universe = this.universes.get(universeId);
         if (!universe) {
             throw new Error(`Universe ${universeId} not found`);
@@ -132,35 +645,72 @@ class RealHeliosEngine extends EventEmitter {
         const startTime = process.hrtime.bigint();
         let result;
 
-        switch (operation) {
-            case 'commit':
-                result = await universe.commit(params.message);
-                this.metrics.totalCommits++;
-                break;
-            case 'restore':
-                result = await universe.restore(params.snapshotId);
-                this.metrics.totalRestores++;
-                break;
-            case 'diff':
-                result = await universe.diff(params.fromSnapshot, params.toSnapshot);
-                this.metrics.totalDiffs++;
-                break;
-            case 'materialize':
-                result = await universe.materialize(params.snapshotId, params.outputDir);
-                this.metrics.totalMaterializes++;
-                break;
-            default:
-                throw new Error(`Unknown operation: ${operation}`);
+        try {
+            // Paused and archived universes reject every operation, reads included
+            universe.assertWritable();
+
+            switch (operation) {
+                case 'commit':
+                    this.quotas.assertCanCommit(universe.namespace, this.universes.values());
+                    result = await universe.commit(params.message, { tags: params.tags, author: context.author });
+                    this.metrics.totalCommits++;
+                    break;
+                case 'restore':
+                    result = await universe.restore(params.snapshotId);
+                    this.metrics.totalRestores++;
+                    break;
+                case 'diff':
+                    result = await universe.diff(params.fromSnapshot, params.toSnapshot, params);
+                    this.metrics.totalDiffs++;
+                    break;
+                case 'materialize':
+                    result = await universe.materialize(params.snapshotId, {
+                        include: params.include,
+                        exclude: params.exclude
+                    });
+                    this.metrics.totalMaterializes++;
+                    break;
+                case 'merge': {
+                    const source = this.universes.get(params.sourceUniverseId);
+                    if (!source) {
+                        throw new Error(`Universe ${params.sourceUniverseId} not found`);
+                    }
+                    this.quotas.assertCanCommit(universe.namespace, this.universes.values());
+                    result = await universe.merge(source, params.sourceSnapshotId, {
+                        message: params.message,
+                        author: context.author
+                    });
+                    this.metrics.totalMerges++;
+                    break;
+                }
+                default:
+                    throw new Error(`Unknown operation: ${operation}`);
+            }
+        } catch (error) {
+            // Failed operations are counted by outcome for monitoring; merge conflicts separately
+            this.emit('operationCompleted', {
+                universeId,
+                operation,
+                outcome: error.details && error.details.conflicts ? 'conflict' : 'error',
+                duration: Number(process.hrtime.bigint() - startTime) / 1000000
+            });
+            throw error;
         }
 
         const endTime = process.hrtime.bigint();
         const operationTime = Number(endTime - startTime) / 1000000; // milliseconds
 
-        // Update metrics
+        // Update metrics with the latency the backend measured for the operation itself;
+        // commits were recorded when their snapshot was added
+        universe.touch();
         this.metrics.totalOperations++;
-        if (operation === 'commit') {
-            this.metrics.averageCommitTime = (this.metrics.averageCommitTime + operationTime) / 2;
+        if (operation !== 'commit') {
+            this.latency.record(operation, (result.metrics || result.diffStats).durationNs);
+        }
+        if (operation === 'commit' || operation === 'restore' || operation === 'merge') {
+            this.persistRegistry(); // the head moved
         }
+        this.emit('operationCompleted', { universeId, operation, outcome: 'success', duration: operationTime });
 
         return {
             ...result,
@@ -172,8 +722,11 @@ class RealHeliosEngine extends EventEmitter {
     /**
      * Shutdown engine gracefully
      */
-    shutdown() {
+    async shutdown() {
         console.log('🔧 Shutting down Real Helios Engine');
+        this.gc.stop();
+        clearInterval(this.ttlTimer);
+        await this.persistRegistry();
         this.universes.clear();
     }
 }
@@ -182,49 +735,313 @@ class RealHeliosEngine extends EventEmitter {
  * Demo Universe class that wraps real Helios operations
  */
 class DemoUniverse {
-    constructor(id, heliosWrapper, config = {}, engine = null) {
+    constructor(id, backend, config = {}, engine = null) {
         this.id = id;
-        this.heliosWrapper = heliosWrapper;
+        this.backend = backend;
         this.config = config;
         this.engine = engine; // Reference to main engine for event emission
-        this.active = true;
+        this.namespace = DEFAULT_NAMESPACE;
+        this.diskUsage = 0; // Bytes in the workspace; its snapshots' store objects are counted by the engine
+        this.status = 'active'; // active, paused, archived; 'deleted' once destroyed
+        this.parent = null; // { universeId, snapshotId } this universe was forked from
+        this.workDir = null;
         this.snapshots = [];
+        this.snapshotInfo = {}; // snapshot id -> { sequence, message, author, createdAt, parent, tags, durationNs }
+        this.snapshotSequence = 0; // next snapshot sequence number, never reused
+        this.head = null; // snapshot the workspace was last committed as or restored to
+        this.retention = null; // overrides of the global retention policy
         this.createdAt = Date.now();
+        this.lastActivityAt = this.createdAt; // TTL expiry counts idle time from here
         this.lastOperation = null;
     }
 
-    async initialize() {
-        // Create a demo file to get started
-        await this.heliosWrapper.createDemoFile(`universe-${this.id}.txt`, `Demo universe ${this.id} created at ${new Date().toISOString()}`);
+    /**
+     * Only active universes accept commits, restores and file changes
+     */
+    get active() {
+        return this.status === 'active';
+    }
+
+    /**
+     * When an idle universe with a `ttl` in its config expires; null without one
+     */
+    get expiresAt() {
+        if (!this.config.ttl) return null;
+        try {
+            return this.lastActivityAt + parseDuration(this.config.ttl);
+        } catch (error) {
+            return null; // configs from before TTLs were validated
+        }
+    }
+
+    touch() {
+        this.lastActivityAt = Date.now();
+    }
+
+    assertWritable() {
+        if (!this.active) {
+            throw new ApiError(409, `Universe ${this.id} is ${this.status}`, { status: this.status });
+        }
+    }
+
+    /**
+     * Rebuild a universe from a persisted registry record
+     */
+    static fromRecord(record, backend, engine) {
+        const universe = new DemoUniverse(record.id, backend, record.config, engine);
+        universe.namespace = record.namespace || DEFAULT_NAMESPACE;
+        universe.diskUsage = record.diskUsage || 0;
+        universe.status = record.status || 'active';
+        universe.parent = record.parent || null;
+        universe.workDir = record.workDir;
+        universe.snapshots = record.snapshots;
+        universe.snapshotInfo = record.snapshotInfo || {};
+        universe.snapshotSequence = record.snapshotSequence || universe.snapshots.length;
+        // Registries from before snapshot metadata: number snapshots in commit order
+        universe.snapshots.forEach((snapshotId, index) => {
+            const info = universe.snapshotInfo[snapshotId] = universe.snapshotInfo[snapshotId] || {};
+            if (info.sequence === undefined) info.sequence = index;
+        });
+        universe.head = record.head || null;
+        universe.retention = record.retention || null;
+        universe.createdAt = record.createdAt;
+        universe.lastActivityAt = record.lastActivityAt || record.createdAt;
+        universe.lastOperation = record.lastOperation;
+        return universe;
+    }
+
+    /**
+     * Registry record for persistence
+     */
+    toRecord() {
+        return {
+            id: this.id,
+            namespace: this.namespace,
+            config: this.config,
+            status: this.status,
+            diskUsage: this.diskUsage,
+            parent: this.parent,
+            workDir: this.workDir,
+            snapshots: this.snapshots,
+            snapshotInfo: this.snapshotInfo,
+            snapshotSequence: this.snapshotSequence,
+            head: this.head,
+            retention: this.retention,
+            createdAt: this.createdAt,
+            lastActivityAt: this.lastActivityAt,
+            lastOperation: this.lastOperation
+        };
+    }
+
+    async initialize(options = {}) {
+        // Every universe gets its own workspace so snapshots never mix files
+        this.workDir = await this.backend.createWorkspace(this.id, this.namespace);
+
+        if (options.fork) {
+            // Populate the workspace from the parent's snapshot
+            const { universeId, snapshotId, workDir } = options.fork;
+            await this.backend.materialize(snapshotId, this.workDir, { workDir });
+            this.parent = { universeId, snapshotId };
+        } else {
+            // Create a demo file to get started
+            await this.backend.createDemoFile(`universe-${this.id}.txt`, `Demo universe ${this.id} created at ${new Date().toISOString()}`, this.workDir);
+        }
 
         // Initial commit
-        const initialCommit = await this.heliosWrapper.commit(`Initial commit for universe ${this.id}`);
-        this.snapshots.push(initialCommit.snapshotId);
-        this.lastOperation = 'initialize';
+        const initialCommit = await this.backend.commit(this.workDir);
+        await this.recordCommit(initialCommit, {
+            message: options.fork ? `Fork of ${options.fork.universeId} at ${options.fork.snapshotId}` : 'Initial commit',
+            parent: options.fork ? options.fork.snapshotId : null
+        });
+        this.lastOperation = options.fork ? 'fork' : 'initialize';
+        await this.refreshDiskUsage();
     }
 
-    async commit(message) {
-        const result = await this.heliosWrapper.commit(message || `Commit in universe ${this.id}`);
-        this.snapshots.push(result.snapshotId);
-        this.lastOperation = 'commit';
+    /**
+     * Re-measure the workspace after operations that rewrite it
+     */
+    async refreshDiskUsage() {
+        this.diskUsage = this.workDir ? await directorySize(this.workDir) : 0;
+        return this.diskUsage;
+    }
+
+    /**
+     * Reject snapshot ids that were not produced by this universe
+     */
+    assertOwnSnapshot(snapshotId) {
+        if (!this.snapshots.includes(snapshotId)) {
+            throw new ApiError(400, `Snapshot ${snapshotId} does not belong to universe ${this.id}`);
+        }
+    }
+
+    /**
+     * Record a new snapshot as the workspace head; its parent defaults to the previous head
+     */
+    addSnapshot(snapshotId, { message = null, author = null, parent = this.head, mergeParent = null, tags = [], durationNs = null } = {}) {
+        this.snapshots.push(snapshotId);
+        this.snapshotInfo[snapshotId] = {
+            sequence: this.snapshotSequence++,
+            message,
+            author,
+            createdAt: Date.now(),
+            parent,
+            mergeParent,
+            tags,
+            durationNs
+        };
+        this.head = snapshotId;
+    }
+
+    /**
+     * Record a backend commit as the new head; every snapshot-producing commit goes through
+     * here so the engine's commit latency and stateCreated events count the same commits
+     */
+    async recordCommit(commit, info = {}) {
+        this.addSnapshot(commit.snapshotId, { ...info, durationNs: commit.metrics.durationNs });
+        if (!this.engine) return;
+
+        await this.engine.trackSnapshotStorage(this, [commit.snapshotId]);
+        this.engine.latency.record('commit', commit.metrics.durationNs);
 
         // Emit event for performance tracking
         this.engine.emit('stateCreated', {
-            commitTime: result.metrics.commitTime,
-            snapshotId: result.snapshotId,
+            durationNs: commit.metrics.durationNs,
+            commitTime: commit.metrics.commitTime,
+            snapshotId: commit.snapshotId,
             universeId: this.id
         });
+    }
 
-        return result;
+    /**
+     * Public view of one snapshot's metadata
+     */
+    describeSnapshot(snapshotId) {
+        const info = this.snapshotInfo[snapshotId] || {};
+        const durationNs = info.durationNs === undefined ? null : info.durationNs;
+        return {
+            id: snapshotId,
+            message: info.message || null,
+            author: info.author || null,
+            createdAt: info.createdAt || null,
+            parent: info.parent || null,
+            mergeParent: info.mergeParent || null,
+            tags: info.tags || [],
+            durationNs,
+            latency: formatDuration(durationNs),
+            head: snapshotId === this.head
+        };
+    }
+
+    /**
+     * Snapshot history, newest first
+     * Options: cursor (from a previous page), limit, tag, since/until (ms), text (message substring)
+     */
+    listSnapshots({ cursor = null, limit = 50, tag = null, since = null, until = null, text = null } = {}) {
+        const before = cursor === null ? Infinity : decodeCursor(cursor);
+        const needle = text === null ? null : text.toLowerCase();
+
+        const matches = [];
+        for (let i = this.snapshots.length - 1; i >= 0 && matches.length <= limit; i--) {
+            const info = this.snapshotInfo[this.snapshots[i]];
+            if (info.sequence >= before) continue;
+            if (tag !== null && !(info.tags || []).includes(tag)) continue;
+            if (since !== null && !(info.createdAt >= since)) continue;
+            if (until !== null && !(info.createdAt <= until)) continue;
+            if (needle !== null && !(info.message || '').toLowerCase().includes(needle)) continue;
+            matches.push(this.snapshots[i]);
+        }
+
+        const page = matches.slice(0, limit);
+        return {
+            snapshots: page.map(snapshotId => this.describeSnapshot(snapshotId)),
+            nextCursor: matches.length > limit ? encodeCursor(this.snapshotInfo[page[page.length - 1]].sequence) : null
+        };
+    }
+
+    /**
+     * Add and/or remove tags on one of this universe's snapshots
+     */
+    updateSnapshotTags(snapshotId, { add = [], remove = [] }) {
+        this.assertOwnSnapshot(snapshotId);
+        const info = this.snapshotInfo[snapshotId];
+        const tags = (info.tags || []).filter(tag => !remove.includes(tag));
+        for (const tag of add) {
+            if (!tags.includes(tag)) tags.push(tag);
+        }
+        if (tags.length > MAX_SNAPSHOT_TAGS) {
+            throw new ApiError(400, `A snapshot can carry at most ${MAX_SNAPSHOT_TAGS} tags`, { tags: info.tags || [] });
+        }
+
+        info.tags = tags;
+        if (this.engine) this.engine.persistRegistry();
+        return this.describeSnapshot(snapshotId);
+    }
+
+    /**
+     * Drop snapshots removed by garbage collection. Snapshots (in any
+     * universe) whose parent is dropped take that parent's nearest kept
+     * ancestors instead, so merges still find common ancestors.
+     */
+    forgetSnapshots(snapshotIds) {
+        const removed = new Set(snapshotIds);
+        const kept = (snapshotId) => {
+            while (removed.has(snapshotId)) {
+                snapshotId = (this.snapshotInfo[snapshotId] || {}).parent || null;
+            }
+            return snapshotId;
+        };
+        // A dropped merge commit's merged-in side carries over to children without their own
+        const mergedIn = (snapshotId) => {
+            while (removed.has(snapshotId)) {
+                const info = this.snapshotInfo[snapshotId] || {};
+                if (info.mergeParent) return info.mergeParent;
+                snapshotId = info.parent || null;
+            }
+            return null;
+        };
+        const universes = this.engine ? Array.from(this.engine.universes.values()) : [this];
+        for (const universe of universes) {
+            for (const [snapshotId, info] of Object.entries(universe.snapshotInfo)) {
+                if (removed.has(snapshotId) || !(removed.has(info.parent) || removed.has(info.mergeParent))) continue;
+                const mergeParent = info.mergeParent || mergedIn(info.parent);
+                info.parent = kept(info.parent);
+                info.mergeParent = kept(mergeParent);
+                if (info.mergeParent === info.parent) info.mergeParent = null;
+            }
+        }
+
+        this.snapshots = this.snapshots.filter(snapshotId => !removed.has(snapshotId));
+        snapshotIds.forEach(snapshotId => delete this.snapshotInfo[snapshotId]);
+        if (this.engine) snapshotIds.forEach(snapshotId => this.engine.quotas.storage.remove(snapshotId));
+    }
+
+    /**
+     * Commit the workspace; options: tags, author
+     */
+    async commit(message, options = {}) {
+        const result = await this.backend.commit(this.workDir);
+        await this.recordCommit(result, {
+            message: message || null,
+            author: options.author || null,
+            tags: options.tags || []
+        });
+        this.lastOperation = 'commit';
+        await this.refreshDiskUsage();
+
+        return { ...result, snapshot: this.describeSnapshot(result.snapshotId) };
     }
 
     async restore(snapshotId) {
-        const result = await this.heliosWrapper.restore(snapshotId);
+        this.assertOwnSnapshot(snapshotId);
+        const result = await this.backend.restore(snapshotId, this.workDir);
+        this.head = snapshotId;
         this.lastOperation = 'restore';
+        await this.refreshDiskUsage();
 
         // Emit event for performance tracking
         if (this.engine) {
             this.engine.emit('stateRestored', {
+                durationNs: result.metrics.durationNs,
                 restoreTime: result.metrics.restoreTime,
                 snapshotId: snapshotId,
                 universeId: this.id
@@ -234,13 +1051,29 @@ class DemoUniverse {
         return result;
     }
 
-    async diff(fromSnapshot, toSnapshot) {
-        const result = await this.heliosWrapper.diff(fromSnapshot, toSnapshot);
+    /**
+     * Structured diff between two of this universe's snapshots
+     * Options: include/exclude path globs, unified (text diffs), context
+     */
+    async diff(fromSnapshot, toSnapshot, options = {}) {
+        this.assertOwnSnapshot(fromSnapshot);
+        this.assertOwnSnapshot(toSnapshot);
+        const result = await this.backend.diff(fromSnapshot, toSnapshot, this.workDir);
         this.lastOperation = 'diff';
 
+        const readFile = (snapshotId, filePath) =>
+            this.backend.readSnapshotFile(snapshotId, filePath, { workDir: this.workDir });
+        const changes = await buildStructuredDiff(result.rawOutput, fromSnapshot, toSnapshot, readFile, {
+            include: options.include,
+            exclude: options.exclude,
+            unified: options.unified,
+            context: options.context
+        });
+
         // Emit event for performance tracking
         if (this.engine) {
             this.engine.emit('diffCalculated', {
+                durationNs: result.diffStats.durationNs,
                 diffTime: result.diffStats.executionTime,
                 fromSnapshot: fromSnapshot,
                 toSnapshot: toSnapshot,
@@ -248,21 +1081,315 @@ class DemoUniverse {
             });
         }
 
-        return result;
+        return { ...result, ...changes };
     }
 
-    async materialize(snapshotId, outputDir) {
-        const result = await this.heliosWrapper.materialize(snapshotId, outputDir);
-        this.lastOperation = 'materialize';
-        return result;
+    /**
+     * Three-way merge of a snapshot of `source` (default: its latest) into
+     * this universe's working tree, against the nearest common ancestor of
+     * that snapshot and this universe's head. A clean merge is committed
+     * with both snapshots as parents; conflicts leave the working tree
+     * untouched and are thrown as a 409 listing base/ours/theirs content.
+     * Options: message, author
+     */
+    async merge(source, sourceSnapshotId = null, options = {}) {
+        const startTime = process.hrtime.bigint();
+        const theirs = sourceSnapshotId || source.snapshots[source.snapshots.length - 1];
+        source.assertOwnSnapshot(theirs);
+
+        const ours = this.head || this.snapshots[this.snapshots.length - 1];
+        const graph = this.engine.snapshotGraph();
+        const base = findCommonAncestor(ours, theirs, snapshotId => (graph.get(snapshotId) || { parents: [] }).parents);
+        if (!base) {
+            throw new ApiError(409, `Snapshot ${theirs} shares no history with universe ${this.id}`, { ours, theirs });
+        }
+
+        // Materialize base and theirs next to the working tree (ours) to compare all three
+        const scratch = await fs.mkdtemp(path.join(os.tmpdir(), `helios-merge-${this.id}-`));
+        const baseDir = path.join(scratch, 'base');
+        const theirsDir = path.join(scratch, 'theirs');
+        try {
+            await fs.mkdir(baseDir);
+            await fs.mkdir(theirsDir);
+            // A base outside the graph is a fork point whose universe was deleted; it stays in stores that can keep it
+            const baseOwner = graph.get(base);
+            try {
+                await this.backend.materialize(base, baseDir, { workDir: baseOwner ? baseOwner.universe.workDir : null });
+            } catch (error) {
+                if (baseOwner) throw error;
+                throw new ApiError(409, `Common ancestor ${base} of ${theirs} and universe ${this.id} is no longer stored`, { base, ours, theirs });
+            }
+            await this.backend.materialize(theirs, theirsDir, { workDir: source.workDir });
+
+            const { changes, conflicts } = mergeTrees(
+                await hashTree(this.backend, baseDir),
+                await hashTree(this.backend, this.workDir),
+                await hashTree(this.backend, theirsDir)
+            );
+
+            if (conflicts.length > 0) {
+                for (const conflict of conflicts) {
+                    conflict.base = await conflictSide(baseDir, conflict.path);
+                    conflict.ours = await conflictSide(this.workDir, conflict.path);
+                    conflict.theirs = await conflictSide(theirsDir, conflict.path);
+                }
+                throw new ApiError(409, `Merge has ${conflicts.length} conflicting files`, { base, ours, theirs, conflicts });
+            }
+
+            let delta = 0;
+            for (const change of changes) {
+                const ourStat = await fs.stat(path.join(this.workDir, change.path)).catch(() => null);
+                const theirStat = change.action === 'write' ? await fs.stat(path.join(theirsDir, change.path)) : null;
+                delta += (theirStat ? theirStat.size : 0) - (ourStat ? ourStat.size : 0);
+            }
+            this.engine.quotas.assertDiskAvailable(this.namespace, delta, this.engine.universes.values());
+
+            for (const change of changes) {
+                const target = path.join(this.workDir, change.path);
+                if (change.action === 'delete') {
+                    await fs.rm(target, { force: true });
+                } else {
+                    await fs.mkdir(path.dirname(target), { recursive: true });
+                    await fs.copyFile(path.join(theirsDir, change.path), target);
+                }
+            }
+            this.lastOperation = 'merge';
+            await this.refreshDiskUsage();
+
+            // Nothing to take from theirs: no merge commit
+            let commit = null;
+            if (changes.length > 0) {
+                commit = await this.backend.commit(this.workDir);
+                await this.recordCommit(commit, {
+                    message: options.message || `Merge ${source.id} at ${theirs} into ${this.id}`,
+                    author: options.author || null,
+                    mergeParent: theirs
+                });
+            }
+
+            const durationNs = Number(process.hrtime.bigint() - startTime);
+            this.engine.emit('mergeCompleted', {
+                durationNs,
+                universeId: this.id,
+                sourceUniverseId: source.id,
+                snapshotId: commit ? commit.snapshotId : null,
+                filesChanged: changes.length
+            });
+
+            return {
+                success: true,
+                snapshotId: commit ? commit.snapshotId : null,
+                upToDate: changes.length === 0,
+                sourceUniverseId: source.id,
+                base,
+                ours,
+                theirs,
+                written: changes.filter(change => change.action === 'write').map(change => change.path),
+                deleted: changes.filter(change => change.action === 'delete').map(change => change.path),
+                snapshot: commit ? this.describeSnapshot(commit.snapshotId) : null,
+                metrics: {
+                    durationNs,
+                    executionTime: durationNs / 1e6,
+                    vstLatency: formatDuration(durationNs)
+                }
+            };
+        } finally {
+            await fs.rm(scratch, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Materialize a snapshot into a fresh server-owned temp directory
+     * (never a client-chosen path); the caller must remove `outputDir`
+     */
+    async materialize(snapshotId, options = {}) {
+        this.assertOwnSnapshot(snapshotId);
+        const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), `helios-${this.id}-`));
+
+        try {
+            const result = await this.backend.materialize(snapshotId, outputDir, {
+                include: options.include,
+                exclude: options.exclude,
+                workDir: this.workDir
+            });
+            this.lastOperation = 'materialize';
+            return result;
+        } catch (error) {
+            await fs.rm(outputDir, { recursive: true, force: true });
+            throw error;
+        }
+    }
+
+    /**
+     * Tear down the universe workspace; archived workspaces are kept on disk
+     */
+    async destroy(options = {}) {
+        this.status = 'deleted';
+        this.lastOperation = 'delete';
+
+        if (!this.workDir) {
+            return null;
+        }
+
+        const archivePath = await this.backend.removeWorkspace(this.workDir, options);
+        this.workDir = null;
+        return archivePath;
+    }
+
+    /**
+     * Resolve a client-supplied relative path inside this universe's workspace,
+     * rejecting traversal, absolute paths, reserved directories and symlink escapes
+     */
+    async resolveFilePath(relPath = '') {
+        if (!this.workDir) {
+            throw new ApiError(409, `Universe ${this.id} has no workspace`);
+        }
+
+        const normalized = String(relPath).replace(/\\/g, '/');
+        const segments = normalized.split('/').filter(segment => segment && segment !== '.');
+        if (normalized.includes('\0') || path.isAbsolute(normalized) ||
+            segments.some(segment => segment === '..' || RESERVED_PATH_SEGMENTS.has(segment))) {
+            throw new ApiError(400, `Invalid file path: ${relPath}`);
+        }
+
+        const root = await fs.realpath(this.workDir);
+        const resolved = path.join(root, ...segments);
+
+        // Symlinks inside the workspace must not lead outside it
+        let existing = resolved;
+        for (;;) {
+            try {
+                existing = await fs.realpath(existing);
+                break;
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+                existing = path.dirname(existing);
+            }
+        }
+        if (existing !== root && !existing.startsWith(root + path.sep)) {
+            throw new ApiError(400, `Invalid file path: ${relPath}`);
+        }
+
+        return { absPath: resolved, relPath: segments.join('/') };
+    }
+
+    async writeFile(relPath, content) {
+        this.assertWritable();
+        const { absPath, relPath: cleanPath } = await this.resolveFilePath(relPath);
+        if (!cleanPath) {
+            throw new ApiError(400, 'A file path is required');
+        }
+
+        const stat = await fs.stat(absPath).catch(() => null);
+        if (stat && stat.isDirectory()) {
+            throw new ApiError(409, `${cleanPath} is a directory`);
+        }
+
+        const delta = content.length - (stat ? stat.size : 0);
+        if (this.engine) {
+            this.engine.quotas.assertDiskAvailable(this.namespace, delta, this.engine.universes.values());
+        }
+
+        await fs.mkdir(path.dirname(absPath), { recursive: true });
+        await fs.writeFile(absPath, content);
+        this.diskUsage = Math.max(0, this.diskUsage + delta);
+        this.lastOperation = 'writeFile';
+        this.touch();
+        if (this.engine) this.engine.persistRegistry();
+
+        return { path: cleanPath, bytes: content.length, created: !stat };
+    }
+
+    async readFile(relPath) {
+        const { absPath, relPath: cleanPath } = await this.resolveFilePath(relPath);
+        const stat = await fs.stat(absPath).catch(() => null);
+        if (!stat || !stat.isFile()) {
+            throw new ApiError(404, `File ${cleanPath} not found`);
+        }
+        return await fs.readFile(absPath);
+    }
+
+    /**
+     * Stat a workspace path; resolves to null when it does not exist
+     */
+    async statFile(relPath) {
+        const { absPath } = await this.resolveFilePath(relPath);
+        return await fs.stat(absPath).catch(() => null);
+    }
+
+    async listDirectory(relPath = '') {
+        const { absPath, relPath: cleanPath } = await this.resolveFilePath(relPath);
+        const stat = await fs.stat(absPath).catch(() => null);
+        if (!stat || !stat.isDirectory()) {
+            throw new ApiError(404, `Directory ${cleanPath || '/'} not found`);
+        }
+
+        const entries = await fs.readdir(absPath, { withFileTypes: true });
+        const listing = [];
+        for (const entry of entries) {
+            if (RESERVED_PATH_SEGMENTS.has(entry.name) || !(entry.isFile() || entry.isDirectory())) {
+                continue;
+            }
+            const entryStat = await fs.stat(path.join(absPath, entry.name));
+            listing.push({
+                name: entry.name,
+                path: cleanPath ? `${cleanPath}/${entry.name}` : entry.name,
+                type: entry.isDirectory() ? 'directory' : 'file',
+                size: entry.isDirectory() ? null : entryStat.size,
+                modifiedAt: entryStat.mtime.toISOString()
+            });
+        }
+        return listing.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Delete a file, or an empty directory
+     */
+    async deleteFile(relPath) {
+        this.assertWritable();
+        const { absPath, relPath: cleanPath } = await this.resolveFilePath(relPath);
+        if (!cleanPath) {
+            throw new ApiError(400, 'Cannot delete the workspace root');
+        }
+
+        const stat = await fs.stat(absPath).catch(() => null);
+        if (!stat) {
+            throw new ApiError(404, `File ${cleanPath} not found`);
+        }
+
+        if (stat.isDirectory()) {
+            try {
+                await fs.rmdir(absPath);
+            } catch (error) {
+                if (error.code === 'ENOTEMPTY') {
+                    throw new ApiError(409, `Directory ${cleanPath} is not empty`);
+                }
+                throw error;
+            }
+        } else {
+            await fs.unlink(absPath);
+            this.diskUsage = Math.max(0, this.diskUsage - stat.size);
+        }
+        this.lastOperation = 'deleteFile';
+        this.touch();
+        if (this.engine) this.engine.persistRegistry();
+
+        return { path: cleanPath, deleted: true };
     }
 
     getMetadata() {
         return {
             id: this.id,
+            namespace: this.namespace,
+            status: this.status,
             active: this.active,
+            parent: this.parent,
             snapshots: this.snapshots,
+            head: this.head,
+            retention: this.retention,
             createdAt: this.createdAt,
+            lastActivityAt: this.lastActivityAt,
+            expiresAt: this.status === 'archived' ? null : this.expiresAt,
             lastOperation: this.lastOperation,
             config: this.config
         };
@@ -0,0 +1,509 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const RealHeliosEngine = require('./real-helios-engine');
+const { NamespaceQuotas } = require('./namespace-quotas');
+
+describe('RealHeliosEngine', () => {
+    let workDir;
+    let engine;
+
+    const createEngine = async (options = {}) => {
+        const created = new RealHeliosEngine({ workDir, ...options });
+        await created.ready;
+        return created;
+    };
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    beforeEach(async () => {
+        workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'helios-engine-test-'));
+        engine = await createEngine();
+    });
+
+    afterEach(async () => {
+        await engine.shutdown();
+        await fs.rm(workDir, { recursive: true, force: true });
+    });
+
+    describe('backends', () => {
+        test('defaults to the in-process JS store', () => {
+            expect(engine.backend.name).toBe('js');
+        });
+
+        test('rejects `ready` when the CLI binary is missing', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const cliEngine = new RealHeliosEngine({
+                backend: 'cli',
+                workDir,
+                heliosCliPath: path.join(workDir, 'missing-helios-cli')
+            });
+
+            await expect(cliEngine.ready).rejects.toThrow('Helios CLI initialization failed');
+            console.error.mockRestore();
+        });
+    });
+
+    describe('workspaces', () => {
+        test('gives every universe its own workspace directory', async () => {
+            const first = await engine.createUniverse();
+            const second = await engine.createUniverse();
+
+            expect(first.workDir).not.toBe(second.workDir);
+            expect(first.workDir).toBe(path.join(workDir, 'namespaces', 'default', first.id));
+            expect(await fs.readdir(first.workDir)).toEqual([`universe-${first.id}.txt`]);
+            expect(await fs.readdir(second.workDir)).toEqual([`universe-${second.id}.txt`]);
+        });
+
+        test('commits only see the universe\'s own files', async () => {
+            const first = await engine.createUniverse();
+            const second = await engine.createUniverse();
+            await first.writeFile('only-first.txt', Buffer.from('first'));
+
+            await engine.performOperation(first.id, 'commit', { message: 'first' });
+            const files = await engine.backend.listSnapshotFiles(first.snapshots[first.snapshots.length - 1]);
+
+            expect(Array.from(files.keys()).sort()).toEqual(['only-first.txt', `universe-${first.id}.txt`]);
+            await expect(second.readFile('only-first.txt')).rejects.toMatchObject({ status: 404 });
+        });
+
+        test('restore rewrites only the universe\'s workspace', async () => {
+            const first = await engine.createUniverse();
+            const second = await engine.createUniverse();
+            const initial = first.snapshots[0];
+            await first.writeFile('later.txt', Buffer.from('later'));
+            await second.writeFile('keep.txt', Buffer.from('keep'));
+
+            await engine.performOperation(first.id, 'restore', { snapshotId: initial });
+
+            expect(await fs.readdir(first.workDir)).toEqual([`universe-${first.id}.txt`]);
+            expect((await second.readFile('keep.txt')).toString()).toBe('keep');
+        });
+    });
+
+    describe('files', () => {
+        test('write, list, read and delete files in the workspace', async () => {
+            const universe = await engine.createUniverse();
+
+            expect(await universe.writeFile('src/app.js', Buffer.from('one'))).toEqual({ path: 'src/app.js', bytes: 3, created: true });
+            expect(await universe.writeFile('./src//app.js', Buffer.from('two'))).toMatchObject({ created: false });
+            expect((await universe.readFile('src/app.js')).toString()).toBe('two');
+            expect((await universe.listDirectory('src')).map(entry => [entry.path, entry.type, entry.size]))
+                .toEqual([['src/app.js', 'file', 3]]);
+
+            await expect(universe.deleteFile('src')).rejects.toMatchObject({ status: 409 });
+            await universe.deleteFile('src/app.js');
+            await universe.deleteFile('src');
+            await expect(universe.readFile('src/app.js')).rejects.toMatchObject({ status: 404 });
+        });
+
+        test.each(['../escape.txt', 'a/../../escape.txt', '/etc/passwd', '.vst/objects', 'nested/.helios/x', 'bad\0name'])(
+            'reject the path %p', async (relPath) => {
+                const universe = await engine.createUniverse();
+                await expect(universe.writeFile(relPath, Buffer.from('x'))).rejects.toMatchObject({ status: 400 });
+            });
+
+        test('reject symlinks that lead out of the workspace', async () => {
+            const universe = await engine.createUniverse();
+            await fs.symlink(os.tmpdir(), path.join(universe.workDir, 'outside'));
+
+            await expect(universe.readFile('outside/anything')).rejects.toMatchObject({ status: 400 });
+            await expect(universe.writeFile('outside/new.txt', Buffer.from('x'))).rejects.toMatchObject({ status: 400 });
+        });
+
+        test('reject writes to universes that are not active', async () => {
+            const universe = await engine.createUniverse();
+            engine.updateUniverse(universe.id, { status: 'paused' });
+
+            await expect(universe.writeFile('a.txt', Buffer.from('x'))).rejects.toMatchObject({ status: 409 });
+            expect((await universe.readFile(`universe-${universe.id}.txt`)).length).toBeGreaterThan(0);
+        });
+    });
+
+    describe('diffs', () => {
+        test('report file-level changes between two snapshots', async () => {
+            const universe = await engine.createUniverse();
+            await universe.writeFile('notes.txt', Buffer.from('one\n'));
+            await engine.performOperation(universe.id, 'commit', {});
+            await universe.writeFile('notes.txt', Buffer.from('one\ntwo\n'));
+            await universe.deleteFile(`universe-${universe.id}.txt`);
+            await engine.performOperation(universe.id, 'commit', {});
+            const [initial, first, second] = universe.snapshots;
+
+            const diff = await engine.performOperation(universe.id, 'diff', { fromSnapshot: first, toSnapshot: second });
+            expect(diff.modified).toMatchObject([{ path: 'notes.txt', linesAdded: 1, linesRemoved: 0 }]);
+            expect(diff.deleted.map(entry => entry.path)).toEqual([`universe-${universe.id}.txt`]);
+            expect(diff.added).toEqual([]);
+
+            const other = await engine.createUniverse();
+            await expect(engine.performOperation(universe.id, 'diff', { fromSnapshot: initial, toSnapshot: other.snapshots[0] }))
+                .rejects.toMatchObject({ status: 400 });
+        });
+    });
+
+    describe('forks', () => {
+        test('start from the chosen snapshot in the source\'s namespace', async () => {
+            const source = await engine.createUniverse({ label: 'source', size: 1 }, { namespace: 'team-a' });
+            const initial = source.snapshots[0];
+            await source.writeFile('later.txt', Buffer.from('later'));
+            await engine.performOperation(source.id, 'commit', {});
+
+            const fork = await engine.forkUniverse(source.id, initial, { size: 2 });
+
+            expect(fork.namespace).toBe('team-a');
+            expect(fork.config).toEqual({ label: 'source', size: 2 });
+            expect(fork.parent).toEqual({ universeId: source.id, snapshotId: initial });
+            expect(fork.describeSnapshot(fork.snapshots[0]).parent).toBe(initial);
+            expect(await fs.readdir(fork.workDir)).toEqual([`universe-${source.id}.txt`]);
+        });
+
+        test('reject snapshots of another universe', async () => {
+            const source = await engine.createUniverse();
+            const other = await engine.createUniverse();
+
+            await expect(engine.forkUniverse(source.id, other.snapshots[0])).rejects.toMatchObject({ status: 400 });
+        });
+
+        test('are tracked as lineage, including deleted ancestors', async () => {
+            const root = await engine.createUniverse();
+            const child = await engine.forkUniverse(root.id);
+            const grandchild = await engine.forkUniverse(child.id);
+            const sibling = await engine.forkUniverse(root.id);
+
+            expect(engine.getLineage(root.id).descendants.map(node => [node.universeId, node.children.length]))
+                .toEqual([[child.id, 1], [sibling.id, 0]]);
+
+            await engine.deleteUniverse(root.id);
+            expect(engine.getLineage(grandchild.id).ancestors).toEqual([
+                { universeId: child.id, forkedAtSnapshot: child.snapshots[child.snapshots.length - 1], exists: true },
+                { universeId: root.id, forkedAtSnapshot: root.snapshots[0], exists: false }
+            ]);
+        });
+    });
+
+    describe('namespaces', () => {
+        test('keep workspaces and listings per namespace', async () => {
+            const a = await engine.createUniverse({}, { namespace: 'team-a' });
+            await engine.createUniverse({}, { namespace: 'team-b' });
+
+            expect(a.workDir).toBe(path.join(workDir, 'namespaces', 'team-a', a.id));
+            expect(engine.getUniverses('team-a')).toEqual([a]);
+            expect(engine.getNamespace('team-a').usage).toMatchObject({ universes: 1, snapshots: 1 });
+        });
+
+        test('count universes still being created against the quota', async () => {
+            await engine.shutdown();
+            engine = await createEngine({ quotas: new NamespaceQuotas({ namespaces: { small: { maxUniverses: 2 } } }) });
+
+            const results = await Promise.allSettled([1, 2, 3].map(() => engine.createUniverse({}, { namespace: 'small' })));
+
+            expect(results.map(result => result.status)).toEqual(['fulfilled', 'fulfilled', 'rejected']);
+            expect(results[2].reason).toMatchObject({ status: 403, details: { quota: 'universe', limit: 2 } });
+            expect(engine.getUniverses('small')).toHaveLength(2);
+            expect(engine.pendingCreates.size).toBe(0);
+        });
+
+        test('count commits against the snapshot quota', async () => {
+            await engine.shutdown();
+            engine = await createEngine({ quotas: new NamespaceQuotas({ namespaces: { small: { maxSnapshots: 2 } } }) });
+            const universe = await engine.createUniverse({}, { namespace: 'small' });
+
+            await engine.performOperation(universe.id, 'commit', {});
+            await expect(engine.performOperation(universe.id, 'commit', {})).rejects.toMatchObject({ status: 403 });
+        });
+    });
+
+    describe('disk quota', () => {
+        test('counts committed snapshot storage, not only the workspace', async () => {
+            await engine.shutdown();
+            engine = await createEngine({ quotas: new NamespaceQuotas({ defaults: { maxDiskBytes: 64 * 1024 } }) });
+            const universe = await engine.createUniverse();
+
+            // Each version of the file stays in the store after the workspace moves on
+            for (let version = 0; version < 3; version++) {
+                await universe.writeFile('data.bin', Buffer.alloc(20 * 1024, version));
+                await engine.performOperation(universe.id, 'commit', {});
+                await universe.deleteFile('data.bin');
+            }
+            const usage = engine.quotas.usage('default', engine.universes.values());
+
+            expect(usage.workspaceBytes).toBeLessThan(1024);
+            expect(usage.snapshotBytes).toBeGreaterThan(60 * 1024);
+            await expect(universe.writeFile('data.bin', Buffer.alloc(20 * 1024, 9))).rejects.toMatchObject({ status: 403 });
+        });
+
+        test('rebuilds snapshot storage from the registry on restart', async () => {
+            const universe = await engine.createUniverse();
+            await universe.writeFile('data.bin', Buffer.alloc(4096, 1));
+            await engine.performOperation(universe.id, 'commit', {});
+            const before = engine.quotas.usage('default', engine.universes.values()).snapshotBytes;
+            await engine.shutdown();
+
+            engine = await createEngine();
+
+            expect(before).toBeGreaterThan(4096);
+            expect(engine.quotas.usage('default', engine.universes.values()).snapshotBytes).toBe(before);
+        });
+    });
+
+    describe('lifecycle', () => {
+        const manifests = async () => (await fs.readdir(engine.backend.snapshotsDir))
+            .map(name => path.basename(name, '.json')).sort();
+
+        test('moves between statuses and rejects other transitions', async () => {
+            const universe = await engine.createUniverse();
+            const events = [];
+            engine.on('universeLifecycle', event => events.push(event));
+
+            engine.updateUniverse(universe.id, { status: 'paused' });
+            await expect(engine.performOperation(universe.id, 'commit', {})).rejects.toMatchObject({ status: 409 });
+            engine.updateUniverse(universe.id, { status: 'archived' });
+            expect(() => engine.updateUniverse(universe.id, { status: 'paused' })).toThrow(expect.objectContaining({ status: 409 }));
+            engine.updateUniverse(universe.id, { status: 'active' });
+            await engine.performOperation(universe.id, 'commit', {});
+
+            expect(events.map(event => `${event.from}->${event.to}`)).toEqual(['active->paused', 'paused->archived', 'archived->active']);
+        });
+
+        test.each(['paused', 'archived'])('rejects reading operations on %s universes', async (status) => {
+            const universe = await engine.createUniverse();
+            const [snapshotId] = universe.snapshots;
+            engine.updateUniverse(universe.id, { status });
+
+            await expect(engine.performOperation(universe.id, 'diff', { fromSnapshot: snapshotId, toSnapshot: snapshotId }))
+                .rejects.toMatchObject({ status: 409, details: { status } });
+            await expect(engine.performOperation(universe.id, 'materialize', { snapshotId }))
+                .rejects.toMatchObject({ status: 409, details: { status } });
+        });
+
+        test('expires idle universes past their TTL, except archived ones', async () => {
+            const idle = await engine.createUniverse({ ttl: '1h' });
+            const archived = await engine.createUniverse({ ttl: '1h' });
+            const untimed = await engine.createUniverse();
+            engine.updateUniverse(archived.id, { status: 'archived' });
+
+            expect(await engine.expireIdleUniverses(Date.now() + 30 * 60 * 1000)).toEqual([]);
+            expect(await engine.expireIdleUniverses(Date.now() + 2 * 60 * 60 * 1000)).toEqual([idle.id]);
+            expect(engine.getUniverse(idle.id)).toBeUndefined();
+            expect(engine.getUniverse(archived.id)).toBe(archived);
+            expect(engine.getUniverse(untimed.id)).toBe(untimed);
+        });
+
+        test('keeps expiring the others when one deletion fails', async () => {
+            const broken = await engine.createUniverse({ ttl: '1h' });
+            const idle = await engine.createUniverse({ ttl: '1h' });
+            const deleteUniverse = engine.deleteUniverse.bind(engine);
+            jest.spyOn(engine, 'deleteUniverse').mockImplementation((universeId, options) =>
+                universeId === broken.id ? Promise.reject(new Error('disk busy')) : deleteUniverse(universeId, options));
+            const logged = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            expect(await engine.expireIdleUniverses(Date.now() + 2 * 60 * 60 * 1000)).toEqual([idle.id]);
+            expect(engine.getUniverse(broken.id)).toBe(broken);
+            expect(engine.getUniverse(idle.id)).toBeUndefined();
+            expect(logged).toHaveBeenCalledWith(`❌ Failed to expire universe ${broken.id}:`, 'disk busy');
+
+            engine.deleteUniverse.mockRestore();
+            logged.mockRestore();
+        });
+
+        test('deletes the universe\'s snapshots except those forks still need', async () => {
+            const parent = await engine.createUniverse();
+            await parent.writeFile('shared.txt', Buffer.from('shared'));
+            await engine.performOperation(parent.id, 'commit', {});
+            await parent.writeFile('later.txt', Buffer.from('later'));
+            await engine.performOperation(parent.id, 'commit', {});
+            const [initial, forkPoint, latest] = parent.snapshots;
+            const fork = await engine.forkUniverse(parent.id, forkPoint);
+
+            const result = await engine.deleteUniverse(parent.id);
+
+            expect(result.snapshotsDeleted).toBe(2);
+            expect(await manifests()).toEqual([forkPoint, ...fork.snapshots].sort());
+            expect(await manifests()).not.toContain(initial);
+            expect(await manifests()).not.toContain(latest);
+
+            await engine.deleteUniverse(fork.id);
+            expect(await manifests()).toEqual([]);
+        });
+    });
+
+    describe('history', () => {
+        const commitAll = async (universe, commits) => {
+            for (const [message, tags] of commits) {
+                await engine.performOperation(universe.id, 'commit', { message, tags }, { author: 'tester' });
+            }
+        };
+
+        test('pages newest first with cursors', async () => {
+            const universe = await engine.createUniverse();
+            await commitAll(universe, [['one', []], ['two', []], ['three', []]]);
+
+            const first = universe.listSnapshots({ limit: 2 });
+            expect(first.snapshots.map(snapshot => snapshot.message)).toEqual(['three', 'two']);
+            expect(first.snapshots[0]).toMatchObject({ author: 'tester', head: true });
+            expect(first.nextCursor).toEqual(expect.any(String));
+
+            const second = universe.listSnapshots({ limit: 2, cursor: first.nextCursor });
+            expect(second.snapshots.map(snapshot => snapshot.message)).toEqual(['one', 'Initial commit']);
+            expect(second.nextCursor).toBeNull();
+        });
+
+        test('filters by tag, message text and time', async () => {
+            const universe = await engine.createUniverse();
+            await commitAll(universe, [['Add parser', ['release']], ['fix parser bug', []], ['docs', ['release']]]);
+
+            expect(universe.listSnapshots({ tag: 'release' }).snapshots.map(snapshot => snapshot.message))
+                .toEqual(['docs', 'Add parser']);
+            expect(universe.listSnapshots({ text: 'PARSER' }).snapshots.map(snapshot => snapshot.message))
+                .toEqual(['fix parser bug', 'Add parser']);
+            expect(universe.listSnapshots({ since: Date.now() + 60000 }).snapshots).toEqual([]);
+            expect(universe.listSnapshots({ until: 0 }).snapshots).toEqual([]);
+        });
+
+        test('rejects malformed cursors', async () => {
+            const universe = await engine.createUniverse();
+
+            expect(() => universe.listSnapshots({ cursor: 'not-a-number' })).toThrow('Invalid cursor');
+            expect(() => universe.listSnapshots({ cursor: Buffer.from('-1').toString('base64url') }))
+                .toThrow(expect.objectContaining({ status: 400 }));
+        });
+
+        test('adds and removes tags and keeps them across restarts', async () => {
+            const universe = await engine.createUniverse();
+            const snapshotId = universe.snapshots[0];
+
+            expect(universe.updateSnapshotTags(snapshotId, { add: ['v1', 'stable', 'v1'] }).tags).toEqual(['v1', 'stable']);
+            expect(universe.updateSnapshotTags(snapshotId, { remove: ['v1'] }).tags).toEqual(['stable']);
+            expect(() => universe.updateSnapshotTags('missing', { add: ['v1'] })).toThrow(expect.objectContaining({ status: 400 }));
+
+            const tooMany = Array.from({ length: 20 }, (_, i) => `t${i}`);
+            expect(() => universe.updateSnapshotTags(snapshotId, { add: tooMany })).toThrow(expect.objectContaining({ status: 400 }));
+            expect(universe.describeSnapshot(snapshotId).tags).toEqual(['stable']);
+
+            await engine.shutdown();
+            engine = await createEngine();
+            expect(engine.getUniverse(universe.id).describeSnapshot(snapshotId).tags).toEqual(['stable']);
+        });
+    });
+
+    describe('compare', () => {
+        test('compares universes at the given snapshots with path filters', async () => {
+            const first = await engine.createUniverse();
+            const second = await engine.forkUniverse(first.id);
+            await second.writeFile('src/app.js', Buffer.from('app'));
+            await second.writeFile('notes.md', Buffer.from('notes'));
+            await engine.performOperation(second.id, 'commit', {});
+
+            const result = await engine.compareUniverses([
+                { universe: first, snapshotId: first.snapshots[0] },
+                { universe: second, snapshotId: second.snapshots[second.snapshots.length - 1] }
+            ], { include: ['src/**'] });
+
+            expect(result.universes.map(entry => [entry.universeId, entry.files])).toEqual([[first.id, 0], [second.id, 1]]);
+            expect(result.files).toEqual([expect.objectContaining({ path: 'src/app.js', missingFrom: [first.id] })]);
+            expect(result.matrix.filesDiffering).toEqual([[0, 1], [1, 0]]);
+            expect(result.summary).toEqual({ universes: 2, filesCompared: 1, filesDiffering: 1, identicalPairs: 0 });
+        });
+
+        test('rejects snapshots the universe does not own', async () => {
+            const first = await engine.createUniverse();
+            const second = await engine.createUniverse();
+
+            await expect(engine.compareUniverses([
+                { universe: first, snapshotId: second.snapshots[0] },
+                { universe: second, snapshotId: second.snapshots[0] }
+            ])).rejects.toMatchObject({ status: 400 });
+        });
+    });
+
+    describe('merge', () => {
+        const commitFile = async (universe, name, content) => {
+            await universe.writeFile(name, Buffer.from(content));
+            await engine.performOperation(universe.id, 'commit', {});
+        };
+
+        test('merges a fork back and reports conflicts with all three sides', async () => {
+            const target = await engine.createUniverse();
+            const fork = await engine.forkUniverse(target.id);
+            await commitFile(fork, 'feature.txt', 'feature');
+            await commitFile(fork, 'shared.txt', 'theirs');
+            await commitFile(target, 'shared.txt', 'ours');
+
+            await expect(engine.performOperation(target.id, 'merge', { sourceUniverseId: fork.id }))
+                .rejects.toMatchObject({ status: 409, details: { conflicts: [{ path: 'shared.txt', type: 'add/add', ours: { content: 'ours' }, theirs: { content: 'theirs' } }] } });
+
+            await target.deleteFile('shared.txt');
+            await commitFile(target, 'other.txt', 'other');
+            const result = await engine.performOperation(target.id, 'merge', { sourceUniverseId: fork.id });
+
+            expect(result.base).toBe(fork.parent.snapshotId);
+            expect(result.written).toEqual(['feature.txt', 'shared.txt']);
+            expect(target.describeSnapshot(result.snapshotId).mergeParent).toBe(result.theirs);
+            expect((await target.readFile('feature.txt')).toString()).toBe('feature');
+        });
+
+        test('records initial, regular and merge commits as commit latency', async () => {
+            const created = jest.fn();
+            engine.on('stateCreated', created);
+
+            const target = await engine.createUniverse();
+            const fork = await engine.forkUniverse(target.id);
+            await commitFile(fork, 'feature.txt', 'feature');
+            await engine.performOperation(target.id, 'merge', { sourceUniverseId: fork.id });
+
+            // two initial commits, one regular commit and the merge commit
+            expect(created).toHaveBeenCalledTimes(4);
+            expect(engine.latency.count('commit')).toBe(4);
+            expect(engine.latency.count('merge')).toBe(1);
+        });
+
+        test('still finds the common ancestor after GC drops the history between', async () => {
+            await engine.shutdown();
+            engine = await createEngine({ retention: { keepLast: 1 } });
+            const target = await engine.createUniverse();
+            const fork = await engine.forkUniverse(target.id);
+            await commitFile(target, 'ours.txt', 'ours-1');
+            await commitFile(target, 'ours.txt', 'ours-2');
+            await commitFile(fork, 'theirs.txt', 'theirs-1');
+            await commitFile(fork, 'theirs.txt', 'theirs-2');
+
+            const report = await engine.gc.run();
+            const result = await engine.performOperation(target.id, 'merge', { sourceUniverseId: fork.id });
+
+            expect(report.snapshotsRemoved).toBe(3);
+            expect(result.base).toBe(fork.parent.snapshotId);
+            expect(result.written).toEqual(['theirs.txt']);
+        });
+
+        test('merges forks whose shared ancestor belonged to a deleted universe', async () => {
+            const origin = await engine.createUniverse();
+            const target = await engine.forkUniverse(origin.id);
+            const fork = await engine.forkUniverse(origin.id);
+            await commitFile(target, 'ours.txt', 'ours');
+            await commitFile(fork, 'theirs.txt', 'theirs');
+            await engine.deleteUniverse(origin.id);
+
+            const result = await engine.performOperation(target.id, 'merge', { sourceUniverseId: fork.id });
+            expect(result.base).toBe(fork.parent.snapshotId);
+            expect(result.written).toEqual(['theirs.txt']);
+        });
+
+        test('answers 409 when the shared ancestor is no longer stored', async () => {
+            const origin = await engine.createUniverse();
+            const target = await engine.forkUniverse(origin.id);
+            const fork = await engine.forkUniverse(origin.id);
+            await commitFile(fork, 'theirs.txt', 'theirs');
+            await engine.deleteUniverse(origin.id);
+            await fs.rm(path.join(engine.backend.snapshotsDir, `${fork.parent.snapshotId}.json`));
+
+            await expect(engine.performOperation(target.id, 'merge', { sourceUniverseId: fork.id }))
+                .rejects.toMatchObject({ status: 409, message: expect.stringContaining('no longer stored') });
+        });
+    });
+});
@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+
+/**
+ * Structured Snapshot Diffs
+ *
+ * Turns the raw output of a backend diff into added/modified/deleted file
+ * lists with per-file byte and line counts, plus optional unified text
+ * diffs for text files.
+ */
+
+const { filterPaths } = require('./glob-match');
+
+// Line diffs are LCS-based; skip line stats for files whose middle section
+// would need a larger table than this
+const MAX_LINE_DIFF_CELLS = 4000000;
+// Unified diffs are only rendered for text files up to this size
+const MAX_UNIFIED_DIFF_BYTES = 1024 * 1024;
+
+const STATUS_CODES = {
+    A: 'added', '+': 'added', added: 'added',
+    M: 'modified', '~': 'modified', modified: 'modified',
+    D: 'deleted', '-': 'deleted', deleted: 'deleted', removed: 'deleted'
+};
+
+/**
+ * Parse backend diff output into path lists
+ *
+ * Accepts JSON (`{ added, modified, deleted }` with string or `{ path }`
+ * entries, or `{ changes: [{ path, status }] }`) and line-based output such
+ * as `A path`, `M path`, `D path` or `modified: path`.
+ */
+function parseDiffOutput(rawOutput) {
+    const result = { added: [], modified: [], deleted: [] };
+    const text = (rawOutput || '').trim();
+    if (!text) {
+        return result;
+    }
+
+    const pathOf = entry => (typeof entry === 'string' ? entry : entry.path);
+
+    let parsed = null;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        // Not JSON - fall through to line parsing
+    }
+
+    if (parsed && typeof parsed === 'object') {
+        if (Array.isArray(parsed.changes)) {
+            for (const change of parsed.changes) {
+                const status = STATUS_CODES[change.status || change.type];
+                if (status) result[status].push(pathOf(change));
+            }
+        } else {
+            for (const status of ['added', 'modified', 'deleted']) {
+                result[status] = (parsed[status] || []).map(pathOf);
+            }
+        }
+        return result;
+    }
+
+    for (const line of text.split('\n')) {
+        const match = line.trim().match(/^([AMD+~-]|added|modified|deleted|removed):?\s+(.+)$/i);
+        if (!match) continue;
+        const code = match[1].length === 1 ? match[1].toUpperCase() : match[1].toLowerCase();
+        const status = STATUS_CODES[code];
+        if (status) result[status].push(match[2].trim());
+    }
+    return result;
+}
+
+function isBinary(buffer) {
+    return buffer.subarray(0, 8000).includes(0);
+}
+
+function splitLines(text) {
+    if (text === '') return [];
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+/**
+ * Edit script between two line arrays: [{ type: ' ' | '-' | '+', line }]
+ * Returns null when the files are too large to diff line by line.
+ */
+function diffLines(oldLines, newLines) {
+    let prefix = 0;
+    while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix &&
+        oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+        suffix++;
+    }
+
+    const a = oldLines.slice(prefix, oldLines.length - suffix);
+    const b = newLines.slice(prefix, newLines.length - suffix);
+    const n = a.length;
+    const m = b.length;
+    if ((n + 1) * (m + 1) > MAX_LINE_DIFF_CELLS) {
+        return null;
+    }
+
+    // lcs[i * (m + 1) + j] = LCS length of a[i:] and b[j:]
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i * width + j] = a[i] === b[j]
+                ? lcs[(i + 1) * width + j + 1] + 1
+                : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+        }
+    }
+
+    const ops = oldLines.slice(0, prefix).map(line => ({ type: ' ', line }));
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (a[i] === b[j]) {
+            ops.push({ type: ' ', line: a[i] });
+            i++;
+            j++;
+        } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+            ops.push({ type: '-', line: a[i++] });
+        } else {
+            ops.push({ type: '+', line: b[j++] });
+        }
+    }
+    while (i < n) ops.push({ type: '-', line: a[i++] });
+    while (j < m) ops.push({ type: '+', line: b[j++] });
+    for (const line of oldLines.slice(oldLines.length - suffix)) {
+        ops.push({ type: ' ', line });
+    }
+    return ops;
+}
+
+/**
+ * Render an edit script as a unified diff with `context` lines around changes
+ */
+function formatUnifiedDiff(ops, fromLabel, toLabel, context = 3) {
+    const changes = [];
+    ops.forEach((op, index) => {
+        if (op.type !== ' ') changes.push(index);
+    });
+    if (changes.length === 0) {
+        return '';
+    }
+
+    // 1-based line numbers in the old and new file for each op
+    const oldPos = [];
+    const newPos = [];
+    let oldLine = 1;
+    let newLine = 1;
+    for (const op of ops) {
+        oldPos.push(oldLine);
+        newPos.push(newLine);
+        if (op.type !== '+') oldLine++;
+        if (op.type !== '-') newLine++;
+    }
+
+    const last = ops.length - 1;
+    const ranges = [];
+    let start = Math.max(0, changes[0] - context);
+    let end = Math.min(last, changes[0] + context);
+    for (const index of changes.slice(1)) {
+        if (index - context <= end + 1) {
+            end = Math.min(last, index + context);
+        } else {
+            ranges.push([start, end]);
+            start = Math.max(0, index - context);
+            end = Math.min(last, index + context);
+        }
+    }
+    ranges.push([start, end]);
+
+    const output = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+    for (const [from, to] of ranges) {
+        const hunk = ops.slice(from, to + 1);
+        const oldCount = hunk.filter(op => op.type !== '+').length;
+        const newCount = hunk.filter(op => op.type !== '-').length;
+        const oldStart = oldCount > 0 ? oldPos[from] : oldPos[from] - 1;
+        const newStart = newCount > 0 ? newPos[from] : newPos[from] - 1;
+        output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        hunk.forEach(op => output.push(`${op.type}${op.line}`));
+    }
+    return output.join('\n') + '\n';
+}
+
+function describeFile(filePath, buffer) {
+    const binary = isBinary(buffer);
+    return {
+        path: filePath,
+        bytes: buffer.length,
+        lines: binary ? null : splitLines(buffer.toString('utf8')).length,
+        binary
+    };
+}
+
+/**
+ * Build a structured diff between two snapshots
+ *
+ * `readFile(snapshotId, path)` must resolve to a Buffer (or null when the
+ * file is missing). Options: include/exclude globs, `unified` to render
+ * text diffs for modified/added/deleted text files, and `context` lines.
+ */
+async function buildStructuredDiff(rawOutput, fromSnapshot, toSnapshot, readFile, options = {}) {
+    const parsed = parseDiffOutput(rawOutput);
+    const context = options.context !== undefined ? Number(options.context) : 3;
+
+    const added = [];
+    const modified = [];
+    const deleted = [];
+    const summary = {
+        added: 0,
+        modified: 0,
+        deleted: 0,
+        bytesAdded: 0,
+        bytesRemoved: 0,
+        linesAdded: 0,
+        linesRemoved: 0
+    };
+
+    const textDiff = (oldBuffer, newBuffer, filePath) => {
+        const ops = diffLines(splitLines(oldBuffer.toString('utf8')), splitLines(newBuffer.toString('utf8')));
+        if (!ops) return { ops: null, unifiedDiff: null };
+        const renderable = options.unified && oldBuffer.length + newBuffer.length <= MAX_UNIFIED_DIFF_BYTES;
+        return {
+            ops,
+            unifiedDiff: renderable ? formatUnifiedDiff(ops, `a/${filePath}`, `b/${filePath}`, context) : undefined
+        };
+    };
+
+    for (const filePath of filterPaths(parsed.added, options)) {
+        const buffer = (await readFile(toSnapshot, filePath)) || Buffer.alloc(0);
+        const entry = describeFile(filePath, buffer);
+        if (options.unified && !entry.binary) {
+            entry.unifiedDiff = textDiff(Buffer.alloc(0), buffer, filePath).unifiedDiff;
+        }
+        added.push(entry);
+        summary.bytesAdded += entry.bytes;
+        summary.linesAdded += entry.lines || 0;
+    }
+
+    for (const filePath of filterPaths(parsed.deleted, options)) {
+        const buffer = (await readFile(fromSnapshot, filePath)) || Buffer.alloc(0);
+        const entry = describeFile(filePath, buffer);
+        if (options.unified && !entry.binary) {
+            entry.unifiedDiff = textDiff(buffer, Buffer.alloc(0), filePath).unifiedDiff;
+        }
+        deleted.push(entry);
+        summary.bytesRemoved += entry.bytes;
+        summary.linesRemoved += entry.lines || 0;
+    }
+
+    for (const filePath of filterPaths(parsed.modified, options)) {
+        const oldBuffer = (await readFile(fromSnapshot, filePath)) || Buffer.alloc(0);
+        const newBuffer = (await readFile(toSnapshot, filePath)) || Buffer.alloc(0);
+        const binary = isBinary(oldBuffer) || isBinary(newBuffer);
+        const entry = {
+            path: filePath,
+            fromBytes: oldBuffer.length,
+            toBytes: newBuffer.length,
+            bytesDelta: newBuffer.length - oldBuffer.length,
+            linesAdded: null,
+            linesRemoved: null,
+            binary
+        };
+
+        if (!binary) {
+            const { ops, unifiedDiff } = textDiff(oldBuffer, newBuffer, filePath);
+            if (ops) {
+                entry.linesAdded = ops.filter(op => op.type === '+').length;
+                entry.linesRemoved = ops.filter(op => op.type === '-').length;
+                summary.linesAdded += entry.linesAdded;
+                summary.linesRemoved += entry.linesRemoved;
+            }
+            if (unifiedDiff !== undefined) {
+                entry.unifiedDiff = unifiedDiff;
+            }
+        }
+
+        modified.push(entry);
+        summary.bytesAdded += Math.max(0, entry.bytesDelta);
+        summary.bytesRemoved += Math.max(0, -entry.bytesDelta);
+    }
+
+    summary.added = added.length;
+    summary.modified = modified.length;
+    summary.deleted = deleted.length;
+
+    return { fromSnapshot, toSnapshot, summary, added, modified, deleted };
+}
+
+module.exports = {
+    parseDiffOutput,
+    diffLines,
+    formatUnifiedDiff,
+    buildStructuredDiff
+};
@@ -0,0 +1,117 @@
+const { parseDiffOutput, diffLines, formatUnifiedDiff, buildStructuredDiff } = require('./snapshot-diff');
+
+describe('parseDiffOutput', () => {
+    const expected = { added: ['new.txt'], modified: ['changed.txt'], deleted: ['old.txt'] };
+
+    test('reads path lists keyed by status', () => {
+        expect(parseDiffOutput(JSON.stringify({
+            added: ['new.txt'],
+            modified: [{ path: 'changed.txt' }],
+            deleted: ['old.txt']
+        }))).toEqual(expected);
+    });
+
+    test('reads change lists', () => {
+        expect(parseDiffOutput(JSON.stringify({
+            changes: [
+                { path: 'new.txt', status: 'A' },
+                { path: 'changed.txt', type: 'modified' },
+                { path: 'old.txt', status: 'removed' },
+                { path: 'ignored.txt', status: 'renamed' }
+            ]
+        }))).toEqual(expected);
+    });
+
+    test('reads line-based output', () => {
+        expect(parseDiffOutput('A new.txt\n~ changed.txt\ndeleted: old.txt\nsummary line\n')).toEqual(expected);
+    });
+
+    test('treats empty output as no changes', () => {
+        expect(parseDiffOutput('')).toEqual({ added: [], modified: [], deleted: [] });
+    });
+});
+
+describe('diffLines', () => {
+    test('produces a minimal edit script', () => {
+        const ops = diffLines(['a', 'b', 'c', 'd'], ['a', 'x', 'c', 'd', 'e']);
+        expect(ops.map(op => `${op.type}${op.line}`)).toEqual([' a', '-b', '+x', ' c', ' d', '+e']);
+    });
+
+    test('gives up on files too large to diff line by line', () => {
+        const lines = Array.from({ length: 2100 }, (_, i) => `line ${i}`);
+        expect(diffLines(lines, lines.map(line => `${line}!`))).toBeNull();
+    });
+});
+
+describe('formatUnifiedDiff', () => {
+    test('renders hunks with context and merges nearby changes', () => {
+        const old = Array.from({ length: 12 }, (_, i) => `line ${i + 1}`);
+        const changed = [...old];
+        changed[1] = 'line 2 changed';
+        changed[10] = 'line 11 changed';
+
+        expect(formatUnifiedDiff(diffLines(old, changed), 'a/f.txt', 'b/f.txt', 1)).toBe([
+            '--- a/f.txt',
+            '+++ b/f.txt',
+            '@@ -1,3 +1,3 @@',
+            ' line 1',
+            '-line 2',
+            '+line 2 changed',
+            ' line 3',
+            '@@ -10,3 +10,3 @@',
+            ' line 10',
+            '-line 11',
+            '+line 11 changed',
+            ' line 12',
+            ''
+        ].join('\n'));
+    });
+
+    test('is empty when nothing changed', () => {
+        expect(formatUnifiedDiff(diffLines(['a'], ['a']), 'a', 'b')).toBe('');
+    });
+});
+
+describe('buildStructuredDiff', () => {
+    const snapshots = {
+        from: { 'changed.txt': 'one\ntwo\n', 'old.txt': 'gone\n', 'image.bin': Buffer.from([1, 0, 2]), 'docs/skip.md': 'a\n' },
+        to: { 'changed.txt': 'one\n2\nthree\n', 'new.txt': 'hello\n', 'image.bin': Buffer.from([1, 0, 2, 3]), 'docs/skip.md': 'b\n' }
+    };
+    const readFile = async (snapshotId, filePath) => {
+        const content = snapshots[snapshotId][filePath];
+        return content === undefined ? null : Buffer.from(content);
+    };
+    const rawOutput = JSON.stringify({
+        added: ['new.txt'],
+        modified: ['changed.txt', 'image.bin', 'docs/skip.md'],
+        deleted: ['old.txt']
+    });
+
+    test('counts bytes and lines per file and in total', async () => {
+        const diff = await buildStructuredDiff(rawOutput, 'from', 'to', readFile, { exclude: 'docs/**' });
+
+        expect(diff.added).toEqual([{ path: 'new.txt', bytes: 6, lines: 1, binary: false }]);
+        expect(diff.deleted).toEqual([{ path: 'old.txt', bytes: 5, lines: 1, binary: false }]);
+        expect(diff.modified).toEqual([
+            { path: 'changed.txt', fromBytes: 8, toBytes: 12, bytesDelta: 4, linesAdded: 2, linesRemoved: 1, binary: false },
+            { path: 'image.bin', fromBytes: 3, toBytes: 4, bytesDelta: 1, linesAdded: null, linesRemoved: null, binary: true }
+        ]);
+        expect(diff.summary).toEqual({
+            added: 1,
+            modified: 2,
+            deleted: 1,
+            bytesAdded: 11,
+            bytesRemoved: 5,
+            linesAdded: 3,
+            linesRemoved: 2
+        });
+    });
+
+    test('renders unified diffs for text files only', async () => {
+        const diff = await buildStructuredDiff(rawOutput, 'from', 'to', readFile, { unified: true, include: '*.txt,*.bin' });
+
+        expect(diff.added[0].unifiedDiff).toBe('--- a/new.txt\n+++ b/new.txt\n@@ -0,0 +1,1 @@\n+hello\n');
+        expect(diff.modified.find(entry => entry.path === 'changed.txt').unifiedDiff).toContain('-two\n+2\n+three\n');
+        expect(diff.modified.find(entry => entry.path === 'image.bin').unifiedDiff).toBeUndefined();
+    });
+});
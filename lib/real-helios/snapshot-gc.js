@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+/**
+ * Snapshot Garbage Collection
+ *
+ * Enforces snapshot retention. A policy combines three keep rules: the last
+ * N snapshots, snapshots younger than a maximum age, and tagged snapshots
+ * (kept forever by default). A snapshot goes only when no rule keeps it, and
+ * a policy without keepLast or maxAge keeps everything. Each universe may
+ * override fields of the global policy. A universe's latest snapshot, its
+ * checked-out head and any snapshot another universe was forked from are
+ * never collected. The backend then sweeps the file objects no remaining
+ * snapshot references. A pass over every universe also deletes snapshots
+ * no universe references at all, such as those of universes dropped from
+ * the registry, once they are older than the backend's grace period.
+ */
+
+const ApiError = require('../api-error');
+const { parseDuration } = require('../duration');
+
+const DEFAULT_POLICY = {
+    keepLast: null, // keep the N most recent snapshots
+    maxAge: null, // keep snapshots younger than this duration (`7d`, `12h`)
+    keepTagged: true // keep tagged snapshots regardless of count and age
+};
+
+class SnapshotCollector {
+    constructor(engine, options = {}) {
+        this.engine = engine;
+        this.policy = { ...DEFAULT_POLICY, ...(options.policy || {}) };
+        if (this.policy.maxAge !== null) parseDuration(this.policy.maxAge);
+
+        this.running = false;
+        this.timer = null;
+        this.intervalMs = null;
+        this.totals = {
+            runs: 0,
+            snapshotsRemoved: 0,
+            bytesReclaimed: 0,
+            lastRun: null
+        };
+    }
+
+    /**
+     * Global policy with the universe's overrides applied
+     */
+    policyFor(universe) {
+        return { ...this.policy, ...(universe.retention || {}) };
+    }
+
+    /**
+     * Snapshots other universes were forked from
+     */
+    forkPoints() {
+        return new Set(Array.from(this.engine.universes.values())
+            .filter(u => u.parent)
+            .map(u => u.parent.snapshotId));
+    }
+
+    /**
+     * Snapshot ids of `universe` that its policy no longer keeps, oldest first
+     */
+    selectExpired(universe, forkPoints, now = Date.now()) {
+        const policy = this.policyFor(universe);
+        if (policy.keepLast === null && policy.maxAge === null) {
+            return [];
+        }
+
+        const maxAgeMs = policy.maxAge === null ? null : parseDuration(policy.maxAge);
+        const keepFrom = policy.keepLast === null ? universe.snapshots.length : universe.snapshots.length - policy.keepLast;
+        const latest = universe.snapshots[universe.snapshots.length - 1];
+
+        return universe.snapshots.filter((snapshotId, index) => {
+            const info = universe.snapshotInfo[snapshotId] || {};
+            if (snapshotId === latest || snapshotId === universe.head || forkPoints.has(snapshotId)) return false;
+            if (index >= keepFrom) return false;
+            // Snapshots recorded before ages were tracked are treated as young
+            if (maxAgeMs !== null && (info.createdAt === undefined || now - info.createdAt < maxAgeMs)) return false;
+            if (policy.keepTagged && info.tags && info.tags.length > 0) return false;
+            return true;
+        });
+    }
+
+    /**
+     * One collection pass
+     * Options: dryRun (report without deleting), namespace, universeIds
+     */
+    async run(options = {}) {
+        const backend = this.engine.backend;
+        if (!backend.canDeleteSnapshots) {
+            throw new ApiError(501, `The ${backend.name} backend cannot delete snapshots`);
+        }
+        if (this.running) {
+            throw new ApiError(409, 'A snapshot GC pass is already running');
+        }
+
+        this.running = true;
+        const startedAt = Date.now();
+        try {
+            const forkPoints = this.forkPoints();
+            const universes = Array.from(this.engine.universes.values()).filter(u =>
+                u.workDir &&
+                (!options.namespace || u.namespace === options.namespace) &&
+                (!options.universeIds || options.universeIds.includes(u.id)));
+
+            const expired = universes
+                .map(universe => ({ universe, removed: this.selectExpired(universe, forkPoints, startedAt) }))
+                .filter(entry => entry.removed.length > 0);
+            const snapshotIds = expired.flatMap(entry => entry.removed);
+            const scoped = Boolean(options.namespace || options.universeIds);
+
+            // Forget the snapshots first so no new operation can pick one up mid-sweep
+            if (!options.dryRun) {
+                expired.forEach(({ universe, removed }) => universe.forgetSnapshots(removed));
+            }
+            let live;
+            if (!scoped) {
+                live = this.engine.liveSnapshotIds();
+                snapshotIds.forEach(snapshotId => live.delete(snapshotId));
+            }
+            const { deleted, objectsRemoved, bytesReclaimed } = snapshotIds.length > 0 || !scoped
+                ? await backend.deleteSnapshots(snapshotIds, { dryRun: options.dryRun, live })
+                : { deleted: [], objectsRemoved: 0, bytesReclaimed: 0 };
+            const expiredIds = new Set(snapshotIds);
+
+            const report = {
+                dryRun: Boolean(options.dryRun),
+                startedAt: new Date(startedAt).toISOString(),
+                durationMs: Date.now() - startedAt,
+                universesScanned: universes.length,
+                snapshotsRemoved: snapshotIds.length,
+                unreferencedRemoved: deleted.filter(snapshotId => !expiredIds.has(snapshotId)).length,
+                objectsRemoved,
+                bytesReclaimed,
+                universes: expired.map(({ universe, removed }) => ({
+                    universeId: universe.id,
+                    namespace: universe.namespace,
+                    removed
+                }))
+            };
+
+            if (!options.dryRun) {
+                this.totals.runs++;
+                this.totals.snapshotsRemoved += report.snapshotsRemoved;
+                this.totals.bytesReclaimed += report.bytesReclaimed;
+                this.totals.lastRun = { ...report, universes: undefined };
+                if (snapshotIds.length > 0) {
+                    await this.engine.persistRegistry();
+                }
+                this.engine.emit('snapshotsCollected', report);
+            }
+
+            return report;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Run a pass every `intervalMs`; passes that overlap or fail are logged and skipped
+     */
+    start(intervalMs) {
+        this.stop();
+        this.timer = setInterval(() => {
+            this.run()
+                .then((report) => {
+                    if (report.snapshotsRemoved > 0 || report.unreferencedRemoved > 0) {
+                        console.log(`🧹 Snapshot GC removed ${report.snapshotsRemoved} snapshots and ${report.unreferencedRemoved} unreferenced ones, reclaimed ${report.bytesReclaimed} bytes`);
+                    }
+                })
+                .catch((error) => {
+                    console.error('❌ Snapshot GC pass failed:', error.message);
+                });
+        }, intervalMs);
+        this.timer.unref();
+        this.intervalMs = intervalMs;
+        console.log(`🧹 Snapshot GC scheduled every ${intervalMs / 1000}s`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    getMetrics() {
+        return {
+            policy: this.policy,
+            scheduled: Boolean(this.timer),
+            intervalMs: this.timer ? this.intervalMs : null,
+            running: this.running,
+            ...this.totals
+        };
+    }
+}
+
+module.exports = { SnapshotCollector, DEFAULT_POLICY };
@@ -0,0 +1,151 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const RealHeliosEngine = require('./real-helios-engine');
+const { SnapshotCollector } = require('./snapshot-gc');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 0, 10);
+
+const fakeUniverse = (id, count, overrides = {}) => {
+    const snapshots = Array.from({ length: count }, (_, i) => `${id}-${i}`);
+    return {
+        id,
+        snapshots,
+        snapshotInfo: Object.fromEntries(snapshots.map((snapshotId, i) =>
+            [snapshotId, { createdAt: NOW - (count - i) * 24 * HOUR, tags: [] }])),
+        head: snapshots[count - 1],
+        parent: null,
+        retention: null,
+        ...overrides
+    };
+};
+
+describe('SnapshotCollector.selectExpired', () => {
+    const collect = (universe, policy, forkPoints = new Set()) =>
+        new SnapshotCollector({ universes: new Map([[universe.id, universe]]) }, { policy })
+            .selectExpired(universe, forkPoints, NOW);
+
+    test('keeps everything without keepLast or maxAge', () => {
+        expect(collect(fakeUniverse('u', 5), {})).toEqual([]);
+    });
+
+    test('keeps the last N snapshots', () => {
+        expect(collect(fakeUniverse('u', 5), { keepLast: 2 })).toEqual(['u-0', 'u-1', 'u-2']);
+    });
+
+    test('keeps snapshots younger than maxAge', () => {
+        expect(collect(fakeUniverse('u', 5), { maxAge: '3d' })).toEqual(['u-0', 'u-1', 'u-2']);
+    });
+
+    test('a snapshot goes only when every rule lets it go', () => {
+        expect(collect(fakeUniverse('u', 5), { keepLast: 1, maxAge: '4d' })).toEqual(['u-0', 'u-1']);
+    });
+
+    test('never collects the head, fork points or tagged snapshots', () => {
+        const universe = fakeUniverse('u', 5, { head: 'u-1' });
+        universe.snapshotInfo['u-2'].tags = ['release'];
+
+        expect(collect(universe, { keepLast: 1 }, new Set(['u-0']))).toEqual(['u-3']);
+        expect(collect(universe, { keepLast: 1, keepTagged: false }, new Set(['u-0']))).toEqual(['u-2', 'u-3']);
+    });
+
+    test('applies per-universe overrides', () => {
+        const universe = fakeUniverse('u', 5, { retention: { keepLast: 4 } });
+        expect(collect(universe, { keepLast: 1 })).toEqual(['u-0']);
+    });
+});
+
+describe('SnapshotCollector.run', () => {
+    let workDir;
+    let engine;
+
+    const createEngine = async () => {
+        const created = new RealHeliosEngine({ workDir, retention: { keepLast: 1 } });
+        await created.ready;
+        return created;
+    };
+    const manifests = async () => (await fs.readdir(engine.backend.snapshotsDir))
+        .map(name => path.basename(name, '.json')).sort();
+    const age = async (snapshotId, ms) => {
+        const manifestPath = path.join(engine.backend.snapshotsDir, `${snapshotId}.json`);
+        const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+        manifest.createdAt = new Date(Date.now() - ms).toISOString();
+        await fs.writeFile(manifestPath, JSON.stringify(manifest));
+    };
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    beforeEach(async () => {
+        workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'helios-gc-test-'));
+        engine = await createEngine();
+    });
+
+    afterEach(async () => {
+        await engine.shutdown();
+        await fs.rm(workDir, { recursive: true, force: true });
+    });
+
+    test('deletes expired snapshots and the objects only they used', async () => {
+        const universe = await engine.createUniverse();
+        await universe.writeFile('big.bin', Buffer.alloc(8192, 1));
+        await engine.performOperation(universe.id, 'commit', {});
+        await universe.deleteFile('big.bin');
+        await engine.performOperation(universe.id, 'commit', {});
+        const [first, second, latest] = universe.snapshots;
+
+        const preview = await engine.gc.run({ dryRun: true });
+        expect(preview.snapshotsRemoved).toBe(2);
+        expect(await manifests()).toEqual([first, second, latest].sort());
+
+        const report = await engine.gc.run();
+        expect(report.snapshotsRemoved).toBe(2);
+        expect(report.objectsRemoved).toBe(1);
+        expect(report.bytesReclaimed).toBeGreaterThan(8192);
+        expect(universe.snapshots).toEqual([latest]);
+        expect(await manifests()).toEqual([latest]);
+    });
+
+    test('sweeps snapshots no universe references once they are past the grace period', async () => {
+        const kept = await engine.createUniverse();
+        const dropped = await engine.createUniverse();
+        await dropped.writeFile('dropped.bin', Buffer.alloc(4096, 2));
+        await engine.performOperation(dropped.id, 'commit', {});
+        const droppedSnapshots = [...dropped.snapshots];
+
+        // The registry drops universes whose workspace is gone
+        await engine.shutdown();
+        await fs.rm(dropped.workDir, { recursive: true, force: true });
+        engine = await createEngine();
+        expect(engine.getUniverse(dropped.id)).toBeUndefined();
+
+        expect((await engine.gc.run()).unreferencedRemoved).toBe(0);
+        expect(await manifests()).toEqual([...kept.snapshots, ...droppedSnapshots].sort());
+
+        for (const snapshotId of droppedSnapshots) await age(snapshotId, 2 * HOUR);
+        expect((await engine.gc.run({ namespace: 'default' })).unreferencedRemoved).toBe(0);
+
+        const report = await engine.gc.run();
+        expect(report.unreferencedRemoved).toBe(2);
+        expect(report.objectsRemoved).toBe(2);
+        expect(await manifests()).toEqual(kept.snapshots);
+    });
+
+    test('keeps snapshots of commits not yet recorded by a universe', async () => {
+        const universe = await engine.createUniverse();
+        await universe.writeFile('pending.txt', Buffer.from('pending'));
+        const pending = await engine.backend.commit(universe.workDir);
+
+        await engine.gc.run();
+
+        expect(await manifests()).toEqual([universe.snapshots[0], pending.snapshotId].sort());
+        expect(await engine.backend.listSnapshotFiles(pending.snapshotId)).toHaveProperty('size', 2);
+    });
+});
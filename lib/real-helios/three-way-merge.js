@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+/**
+ * Three-Way Merge
+ *
+ * File-level merge of two trees against their common ancestor. A path
+ * changed on one side only takes that side's version, a path changed the
+ * same way on both sides is kept, and anything else is a conflict. Trees are
+ * Maps of path -> content hash, so nothing here reads file contents.
+ */
+
+/**
+ * Nearest snapshot reachable from both `oursId` and `theirsId` through
+ * `parentsOf(snapshotId)`; null when the histories never meet
+ */
+function findCommonAncestor(oursId, theirsId, parentsOf) {
+    const ancestors = new Set();
+    const walk = [oursId];
+    while (walk.length > 0) {
+        const snapshotId = walk.shift();
+        if (ancestors.has(snapshotId)) continue;
+        ancestors.add(snapshotId);
+        walk.push(...parentsOf(snapshotId));
+    }
+
+    // Breadth-first from theirs, so the closest shared snapshot wins
+    const seen = new Set();
+    const queue = [theirsId];
+    while (queue.length > 0) {
+        const snapshotId = queue.shift();
+        if (ancestors.has(snapshotId)) return snapshotId;
+        if (seen.has(snapshotId)) continue;
+        seen.add(snapshotId);
+        queue.push(...parentsOf(snapshotId));
+    }
+    return null;
+}
+
+function conflictType(base, ours, theirs) {
+    if (base === null) return 'add/add';
+    if (ours === null) return 'delete/modify';
+    if (theirs === null) return 'modify/delete';
+    return 'modify/modify';
+}
+
+/**
+ * Merge `theirs` into `ours`
+ * Returns { changes: [{ path, action: 'write' | 'delete' }], conflicts: [{ path, type }] },
+ * where changes are what must happen to ours to take their side
+ */
+function mergeTrees(base, ours, theirs) {
+    const paths = new Set([...base.keys(), ...ours.keys(), ...theirs.keys()]);
+    const changes = [];
+    const conflicts = [];
+
+    for (const filePath of Array.from(paths).sort()) {
+        const b = base.has(filePath) ? base.get(filePath) : null;
+        const o = ours.has(filePath) ? ours.get(filePath) : null;
+        const t = theirs.has(filePath) ? theirs.get(filePath) : null;
+
+        if (o === t || b === t) continue; // same on both sides, or only we changed it
+        if (b === o) {
+            changes.push({ path: filePath, action: t === null ? 'delete' : 'write' });
+        } else {
+            conflicts.push({ path: filePath, type: conflictType(b, o, t) });
+        }
+    }
+
+    return { changes, conflicts };
+}
+
+module.exports = {
+    findCommonAncestor,
+    mergeTrees
+};
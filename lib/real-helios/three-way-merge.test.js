@@ -0,0 +1,64 @@
+const { findCommonAncestor, mergeTrees } = require('./three-way-merge');
+
+const tree = entries => new Map(Object.entries(entries));
+
+describe('findCommonAncestor', () => {
+    // a - b - c - m      (m merges e into c)
+    //      \     /
+    //       d - e - f
+    const parents = { a: [], b: ['a'], c: ['b'], d: ['b'], e: ['d'], f: ['e'], m: ['c', 'e'] };
+    const parentsOf = snapshotId => parents[snapshotId] || [];
+
+    test('finds the fork point of two branches', () => {
+        expect(findCommonAncestor('c', 'f', parentsOf)).toBe('b');
+    });
+
+    test('follows merge parents to the nearest shared snapshot', () => {
+        expect(findCommonAncestor('m', 'f', parentsOf)).toBe('e');
+    });
+
+    test('treats a snapshot as its own ancestor', () => {
+        expect(findCommonAncestor('c', 'a', parentsOf)).toBe('a');
+    });
+
+    test('returns null when the histories never meet', () => {
+        expect(findCommonAncestor('c', 'x', parentsOf)).toBeNull();
+    });
+});
+
+describe('mergeTrees', () => {
+    test('takes changes made only on their side', () => {
+        const base = tree({ 'a.txt': 'a1', 'b.txt': 'b1', 'gone.txt': 'g1' });
+        const ours = tree({ 'a.txt': 'a2', 'b.txt': 'b1', 'gone.txt': 'g1' });
+        const theirs = tree({ 'a.txt': 'a1', 'b.txt': 'b2', 'new.txt': 'n1' });
+
+        expect(mergeTrees(base, ours, theirs)).toEqual({
+            changes: [
+                { path: 'b.txt', action: 'write' },
+                { path: 'gone.txt', action: 'delete' },
+                { path: 'new.txt', action: 'write' }
+            ],
+            conflicts: []
+        });
+    });
+
+    test('keeps identical changes on both sides', () => {
+        const base = tree({ 'a.txt': 'a1' });
+        const both = tree({ 'a.txt': 'a2', 'added.txt': 'x' });
+
+        expect(mergeTrees(base, both, both)).toEqual({ changes: [], conflicts: [] });
+    });
+
+    test('reports each kind of conflict', () => {
+        const base = tree({ 'both.txt': 'b1', 'ours-deleted.txt': 'o1', 'theirs-deleted.txt': 't1' });
+        const ours = tree({ 'both.txt': 'b2', 'theirs-deleted.txt': 't2', 'added.txt': 'x' });
+        const theirs = tree({ 'both.txt': 'b3', 'ours-deleted.txt': 'o2', 'added.txt': 'y' });
+
+        expect(mergeTrees(base, ours, theirs).conflicts).toEqual([
+            { path: 'added.txt', type: 'add/add' },
+            { path: 'both.txt', type: 'modify/modify' },
+            { path: 'ours-deleted.txt', type: 'delete/modify' },
+            { path: 'theirs-deleted.txt', type: 'modify/delete' }
+        ]);
+    });
+});
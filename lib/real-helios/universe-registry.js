@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * Durable Universe Registry
+ *
+ * Stores universe records (snapshot lists, config, lifecycle state) in a
+ * JSON file on local disk. Every write goes to a temp file that is fsynced
+ * and renamed over the registry, so a crash mid-write leaves the previous
+ * version intact. Concurrent saves are coalesced into a single trailing write.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+
+const REGISTRY_VERSION = 1;
+
+class UniverseRegistry {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.pendingWrite = null;
+        this.dirty = false;
+        this.lastSavedAt = null;
+    }
+
+    /**
+     * Load universe records; a missing registry is treated as empty
+     */
+    async load() {
+        let raw;
+        try {
+            raw = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const data = JSON.parse(raw);
+        if (data.version !== REGISTRY_VERSION) {
+            throw new Error(`Unsupported registry version ${data.version} in ${this.filePath}`);
+        }
+        return data.universes || [];
+    }
+
+    /**
+     * Atomically replace the registry contents
+     */
+    async write(records) {
+        const payload = JSON.stringify({
+            version: REGISTRY_VERSION,
+            savedAt: new Date().toISOString(),
+            universes: records
+        }, null, 2);
+
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        const handle = await fs.open(tempPath, 'w');
+        try {
+            await handle.writeFile(payload, 'utf8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.rename(tempPath, this.filePath);
+        this.lastSavedAt = Date.now();
+    }
+
+    /**
+     * Schedule a save; `getRecords` is called when the write actually starts
+     * so bursts of changes collapse into one write of the latest state
+     */
+    save(getRecords) {
+        this.dirty = true;
+        if (!this.pendingWrite) {
+            this.pendingWrite = this.flushLoop(getRecords);
+        }
+        return this.pendingWrite;
+    }
+
+    async flushLoop(getRecords) {
+        try {
+            while (this.dirty) {
+                this.dirty = false;
+                await this.write(getRecords());
+            }
+        } finally {
+            this.pendingWrite = null;
+        }
+    }
+
+    /**
+     * Wait for any in-flight save to finish
+     */
+    async flush() {
+        if (this.pendingWrite) {
+            await this.pendingWrite;
+        }
+    }
+}
+
+module.exports = UniverseRegistry;
@@ -0,0 +1,128 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const UniverseRegistry = require('./universe-registry');
+const RealHeliosEngine = require('./real-helios-engine');
+
+describe('UniverseRegistry', () => {
+    let workDir;
+    let registry;
+
+    beforeEach(async () => {
+        workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'helios-registry-test-'));
+        registry = new UniverseRegistry(path.join(workDir, 'registry.json'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(workDir, { recursive: true, force: true });
+    });
+
+    test('treats a missing registry as empty', async () => {
+        expect(await registry.load()).toEqual([]);
+    });
+
+    test('round-trips records and leaves no temp files', async () => {
+        await registry.save(() => [{ id: 'a' }, { id: 'b' }]);
+
+        expect(await registry.load()).toEqual([{ id: 'a' }, { id: 'b' }]);
+        expect(await fs.readdir(workDir)).toEqual(['registry.json']);
+        expect(registry.lastSavedAt).not.toBeNull();
+    });
+
+    test('coalesces concurrent saves into one trailing write of the latest state', async () => {
+        const write = jest.spyOn(registry, 'write');
+        let state = 1;
+        const saves = [1, 2, 3, 4].map(() => registry.save(() => [{ state: state++ }]));
+        await Promise.all(saves);
+
+        expect(write).toHaveBeenCalledTimes(2);
+        expect(await registry.load()).toEqual([{ state: 2 }]);
+    });
+
+    test('rejects registries of another version', async () => {
+        await fs.writeFile(registry.filePath, JSON.stringify({ version: 99, universes: [] }));
+        await expect(registry.load()).rejects.toThrow('Unsupported registry version 99');
+    });
+});
+
+describe('RealHeliosEngine registry', () => {
+    let workDir;
+    let engine;
+
+    const createEngine = async () => {
+        const created = new RealHeliosEngine({ workDir });
+        await created.ready;
+        return created;
+    };
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    beforeEach(async () => {
+        workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'helios-registry-test-'));
+        engine = await createEngine();
+    });
+
+    afterEach(async () => {
+        await engine.shutdown();
+        await fs.rm(workDir, { recursive: true, force: true });
+    });
+
+    test('restores universes, snapshots and metadata after a restart', async () => {
+        const universe = await engine.createUniverse({ label: 'kept' }, { namespace: 'team-a' });
+        await engine.performOperation(universe.id, 'commit', { message: 'second', tags: ['v1'] });
+        engine.updateUniverse(universe.id, { status: 'paused' });
+        await engine.shutdown();
+
+        engine = await createEngine();
+        const restored = engine.getUniverse(universe.id);
+
+        expect(restored).toMatchObject({
+            namespace: 'team-a',
+            config: { label: 'kept' },
+            status: 'paused',
+            workDir: universe.workDir,
+            snapshots: universe.snapshots,
+            head: universe.head
+        });
+        expect(restored.describeSnapshot(universe.head)).toMatchObject({ message: 'second', tags: ['v1'] });
+        expect(engine.registryStatus.loaded).toBe(1);
+    });
+
+    test('persists the head a restore moves to without waiting for shutdown', async () => {
+        const universe = await engine.createUniverse();
+        const initial = universe.head;
+        await engine.performOperation(universe.id, 'commit', {});
+        await engine.registry.flush();
+
+        await engine.performOperation(universe.id, 'restore', { snapshotId: initial });
+        await engine.registry.flush();
+
+        const [record] = await engine.registry.load();
+        expect(record.head).toBe(initial);
+    });
+
+    test('drops records whose workspace is gone and reports unregistered workspaces', async () => {
+        const gone = await engine.createUniverse();
+        const kept = await engine.createUniverse();
+        await engine.shutdown();
+        await fs.rm(gone.workDir, { recursive: true, force: true });
+        await fs.mkdir(path.join(workDir, 'namespaces', 'default', 'stray'));
+
+        engine = await createEngine();
+
+        expect(Array.from(engine.universes.keys())).toEqual([kept.id]);
+        expect(engine.registryStatus).toEqual({
+            loaded: 1,
+            missingWorkspaces: [gone.id],
+            orphanedWorkspaces: [path.join('namespaces', 'default', 'stray')]
+        });
+        expect((await engine.registry.load()).map(record => record.id)).toEqual([kept.id]);
+    });
+});
@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+
+/**
+ * VST Backend Interface
+ *
+ * Contract shared by every Helios storage backend (the real CLI binary and
+ * the in-process JavaScript store). Backends implement commit, restore,
+ * diff, materialize and stats; workspace management lives here.
+ * Every operation reports its latency as `durationNs` (nanoseconds); the
+ * older millisecond/microsecond fields are derived from it.
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+class VstBackend {
+    constructor(workDir = null) {
+        this.name = 'abstract';
+        this.workDir = workDir || path.join(__dirname, '../../workspace');
+        this.universesDir = path.join(this.workDir, 'universes'); // pre-namespace layout
+        this.namespacesDir = path.join(this.workDir, 'namespaces');
+        this.archiveDir = path.join(this.workDir, 'archive');
+        this.initialized = false;
+        this.initializing = null;
+        this.canDeleteSnapshots = false; // snapshot garbage collection needs deleteSnapshots()
+        this.reportsSnapshotStorage = false; // listSnapshotFiles() is cheap enough to account storage per commit
+    }
+
+    /**
+     * Prepare backend storage - must set `initialized`
+     */
+    async initialize() {
+        throw new Error(`${this.constructor.name} does not implement initialize()`);
+    }
+
+    /**
+     * Initialize once, sharing the in-flight attempt between concurrent callers
+     */
+    async ensureInitialized() {
+        if (this.initialized) {
+            return;
+        }
+        if (!this.initializing) {
+            this.initializing = this.initialize().finally(() => {
+                this.initializing = null;
+            });
+        }
+        await this.initializing;
+    }
+
+    /**
+     * Snapshot the contents of a working directory
+     * Resolves to { success, snapshotId, metrics: { durationNs, commitTime (μs), executionTime (ms) }, rawOutput }
+     */
+    async commit(workDir = null) {
+        throw new Error(`${this.constructor.name} does not implement commit()`);
+    }
+
+    /**
+     * Replace a working directory with the contents of a snapshot
+     * Resolves to { success, snapshotId, metrics: { durationNs, restoreTime (ms) }, rawOutput }
+     */
+    async restore(snapshotId, workDir = null) {
+        throw new Error(`${this.constructor.name} does not implement restore()`);
+    }
+
+    /**
+     * Compare two snapshots
+     * Resolves to { success, fromSnapshot, toSnapshot, diffStats: { durationNs, executionTime (ms) }, rawOutput }
+     */
+    async diff(fromSnapshot, toSnapshot, workDir = null) {
+        throw new Error(`${this.constructor.name} does not implement diff()`);
+    }
+
+    /**
+     * Write a snapshot out to a directory, honouring include/exclude globs
+     * Resolves to { success, snapshotId, outputDir, metrics: { durationNs, materializeTime (ms) }, rawOutput }
+     */
+    async materialize(snapshotId, outputDir, options = {}) {
+        throw new Error(`${this.constructor.name} does not implement materialize()`);
+    }
+
+    /**
+     * Read one file from a snapshot, resolving to a Buffer or null if absent.
+     * The default goes through materialize(); backends with direct object
+     * access should override it.
+     */
+    async readSnapshotFile(snapshotId, filePath, options = {}) {
+        const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'helios-read-'));
+        try {
+            await this.materialize(snapshotId, tempDir, { include: filePath, workDir: options.workDir });
+            return await fs.readFile(path.join(tempDir, filePath));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        } finally {
+            await fs.rm(tempDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Content hash and size of every file in a snapshot, resolving to a Map
+     * of path -> { hash, bytes }. The default materializes the snapshot and
+     * hashes it; backends with stored manifests should override it.
+     */
+    async listSnapshotFiles(snapshotId, options = {}) {
+        const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'helios-list-'));
+        try {
+            await this.materialize(snapshotId, tempDir, { workDir: options.workDir });
+            const files = new Map();
+            for (const file of await this.scanDirectory(tempDir)) {
+                const content = await fs.readFile(file.absPath);
+                files.set(file.relPath, {
+                    hash: crypto.createHash('sha256').update(content).digest('hex'),
+                    bytes: content.length
+                });
+            }
+            return files;
+        } finally {
+            await fs.rm(tempDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Delete snapshots and any stored data no remaining snapshot needs; with
+     * `dryRun` only report what would go. Options: live (ids still referenced;
+     * other snapshots older than `graceMs` are deleted too), graceMs
+     * Resolves to { deleted, objectsRemoved, bytesReclaimed }
+     */
+    async deleteSnapshots(snapshotIds, options = {}) {
+        throw new Error(`${this.constructor.name} does not implement deleteSnapshots()`);
+    }
+
+    /**
+     * Backend statistics
+     * Resolves to { success, stats: { executionTime, engineMetrics }, rawOutput }
+     */
+    async getStats() {
+        throw new Error(`${this.constructor.name} does not implement getStats()`);
+    }
+
+    /**
+     * Backend version information
+     */
+    async getVersion() {
+        throw new Error(`${this.constructor.name} does not implement getVersion()`);
+    }
+
+    /**
+     * Recursively list regular files under a directory as forward-slash relative paths
+     */
+    async scanDirectory(rootDir) {
+        const files = [];
+
+        const walk = async (dir) => {
+            const entries = await fs.readdir(dir, { withFileTypes: true });
+            for (const entry of entries) {
+                const absPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    await walk(absPath);
+                } else if (entry.isFile()) {
+                    files.push({
+                        relPath: path.relative(rootDir, absPath).split(path.sep).join('/'),
+                        absPath
+                    });
+                }
+            }
+        };
+
+        await walk(rootDir);
+        return files.sort((a, b) => a.relPath.localeCompare(b.relPath));
+    }
+
+    /**
+     * Create an isolated workspace directory for a single universe,
+     * grouped by namespace
+     */
+    async createWorkspace(universeId, namespace = 'default') {
+        await this.ensureInitialized();
+
+        const workspacePath = path.join(this.namespacesDir, namespace, universeId);
+        await fs.mkdir(workspacePath, { recursive: true });
+        return workspacePath;
+    }
+
+    /**
+     * Remove a universe workspace, or move it under the archive directory
+     */
+    async removeWorkspace(workspacePath, options = {}) {
+        if (options.archive) {
+            await fs.mkdir(this.archiveDir, { recursive: true });
+            const archivePath = path.join(this.archiveDir, `${path.basename(workspacePath)}-${Date.now()}`);
+            await fs.rename(workspacePath, archivePath);
+            return archivePath;
+        }
+
+        await fs.rm(workspacePath, { recursive: true, force: true });
+        return null;
+    }
+
+    /**
+     * Create demo file in workspace for testing
+     */
+    async createDemoFile(filename, content, workDir = null) {
+        const filePath = path.join(workDir || this.workDir, filename);
+        await fs.writeFile(filePath, content, 'utf8');
+        return filePath;
+    }
+
+    /**
+     * Read demo file from workspace
+     */
+    async readDemoFile(filename, workDir = null) {
+        const filePath = path.join(workDir || this.workDir, filename);
+        return await fs.readFile(filePath, 'utf8');
+    }
+}
+
+module.exports = VstBackend;
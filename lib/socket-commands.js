@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+/**
+ * Socket.IO Command Channel
+ *
+ * Lets a client that already holds a socket create, fork, commit, restore
+ * and diff universes without switching to REST. Payloads are validated with
+ * the REST schemas and run through UniverseCommands. The outcome comes back
+ * through the acknowledgement callback as `{ success, data, performance,
+ * requestId }` or `{ success: false, status, error, details, requestId }`;
+ * the request id is the client's own when it sends one. Commands need the
+ * write scope and each socket has its own fixed-window command budget.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const ApiError = require('./api-error');
+const { ApiKeyStore } = require('./auth');
+const { schemas, validatePayload } = require('./validation');
+
+const COMMANDS = {
+    'universe:create': async (commands, namespace, { count, config }) => {
+        const { universes, executionTime } = await commands.create(namespace, { count, config });
+        return { data: { universes: universes.map(u => u.serialize()) }, executionTime };
+    },
+    'universe:fork': async (commands, namespace, { universeId, snapshotId, config }) => {
+        const { universe, executionTime } = await commands.fork(namespace, universeId, { snapshotId, config });
+        return { data: { universe: universe.serialize() }, executionTime };
+    },
+    'universe:commit': (commands, namespace, { universeId, requestId, ...params }, context) =>
+        operate(commands, namespace, universeId, 'commit', params, context),
+    'universe:restore': (commands, namespace, { universeId, requestId, ...params }) =>
+        operate(commands, namespace, universeId, 'restore', params),
+    'universe:diff': (commands, namespace, { universeId, requestId, ...params }) =>
+        operate(commands, namespace, universeId, 'diff', params)
+};
+
+async function operate(commands, namespace, universeId, operation, params, context) {
+    const { result, executionTime } = await commands.operate(namespace, universeId, operation, params, context);
+    return { data: result, executionTime };
+}
+
+/**
+ * Split socket event arguments into a payload and an ack; clients may send only a callback
+ */
+function splitSocketArgs(args) {
+    const ack = typeof args[args.length - 1] === 'function' ? args.pop() : () => {};
+    return { payload: args[0] || {}, reply: ack };
+}
+
+/**
+ * Fixed-window command budget for one socket
+ */
+class CommandRateLimiter {
+    constructor({ limit, windowMs }) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.windowStart = Date.now();
+        this.count = 0;
+    }
+
+    /**
+     * Count one command; resolves to null when allowed, or the ms until the window resets
+     */
+    take() {
+        const now = Date.now();
+        if (now - this.windowStart >= this.windowMs) {
+            this.windowStart = now;
+            this.count = 0;
+        }
+        if (this.count >= this.limit) {
+            return this.windowStart + this.windowMs - now;
+        }
+        this.count++;
+        return null;
+    }
+}
+
+/**
+ * Attach the command handlers to a connected socket
+ * Options: commands (UniverseCommands), logger, rateLimit (commands per window), windowMs
+ */
+function registerSocketCommands(socket, { commands, logger, rateLimit = 60, windowMs = 60 * 1000 }) {
+    const limiter = new CommandRateLimiter({ limit: rateLimit, windowMs });
+
+    for (const [event, run] of Object.entries(COMMANDS)) {
+        socket.on(event, async (...args) => {
+            const { payload, reply } = splitSocketArgs(args);
+            const clientRequestId = typeof payload.requestId === 'string' && payload.requestId.length <= 128
+                ? payload.requestId
+                : null;
+            const requestId = clientRequestId || uuidv4();
+            const fail = (status, error, details) => reply({ success: false, status, error, details, requestId });
+
+            const retryAfterMs = limiter.take();
+            if (retryAfterMs !== null) {
+                return fail(429, 'Too many commands, please slow down', { limit: rateLimit, windowMs, retryAfterMs });
+            }
+
+            const apiKey = socket.data.apiKey;
+            if (!ApiKeyStore.hasScope(apiKey, 'write')) {
+                return fail(403, `API key ${apiKey.id} lacks the write scope`);
+            }
+
+            const { value, error } = validatePayload(schemas.commands[event], payload);
+            if (error) {
+                return fail(400, error.error, error.details);
+            }
+
+            try {
+                const { data, executionTime } = await run(commands, socket.data.namespace, value, { author: socket.data.author });
+                logger.info('Socket command completed', { event, socketId: socket.id, namespace: socket.data.namespace, requestId });
+                reply({
+                    success: true,
+                    data,
+                    performance: { executionTime: `${executionTime.toFixed(2)}ms` },
+                    requestId
+                });
+            } catch (commandError) {
+                if (commandError instanceof ApiError) {
+                    return fail(commandError.status, commandError.message, commandError.details);
+                }
+                logger.error('Error running socket command', { event, error: commandError.message, requestId });
+                fail(500, 'Command failed');
+            }
+        });
+    }
+}
+
+module.exports = {
+    COMMANDS,
+    CommandRateLimiter,
+    registerSocketCommands,
+    splitSocketArgs
+};
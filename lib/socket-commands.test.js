@@ -0,0 +1,160 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { EventEmitter } = require('events');
+const RealHeliosEngine = require('./real-helios/real-helios-engine');
+const UniverseManager = require('./universe-manager');
+const UniverseCommands = require('./universe-commands');
+const ApiError = require('./api-error');
+const { CommandRateLimiter, registerSocketCommands, splitSocketArgs } = require('./socket-commands');
+
+// Records what was emitted to which rooms
+const fakeIo = () => {
+    const emitted = [];
+    return {
+        emitted,
+        to: rooms => ({ emit: (event, payload) => emitted.push({ rooms, event, payload }) })
+    };
+};
+
+const fakeSocket = (namespace, scopes = ['write']) => {
+    const socket = new EventEmitter();
+    socket.id = 'socket-1';
+    socket.data = { namespace, author: 'tester', apiKey: { id: 'key-1', scopes } };
+    return socket;
+};
+
+// Emit a command and resolve with its acknowledgement
+const send = (socket, event, payload) => new Promise(resolve => socket.emit(event, payload, resolve));
+
+describe('CommandRateLimiter', () => {
+    test('allows the limit per window and reports the wait', () => {
+        const limiter = new CommandRateLimiter({ limit: 2, windowMs: 1000 });
+
+        expect(limiter.take()).toBeNull();
+        expect(limiter.take()).toBeNull();
+        const retryAfterMs = limiter.take();
+        expect(retryAfterMs).toBeGreaterThan(0);
+        expect(retryAfterMs).toBeLessThanOrEqual(1000);
+
+        limiter.windowStart -= 1000;
+        expect(limiter.take()).toBeNull();
+    });
+});
+
+describe('splitSocketArgs', () => {
+    test('separates the payload from the acknowledgement', () => {
+        const ack = () => {};
+        expect(splitSocketArgs([{ a: 1 }, ack])).toEqual({ payload: { a: 1 }, reply: ack });
+        expect(splitSocketArgs([ack])).toEqual({ payload: {}, reply: ack });
+        expect(typeof splitSocketArgs([{ a: 1 }]).reply).toBe('function');
+    });
+});
+
+describe('socket commands', () => {
+    let workDir;
+    let engine;
+    let commands;
+    let io;
+    let logger;
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    beforeEach(async () => {
+        workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'helios-commands-test-'));
+        engine = new RealHeliosEngine({ backend: 'js', workDir });
+        await engine.ready;
+        io = fakeIo();
+        commands = new UniverseCommands({
+            universeManager: new UniverseManager(engine),
+            metrics: { universesCreated: 0, totalOperations: 0 },
+            io
+        });
+        logger = { info: jest.fn(), error: jest.fn() };
+    });
+
+    afterEach(async () => {
+        await engine.shutdown();
+        await fs.rm(workDir, { recursive: true, force: true });
+    });
+
+    test('requireUniverse hides universes of other namespaces', async () => {
+        const { universes: [universe] } = await commands.create('team-a', { count: 1, config: {} });
+
+        expect(commands.requireUniverse(universe.id, 'team-a')).toBe(universe);
+        expect(() => commands.requireUniverse(universe.id, 'team-b')).toThrow(ApiError);
+        expect(() => commands.requireUniverse(universe.id, 'team-b')).toThrow('Universe not found');
+        await expect(commands.operate('team-b', universe.id, 'commit', {})).rejects.toMatchObject({ status: 404 });
+        await expect(commands.fork('team-b', universe.id, {})).rejects.toMatchObject({ status: 404 });
+    });
+
+    test('create notifies namespace subscribers with a summary', async () => {
+        await commands.create('team-a', { count: 2, config: {} });
+
+        expect(io.emitted).toHaveLength(1);
+        expect(io.emitted[0]).toMatchObject({
+            rooms: ['namespace:team-a:create'],
+            event: 'universes:created',
+            payload: { count: 2, truncated: false }
+        });
+    });
+
+    test('runs a command and acknowledges with the client request id', async () => {
+        const socket = fakeSocket('team-a');
+        registerSocketCommands(socket, { commands, logger });
+
+        const created = await send(socket, 'universe:create', { count: 1, requestId: 'client-1' });
+        expect(created).toMatchObject({ success: true, requestId: 'client-1' });
+        const [universe] = created.data.universes;
+
+        const committed = await send(socket, 'universe:commit', { universeId: universe.id, message: 'first' });
+        expect(committed.success).toBe(true);
+        expect(committed.data.snapshotId).toEqual(expect.any(String));
+        expect(committed.performance.executionTime).toMatch(/ms$/);
+        expect(committed.requestId).toEqual(expect.any(String));
+        expect(io.emitted.map(entry => entry.event)).toEqual(['universes:created', 'universe:operation']);
+    });
+
+    test('answers 404 for a universe of another namespace', async () => {
+        const { universes: [universe] } = await commands.create('team-a', { count: 1, config: {} });
+        const socket = fakeSocket('team-b');
+        registerSocketCommands(socket, { commands, logger });
+
+        const reply = await send(socket, 'universe:commit', { universeId: universe.id });
+        expect(reply).toMatchObject({ success: false, status: 404, error: 'Universe not found' });
+        expect(engine.getUniverse(universe.id).snapshots).toHaveLength(universe.snapshots.length);
+    });
+
+    test('requires the write scope', async () => {
+        const socket = fakeSocket('team-a', ['read']);
+        registerSocketCommands(socket, { commands, logger });
+
+        const reply = await send(socket, 'universe:create', { count: 1 });
+        expect(reply).toMatchObject({ success: false, status: 403 });
+        expect(engine.universes.size).toBe(0);
+    });
+
+    test('validates payloads with the REST schemas', async () => {
+        const socket = fakeSocket('team-a');
+        registerSocketCommands(socket, { commands, logger });
+
+        const reply = await send(socket, 'universe:restore', { universeId: 'u1' });
+        expect(reply).toMatchObject({ success: false, status: 400 });
+        expect(reply.details).toEqual(expect.arrayContaining([expect.objectContaining({ field: 'snapshotId' })]));
+    });
+
+    test('limits commands per socket', async () => {
+        const socket = fakeSocket('team-a');
+        registerSocketCommands(socket, { commands, logger, rateLimit: 1, windowMs: 60000 });
+
+        expect((await send(socket, 'universe:create', { count: 1 })).success).toBe(true);
+        const limited = await send(socket, 'universe:create', { count: 1 });
+        expect(limited).toMatchObject({ success: false, status: 429, details: { limit: 1, windowMs: 60000 } });
+    });
+});
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * Socket.IO Universe Subscriptions
+ *
+ * Universe events are delivered through rooms named after what a socket asked
+ * for: one room per (namespace, event type) for namespace-wide subscriptions
+ * and one per (universe, event type) for specific universes. Filtering by
+ * event type is therefore just joining fewer rooms, and an event is emitted to
+ * the union of its namespace room and universe rooms so a socket matching
+ * both still receives it once.
+ */
+
+const { UNIVERSE_EVENTS } = require('./validation');
+
+const BULK_ID_LIMIT = 20; // universe ids carried by a bulk creation summary
+
+const namespaceEventRoom = (namespace, event) => `namespace:${namespace}:${event}`;
+const universeEventRoom = (universeId, event) => `universe:${universeId}:${event}`;
+
+/**
+ * Rooms for a subscription: specific universes, or the whole namespace when none are given
+ */
+function subscriptionRooms(namespace, { universeIds = [], events = UNIVERSE_EVENTS } = {}) {
+    if (universeIds.length === 0) {
+        return events.map(event => namespaceEventRoom(namespace, event));
+    }
+    return universeIds.flatMap(universeId => events.map(event => universeEventRoom(universeId, event)));
+}
+
+/**
+ * Rooms that should receive one universe event
+ */
+function eventRooms(namespace, event, universeIds = []) {
+    return [namespaceEventRoom(namespace, event), ...universeIds.map(universeId => universeEventRoom(universeId, event))];
+}
+
+/**
+ * A socket's current subscriptions, read back from its rooms
+ */
+function listSubscriptions(socket) {
+    const namespaceEvents = [];
+    const universes = {};
+
+    for (const room of socket.rooms) {
+        const [kind, target, event] = room.split(':');
+        if (!event) continue;
+        if (kind === 'namespace') {
+            namespaceEvents.push(event);
+        } else if (kind === 'universe') {
+            (universes[target] = universes[target] || []).push(event);
+        }
+    }
+
+    return {
+        namespace: socket.data.namespace,
+        namespaceEvents,
+        universes
+    };
+}
+
+/**
+ * Subscription rooms a socket should leave; without filters that is all of them
+ */
+function matchingRooms(socket, { universeIds = null, events = null } = {}) {
+    return Array.from(socket.rooms).filter((room) => {
+        const [kind, target, event] = room.split(':');
+        if (!event || (kind !== 'namespace' && kind !== 'universe')) return false;
+        if (universeIds && (kind !== 'universe' || !universeIds.includes(target))) return false;
+        return !events || events.includes(event);
+    });
+}
+
+/**
+ * Bulk creation notification: a count and a bounded sample of ids instead of every universe's metadata
+ */
+function summarizeCreated(universeIds, extra = {}) {
+    return {
+        count: universeIds.length,
+        universeIds: universeIds.slice(0, BULK_ID_LIMIT),
+        truncated: universeIds.length > BULK_ID_LIMIT,
+        ...extra,
+        timestamp: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    BULK_ID_LIMIT,
+    subscriptionRooms,
+    eventRooms,
+    listSubscriptions,
+    matchingRooms,
+    summarizeCreated
+};
@@ -0,0 +1,98 @@
+const {
+    BULK_ID_LIMIT,
+    subscriptionRooms,
+    eventRooms,
+    listSubscriptions,
+    matchingRooms,
+    summarizeCreated
+} = require('./socket-subscriptions');
+const { UNIVERSE_EVENTS } = require('./validation');
+
+const fakeSocket = (namespace, rooms) => ({
+    id: 'socket-1',
+    data: { namespace },
+    rooms: new Set(['socket-1', ...rooms])
+});
+
+describe('subscriptionRooms', () => {
+    test('subscribes to every namespace event by default', () => {
+        expect(subscriptionRooms('team-a')).toEqual(UNIVERSE_EVENTS.map(event => `namespace:team-a:${event}`));
+    });
+
+    test('filters by event type', () => {
+        expect(subscriptionRooms('team-a', { events: ['create', 'merge'] }))
+            .toEqual(['namespace:team-a:create', 'namespace:team-a:merge']);
+    });
+
+    test('uses universe rooms when universes are given', () => {
+        expect(subscriptionRooms('team-a', { universeIds: ['u1', 'u2'], events: ['commit'] }))
+            .toEqual(['universe:u1:commit', 'universe:u2:commit']);
+    });
+});
+
+describe('eventRooms', () => {
+    test('targets the namespace room and each universe room', () => {
+        expect(eventRooms('team-a', 'fork', ['u1', 'u2']))
+            .toEqual(['namespace:team-a:fork', 'universe:u1:fork', 'universe:u2:fork']);
+        expect(eventRooms('team-a', 'create')).toEqual(['namespace:team-a:create']);
+    });
+
+    test('never overlaps rooms of another namespace', () => {
+        const subscribed = new Set(subscriptionRooms('team-b'));
+        expect(eventRooms('team-a', 'create').some(room => subscribed.has(room))).toBe(false);
+    });
+});
+
+describe('listSubscriptions', () => {
+    test('reads subscriptions back from rooms and skips the socket id room', () => {
+        const socket = fakeSocket('team-a', ['namespace:team-a:create', 'universe:u1:commit', 'universe:u1:merge']);
+
+        expect(listSubscriptions(socket)).toEqual({
+            namespace: 'team-a',
+            namespaceEvents: ['create'],
+            universes: { u1: ['commit', 'merge'] }
+        });
+    });
+});
+
+describe('matchingRooms', () => {
+    const socket = fakeSocket('team-a', [
+        'namespace:team-a:create',
+        'universe:u1:commit',
+        'universe:u2:commit',
+        'universe:u2:merge'
+    ]);
+
+    test('returns every subscription room without filters', () => {
+        expect(matchingRooms(socket).sort()).toEqual([
+            'namespace:team-a:create',
+            'universe:u1:commit',
+            'universe:u2:commit',
+            'universe:u2:merge'
+        ]);
+    });
+
+    test('filters by universe and event', () => {
+        expect(matchingRooms(socket, { universeIds: ['u2'] }).sort()).toEqual(['universe:u2:commit', 'universe:u2:merge']);
+        expect(matchingRooms(socket, { events: ['commit'] }).sort()).toEqual(['universe:u1:commit', 'universe:u2:commit']);
+        expect(matchingRooms(socket, { universeIds: ['u2'], events: ['merge'] })).toEqual(['universe:u2:merge']);
+    });
+});
+
+describe('summarizeCreated', () => {
+    test('carries every id for small batches', () => {
+        const summary = summarizeCreated(['u1', 'u2'], { namespace: 'team-a' });
+
+        expect(summary).toMatchObject({ count: 2, universeIds: ['u1', 'u2'], truncated: false, namespace: 'team-a' });
+        expect(typeof summary.timestamp).toBe('string');
+    });
+
+    test('bounds the ids carried by large batches', () => {
+        const ids = Array.from({ length: BULK_ID_LIMIT + 5 }, (_, i) => `u${i}`);
+        const summary = summarizeCreated(ids);
+
+        expect(summary.count).toBe(BULK_ID_LIMIT + 5);
+        expect(summary.universeIds).toEqual(ids.slice(0, BULK_ID_LIMIT));
+        expect(summary.truncated).toBe(true);
+    });
+});
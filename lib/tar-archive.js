@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+/**
+ * Streaming tar.gz Writer
+ *
+ * Packs a directory into a POSIX ustar archive and gzips it on the fly,
+ * reading one file at a time so large snapshots never sit in memory.
+ * Paths longer than ustar allows are written with a pax extended header.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+
+const BLOCK_SIZE = 512;
+
+function writeString(header, value, offset, length) {
+    header.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8');
+}
+
+function writeOctal(header, value, offset, length) {
+    // length - 1 octal digits followed by a NUL
+    writeString(header, value.toString(8).padStart(length - 1, '0'), offset, length - 1);
+}
+
+function buildHeader({ name, size, mode, mtime, type = '0', prefix = '' }) {
+    const header = Buffer.alloc(BLOCK_SIZE);
+    writeString(header, name, 0, 100);
+    writeOctal(header, mode, 100, 8);
+    writeOctal(header, 0, 108, 8); // uid
+    writeOctal(header, 0, 116, 8); // gid
+    writeOctal(header, size, 124, 12);
+    writeOctal(header, Math.floor(mtime / 1000), 136, 12);
+    header.fill(' ', 148, 156); // checksum placeholder
+    writeString(header, type, 156, 1);
+    writeString(header, 'ustar\0', 257, 6);
+    writeString(header, '00', 263, 2);
+    writeString(header, prefix, 345, 155);
+
+    let checksum = 0;
+    for (const byte of header) checksum += byte;
+    writeString(header, `${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8);
+    return header;
+}
+
+function padding(size) {
+    const remainder = size % BLOCK_SIZE;
+    return remainder === 0 ? null : Buffer.alloc(BLOCK_SIZE - remainder);
+}
+
+/**
+ * Split a path into ustar name/prefix fields; returns null if it does not fit
+ */
+function splitUstarPath(name) {
+    if (Buffer.byteLength(name) <= 100) {
+        return { name, prefix: '' };
+    }
+    for (let i = name.indexOf('/'); i !== -1; i = name.indexOf('/', i + 1)) {
+        const prefix = name.slice(0, i);
+        const rest = name.slice(i + 1);
+        if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(rest) <= 100) {
+            return { name: rest, prefix };
+        }
+    }
+    return null;
+}
+
+function paxRecord(key, value) {
+    // The record length prefix counts its own digits, so iterate until stable
+    const body = ` ${key}=${value}\n`;
+    const bodyLength = Buffer.byteLength(body);
+    let length = bodyLength + 1;
+    while (bodyLength + String(length).length !== length) {
+        length = bodyLength + String(length).length;
+    }
+    return `${length}${body}`;
+}
+
+async function* walkFiles(rootDir, relDir = '') {
+    const entries = await fs.promises.readdir(path.join(rootDir, relDir), { withFileTypes: true });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+        const relPath = relDir ? `${relDir}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+            yield* walkFiles(rootDir, relPath);
+        } else if (entry.isFile()) {
+            yield relPath;
+        }
+    }
+}
+
+async function* tarEntries(rootDir) {
+    for await (const relPath of walkFiles(rootDir)) {
+        const absPath = path.join(rootDir, relPath);
+        const stat = await fs.promises.stat(absPath);
+        const entry = { size: stat.size, mode: stat.mode & 0o777, mtime: stat.mtimeMs };
+
+        const split = splitUstarPath(relPath);
+        if (split) {
+            yield buildHeader({ ...entry, ...split });
+        } else {
+            const pax = Buffer.from(paxRecord('path', relPath), 'utf8');
+            yield buildHeader({ name: 'PaxHeader', size: pax.length, mode: 0o644, mtime: stat.mtimeMs, type: 'x' });
+            yield pax;
+            const paxPadding = padding(pax.length);
+            if (paxPadding) yield paxPadding;
+            yield buildHeader({ ...entry, name: relPath.slice(-100) });
+        }
+
+        for await (const chunk of fs.createReadStream(absPath)) {
+            yield chunk;
+        }
+        const filePadding = padding(stat.size);
+        if (filePadding) yield filePadding;
+    }
+
+    // End-of-archive marker: two zero blocks
+    yield Buffer.alloc(BLOCK_SIZE * 2);
+}
+
+/**
+ * Readable stream of a gzipped tar of every regular file under `rootDir`
+ */
+function createTarGzStream(rootDir) {
+    const tar = Readable.from(tarEntries(rootDir), { objectMode: false });
+    const gzip = zlib.createGzip();
+    tar.on('error', error => gzip.destroy(error));
+    return tar.pipe(gzip);
+}
+
+module.exports = { createTarGzStream };
@@ -0,0 +1,98 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const zlib = require('zlib');
+const { createTarGzStream } = require('./tar-archive');
+
+const field = (block, offset, length) => block.toString('utf8', offset, offset + length).replace(/\0.*$/s, '');
+
+/**
+ * Read back [{ path, content, mode }] from a tar buffer, honouring pax path records
+ */
+function readTar(buffer) {
+    const entries = [];
+    let paxPath = null;
+    for (let offset = 0; offset + 512 <= buffer.length;) {
+        const header = buffer.subarray(offset, offset + 512);
+        if (header.every(byte => byte === 0)) break;
+
+        const size = parseInt(field(header, 124, 12), 8);
+        const type = field(header, 156, 1);
+        const prefix = field(header, 345, 155);
+        const name = prefix ? `${prefix}/${field(header, 0, 100)}` : field(header, 0, 100);
+        const content = buffer.subarray(offset + 512, offset + 512 + size);
+        offset += 512 + Math.ceil(size / 512) * 512;
+
+        if (type === 'x') {
+            paxPath = /\d+ path=(.*)\n/.exec(content.toString('utf8'))[1];
+            continue;
+        }
+        entries.push({ path: paxPath || name, content: content.toString('utf8'), mode: parseInt(field(header, 100, 8), 8) });
+        paxPath = null;
+    }
+    return entries;
+}
+
+async function collect(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return zlib.gunzipSync(Buffer.concat(chunks));
+}
+
+describe('createTarGzStream', () => {
+    let rootDir;
+
+    beforeEach(async () => {
+        rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'helios-tar-test-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(rootDir, { recursive: true, force: true });
+    });
+
+    const write = async (relPath, content, mode = 0o644) => {
+        const absPath = path.join(rootDir, relPath);
+        await fs.mkdir(path.dirname(absPath), { recursive: true });
+        await fs.writeFile(absPath, content);
+        await fs.chmod(absPath, mode);
+    };
+
+    test('packs every file in path order with contents and modes', async () => {
+        await write('b.txt', 'bee');
+        await write('a/nested/file.txt', 'x'.repeat(1000));
+        await write('run.sh', '#!/bin/sh\n', 0o755);
+
+        const entries = readTar(await collect(createTarGzStream(rootDir)));
+
+        expect(entries).toEqual([
+            { path: 'a/nested/file.txt', content: 'x'.repeat(1000), mode: 0o644 },
+            { path: 'b.txt', content: 'bee', mode: 0o644 },
+            { path: 'run.sh', content: '#!/bin/sh\n', mode: 0o755 }
+        ]);
+    });
+
+    test('keeps long paths, with a prefix field or a pax header', async () => {
+        const prefixed = `${'d'.repeat(120)}/file.txt`;
+        const paxOnly = `${'e'.repeat(80)}/${'f'.repeat(130)}.txt`;
+        await write(prefixed, 'prefixed');
+        await write(paxOnly, 'pax');
+
+        const entries = readTar(await collect(createTarGzStream(rootDir)));
+
+        expect(entries.map(entry => [entry.path, entry.content])).toEqual([
+            [prefixed, 'prefixed'],
+            [paxOnly, 'pax']
+        ]);
+    });
+
+    test('produces a valid empty archive for an empty directory', async () => {
+        const tar = await collect(createTarGzStream(rootDir));
+
+        expect(tar.length).toBe(1024);
+        expect(readTar(tar)).toEqual([]);
+    });
+
+    test('fails the stream when the directory is missing', async () => {
+        await expect(collect(createTarGzStream(path.join(rootDir, 'missing')))).rejects.toMatchObject({ code: 'ENOENT' });
+    });
+});
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+
+/**
+ * Universe Commands for Helios Demo Backend
+ *
+ * The mutations behind both the REST routes and the Socket.IO command
+ * channel: create, fork, merge, compare, lifecycle changes and snapshot operations. Each command checks that
+ * the target universe is in the caller's namespace, updates the server
+ * metrics and notifies event subscribers, so both transports behave the same.
+ * Failures are thrown as ApiError.
+ */
+
+const ApiError = require('./api-error');
+const { eventRooms, summarizeCreated } = require('./socket-subscriptions');
+
+function elapsedMs(startTime) {
+    const [seconds, nanoseconds] = process.hrtime(startTime);
+    return seconds * 1000 + nanoseconds / 1000000;
+}
+
+class UniverseCommands {
+    constructor({ universeManager, metrics, io }) {
+        this.universeManager = universeManager;
+        this.metrics = metrics;
+        this.io = io;
+    }
+
+    /**
+     * Universe in the caller's namespace, by universe or snapshot id
+     */
+    requireUniverse(id, namespace) {
+        const universe = this.universeManager.getUniverse(id, namespace);
+        if (!universe) {
+            throw new ApiError(404, 'Universe not found');
+        }
+        return universe;
+    }
+
+    /**
+     * Resolves to { universes, executionTime }
+     */
+    async create(namespace, { count, config }) {
+        const startTime = process.hrtime();
+        const universes = await this.universeManager.createUniverses(count, config, { namespace });
+        const executionTime = elapsedMs(startTime);
+
+        this.metrics.universesCreated += count;
+        this.metrics.totalOperations++;
+
+        // Summary only: a bulk create would otherwise carry every universe's metadata
+        this.io.to(eventRooms(namespace, 'create')).emit('universes:created',
+            summarizeCreated(universes.map(u => u.id), { executionTime }));
+
+        return { universes, executionTime };
+    }
+
+    /**
+     * Resolves to { universe, executionTime }
+     */
+    async fork(namespace, id, { snapshotId, config }) {
+        const startTime = process.hrtime();
+        const source = this.requireUniverse(id, namespace);
+        if (snapshotId && !source.snapshots.includes(snapshotId)) {
+            throw new ApiError(400, `Snapshot ${snapshotId} does not belong to universe ${source.id}`);
+        }
+
+        const universe = await this.universeManager.forkUniverse(id, snapshotId, config);
+        const executionTime = elapsedMs(startTime);
+
+        this.metrics.universesCreated++;
+        this.metrics.totalOperations++;
+
+        // Emit to namespace fork subscribers and subscribers of the source universe
+        this.io.to(eventRooms(namespace, 'fork', [universe.parent.universeId])).emit('universe:forked', {
+            universeId: universe.id,
+            parentUniverseId: universe.parent.universeId,
+            parentSnapshotId: universe.parent.snapshotId,
+            executionTime,
+            universe: universe.getMetadata(),
+            timestamp: new Date().toISOString()
+        });
+
+        return { universe, executionTime };
+    }
+
+    /**
+     * Merge a snapshot of another universe in the namespace into `id`;
+     * resolves to { result, executionTime }, conflicts are thrown as a 409
+     */
+    async merge(namespace, id, { sourceUniverseId, sourceSnapshotId, message }, context = {}) {
+        const startTime = process.hrtime();
+        const target = this.requireUniverse(id, namespace);
+        const source = this.requireUniverse(sourceUniverseId, namespace);
+
+        const result = await this.universeManager.performOperation(target.id, 'merge', {
+            sourceUniverseId: source.id,
+            // A snapshot id given as the source universe names the snapshot to merge
+            sourceSnapshotId: sourceSnapshotId || (source.id !== sourceUniverseId ? sourceUniverseId : null),
+            message
+        }, context);
+        const executionTime = elapsedMs(startTime);
+
+        this.metrics.totalOperations++;
+
+        // Subscribers of either universe hear about the merge
+        this.io.to(eventRooms(namespace, 'merge', [target.id, source.id])).emit('universe:operation', {
+            universeId: target.id,
+            operation: 'merge',
+            sourceUniverseId: source.id,
+            snapshotId: result.snapshotId,
+            executionTime,
+            timestamp: new Date().toISOString()
+        });
+
+        return { result, executionTime };
+    }
+
+    /**
+     * Divergence between universes of the namespace, each at its latest
+     * snapshot or the one given; resolves to { result, executionTime }
+     */
+    async compare(namespace, { universes, include, exclude }) {
+        const startTime = process.hrtime();
+        const seen = new Set();
+        const targets = universes.map(({ universeId, snapshotId }) => {
+            const universe = this.requireUniverse(universeId, namespace);
+            if (seen.has(universe.id)) {
+                throw new ApiError(400, `Universe ${universe.id} is listed more than once`);
+            }
+            seen.add(universe.id);
+            // A snapshot id given as the universe names the snapshot to compare
+            const defaultSnapshot = universe.id !== universeId ? universeId : universe.snapshots[universe.snapshots.length - 1];
+            return { universe, snapshotId: snapshotId || defaultSnapshot };
+        });
+
+        const result = await this.universeManager.compareUniverses(targets, { include, exclude });
+        const executionTime = elapsedMs(startTime);
+
+        this.metrics.totalOperations++;
+
+        return { result, executionTime };
+    }
+
+    /**
+     * Pause, resume or archive a universe and/or change its TTL. Subscribers
+     * hear about status changes from the engine's lifecycle event.
+     */
+    update(namespace, id, changes) {
+        this.requireUniverse(id, namespace);
+        return this.universeManager.updateUniverse(id, changes);
+    }
+
+    /**
+     * Resolves to { universeId, deleted, archivePath }. Only universe ids are
+     * accepted: a snapshot id must not delete the universe that produced it.
+     */
+    async delete(namespace, id, options = {}) {
+        if (this.requireUniverse(id, namespace).id !== id) {
+            throw new ApiError(404, 'Universe not found');
+        }
+        const result = await this.universeManager.deleteUniverse(id, options);
+        this.metrics.totalOperations++;
+        return result;
+    }
+
+    /**
+     * Commit, restore, diff or materialize; resolves to { result, executionTime }
+     * Context: author (recorded on commits)
+     */
+    async operate(namespace, id, operation, params, context = {}) {
+        const startTime = process.hrtime();
+        this.requireUniverse(id, namespace);
+
+        const result = await this.universeManager.performOperation(id, operation, params, context);
+        const executionTime = elapsedMs(startTime);
+
+        this.metrics.totalOperations++;
+
+        // Emit real-time update to the operation's subscribers
+        this.io.to(eventRooms(namespace, operation, [result.universeId])).emit('universe:operation', {
+            universeId: result.universeId,
+            operation,
+            snapshotId: result.snapshotId || null,
+            executionTime,
+            timestamp: new Date().toISOString()
+        });
+
+        return { result, executionTime };
+    }
+}
+
+module.exports = UniverseCommands;
@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+
+/**
+ * Universe Manager for Helios Demo Backend
+ *
+ * Owns universe creation, lookup and operation dispatch on top of
+ * RealHeliosEngine, keeping a snapshot -> universe index for lookups
+ */
+
+const fs = require('fs').promises;
+const { createTarGzStream } = require('./tar-archive');
+
+class UniverseManager {
+    constructor(heliosEngine) {
+        this.heliosEngine = heliosEngine;
+        this.snapshotIndex = new Map();
+
+        this.setupIndexing();
+    }
+
+    setupIndexing() {
+        // Commits after creation are picked up from stateCreated events
+        this.heliosEngine.on('stateCreated', (data) => {
+            if (data.snapshotId) {
+                this.snapshotIndex.set(data.snapshotId, data.universeId);
+            }
+        });
+
+        this.heliosEngine.on('registryLoaded', ({ universes }) => {
+            universes.forEach(universe => this.indexUniverse(universe));
+        });
+
+        this.heliosEngine.on('universeDeleted', ({ universeId }) => {
+            for (const [snapshotId, ownerId] of this.snapshotIndex) {
+                if (ownerId === universeId) {
+                    this.snapshotIndex.delete(snapshotId);
+                }
+            }
+        });
+
+        this.heliosEngine.on('snapshotsCollected', ({ universes }) => {
+            universes.forEach(({ removed }) => removed.forEach(snapshotId => this.snapshotIndex.delete(snapshotId)));
+        });
+    }
+
+    /**
+     * Index every snapshot a universe currently holds
+     */
+    indexUniverse(universe) {
+        for (const snapshotId of universe.snapshots) {
+            this.snapshotIndex.set(snapshotId, universe.id);
+        }
+    }
+
+    /**
+     * Create `count` universes sharing the same config. The whole batch is
+     * checked against the namespace quota before any universe is created.
+     */
+    async createUniverses(count, config = {}, options = {}) {
+        this.heliosEngine.assertCanCreate(options.namespace, count);
+
+        const universes = [];
+        for (let i = 0; i < count; i++) {
+            universes.push(await this.createUniverse(config, i, options));
+        }
+        return universes;
+    }
+
+    /**
+     * Create the `index`-th universe of a batch and index its snapshots
+     */
+    async createUniverse(config = {}, index = 0, options = {}) {
+        const universe = await this.heliosEngine.createUniverse({
+            ...config,
+            universeIndex: index
+        }, { namespace: options.namespace });
+        this.indexUniverse(universe);
+        return universe;
+    }
+
+    /**
+     * Fork a universe from one of its snapshots. When `id` is a snapshot id
+     * and no snapshot is given, the fork starts from that snapshot.
+     */
+    async forkUniverse(id, snapshotId = null, config = {}) {
+        const source = this.getUniverse(id);
+        if (!source) {
+            throw new Error(`Universe ${id} not found`);
+        }
+
+        const forkSnapshot = snapshotId || (source.id !== id ? id : null);
+        const universe = await this.heliosEngine.forkUniverse(source.id, forkSnapshot, config);
+        this.indexUniverse(universe);
+        return universe;
+    }
+
+    /**
+     * Change the status and/or TTL of the resolved universe
+     */
+    updateUniverse(id, changes) {
+        const universe = this.getUniverse(id);
+        if (!universe) {
+            throw new Error(`Universe ${id} not found`);
+        }
+        return this.heliosEngine.updateUniverse(universe.id, changes);
+    }
+
+    /**
+     * Delete a universe by its exact id, never through one of its snapshot ids;
+     * snapshot index entries go with the universeDeleted event
+     */
+    async deleteUniverse(id, options = {}) {
+        const universe = this.heliosEngine.getUniverse(id);
+        if (!universe) {
+            throw new Error(`Universe ${id} not found`);
+        }
+        return await this.heliosEngine.deleteUniverse(universe.id, options);
+    }
+
+    /**
+     * Ancestor/descendant tree for a universe
+     */
+    getLineage(id) {
+        const universe = this.getUniverse(id);
+        if (!universe) {
+            throw new Error(`Universe ${id} not found`);
+        }
+        return this.heliosEngine.getLineage(universe.id);
+    }
+
+    /**
+     * Pairwise divergence of [{ universe, snapshotId }]
+     */
+    async compareUniverses(targets, options = {}) {
+        return await this.heliosEngine.compareUniverses(targets, options);
+    }
+
+    /**
+     * Look up a universe by universe id or by any of its snapshot ids.
+     * With a namespace, universes of other namespaces are not found.
+     */
+    getUniverse(id, namespace = null) {
+        const universe = this.heliosEngine.getUniverse(id) || this.findBySnapshot(id);
+        if (universe && namespace && universe.namespace !== namespace) {
+            return undefined;
+        }
+        return universe;
+    }
+
+    /**
+     * Find the universe that produced a snapshot
+     */
+    findBySnapshot(snapshotId) {
+        const universeId = this.snapshotIndex.get(snapshotId);
+        return universeId ? this.heliosEngine.getUniverse(universeId) : undefined;
+    }
+
+    /**
+     * Dispatch an operation to the engine for the resolved universe
+     * Context: author (recorded on commits)
+     */
+    async performOperation(id, operation, params = {}, context = {}) {
+        const universe = this.getUniverse(id);
+        if (!universe) {
+            throw new Error(`Universe ${id} not found`);
+        }
+
+        const result = await this.heliosEngine.performOperation(universe.id, operation, params, context);
+        if (operation !== 'materialize') {
+            return result;
+        }
+
+        // Materialized output lives in a server temp dir: report what was written, then remove it
+        try {
+            const files = await this.heliosEngine.backend.scanDirectory(result.outputDir);
+            const { outputDir, ...rest } = result;
+            return { ...rest, files: files.map(file => file.relPath) };
+        } finally {
+            await fs.rm(result.outputDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Materialize a snapshot and expose it as a tar.gz stream.
+     * `cleanup()` removes the temp directory and must be called once the
+     * stream is finished or abandoned.
+     */
+    async createSnapshotArchive(id, snapshotId, options = {}) {
+        const universe = this.getUniverse(id);
+        if (!universe) {
+            throw new Error(`Universe ${id} not found`);
+        }
+
+        const result = await this.heliosEngine.performOperation(universe.id, 'materialize', {
+            snapshotId,
+            include: options.include,
+            exclude: options.exclude
+        });
+
+        return {
+            result,
+            stream: createTarGzStream(result.outputDir),
+            cleanup: () => fs.rm(result.outputDir, { recursive: true, force: true })
+        };
+    }
+
+    /**
+     * Summary statistics for the metrics endpoint, optionally for one namespace
+     */
+    async getStatistics(namespace = null) {
+        const universes = namespace
+            ? this.heliosEngine.getUniverses(namespace)
+            : Array.from(this.heliosEngine.universes.values());
+
+        const statistics = {
+            total: universes.length,
+            active: universes.filter(u => u.active).length,
+            paused: universes.filter(u => u.status === 'paused').length,
+            archived: universes.filter(u => u.status === 'archived').length,
+            totalSnapshots: universes.reduce((sum, u) => sum + u.snapshots.length, 0),
+            indexedSnapshots: universes.reduce((sum, u) => sum + u.snapshots.filter(id => this.snapshotIndex.has(id)).length, 0)
+        };
+        if (namespace) {
+            statistics.namespace = this.heliosEngine.getNamespace(namespace);
+        }
+        return statistics;
+    }
+}
+
+module.exports = UniverseManager;
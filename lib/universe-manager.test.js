@@ -0,0 +1,105 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const RealHeliosEngine = require('./real-helios/real-helios-engine');
+const { NamespaceQuotas } = require('./real-helios/namespace-quotas');
+const UniverseManager = require('./universe-manager');
+
+describe('UniverseManager', () => {
+    let workDir;
+    let engine;
+    let manager;
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    beforeEach(async () => {
+        workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'helios-manager-test-'));
+        engine = new RealHeliosEngine({
+            workDir,
+            quotas: new NamespaceQuotas({ namespaces: { small: { maxUniverses: 2 } } })
+        });
+        await engine.ready;
+        manager = new UniverseManager(engine);
+    });
+
+    afterEach(async () => {
+        await engine.shutdown();
+        await fs.rm(workDir, { recursive: true, force: true });
+    });
+
+    test('creates a batch of universes with the same config', async () => {
+        const universes = await manager.createUniverses(3, { label: 'batch' });
+
+        expect(universes.map(universe => universe.config)).toEqual([
+            { label: 'batch', universeIndex: 0 },
+            { label: 'batch', universeIndex: 1 },
+            { label: 'batch', universeIndex: 2 }
+        ]);
+        expect(engine.universes.size).toBe(3);
+    });
+
+    test('checks the whole batch against the namespace quota up front', async () => {
+        await expect(manager.createUniverses(3, {}, { namespace: 'small' })).rejects.toMatchObject({ status: 403 });
+        expect(engine.getUniverses('small')).toHaveLength(0);
+    });
+
+    test('finds universes by id or by any of their snapshot ids', async () => {
+        const universe = await manager.createUniverse();
+        const commit = await manager.performOperation(universe.id, 'commit', { message: 'second' });
+
+        expect(manager.getUniverse(universe.id)).toBe(universe);
+        expect(manager.getUniverse(universe.snapshots[0])).toBe(universe);
+        expect(manager.getUniverse(commit.snapshotId)).toBe(universe);
+        expect(manager.getUniverse('missing')).toBeUndefined();
+    });
+
+    test('hides universes of other namespaces', async () => {
+        const universe = await manager.createUniverse({}, 0, { namespace: 'team-a' });
+
+        expect(manager.getUniverse(universe.id, 'team-a')).toBe(universe);
+        expect(manager.getUniverse(universe.id, 'team-b')).toBeUndefined();
+        expect(manager.getUniverse(universe.snapshots[0], 'team-b')).toBeUndefined();
+    });
+
+    test('forks from a snapshot id given in place of the universe id', async () => {
+        const universe = await manager.createUniverse();
+        const initial = universe.snapshots[0];
+        await manager.performOperation(universe.id, 'commit', {});
+
+        const fork = await manager.forkUniverse(initial);
+
+        expect(fork.parent).toEqual({ universeId: universe.id, snapshotId: initial });
+        expect(manager.getUniverse(fork.snapshots[0])).toBe(fork);
+    });
+
+    test('deletes by universe id only and drops the index entries', async () => {
+        const universe = await manager.createUniverse();
+        const [snapshotId] = universe.snapshots;
+
+        await expect(manager.deleteUniverse(snapshotId)).rejects.toThrow(`Universe ${snapshotId} not found`);
+        expect(manager.getUniverse(snapshotId)).toBe(universe);
+
+        await manager.deleteUniverse(universe.id);
+
+        expect(manager.getUniverse(snapshotId)).toBeUndefined();
+        expect((await manager.getStatistics()).total).toBe(0);
+    });
+
+    test('reports materialized files and removes the output directory', async () => {
+        const universe = await manager.createUniverse();
+        const result = await manager.performOperation(universe.id, 'materialize', { snapshotId: universe.snapshots[0] });
+
+        expect(result.files).toEqual([`universe-${universe.id}.txt`]);
+        expect(result.outputDir).toBeUndefined();
+    });
+
+    test('rejects operations on unknown universes', async () => {
+        await expect(manager.performOperation('missing', 'commit')).rejects.toThrow('Universe missing not found');
+    });
+});
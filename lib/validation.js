@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+
+/**
+ * Request Validation Schemas for Helios Demo Backend
+ *
+ * joi schemas for every REST route and universe operation, an Express
+ * middleware that answers invalid input with a 400 listing field-level
+ * problems, and a helper to validate Socket.IO payloads with the same schemas.
+ */
+
+const Joi = require('joi');
+
+const OPERATIONS = ['commit', 'restore', 'diff', 'materialize'];
+
+// Event types a socket can subscribe to
+const UNIVERSE_EVENTS = ['create', 'fork', 'lifecycle', 'merge', ...OPERATIONS];
+
+// Statuses a universe can be moved to; deletion has its own route
+const UNIVERSE_STATUSES = ['active', 'paused', 'archived'];
+
+// Universe ids are uuids; snapshot ids depend on the backend but never start with '-'
+const id = Joi.string().pattern(/^[A-Za-z0-9][A-Za-z0-9._-]{0,127}$/, 'id');
+const glob = Joi.string().max(1024).pattern(/^(?!-)[^\0]*$/, 'glob');
+const tag = Joi.string().pattern(/^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/, 'tag');
+const duration = Joi.string().pattern(/^[1-9]\d*[smhd]$/, 'duration');
+
+// Universe config is free-form apart from the idle TTL
+const universeConfig = Joi.object({
+    ttl: duration
+}).unknown(true).default({});
+
+const schemas = {
+    universeParams: Joi.object({
+        id: id.required()
+    }).unknown(true),
+
+    snapshotParams: Joi.object({
+        id: id.required(),
+        snapshotId: id.required()
+    }),
+
+    createUniverses: Joi.object({
+        count: Joi.number().strict().integer().min(1).max(1000).default(1),
+        config: universeConfig
+    }),
+
+    forkUniverse: Joi.object({
+        snapshotId: id.allow(null).default(null),
+        config: universeConfig
+    }),
+
+    mergeUniverse: Joi.object({
+        sourceUniverseId: id.required(),
+        sourceSnapshotId: id,
+        message: Joi.string().max(4096)
+    }),
+
+    // Each universe at most once; snapshotId defaults to its latest snapshot
+    compareUniverses: Joi.object({
+        universes: Joi.array().items(Joi.object({
+            universeId: id.required(),
+            snapshotId: id
+        })).min(2).max(100).unique('universeId').required(),
+        include: glob,
+        exclude: glob
+    }),
+
+    updateUniverse: Joi.object({
+        status: Joi.string().valid(...UNIVERSE_STATUSES),
+        ttl: duration.allow(null)
+    }).min(1),
+
+    deleteUniverseQuery: Joi.object({
+        archive: Joi.boolean().default(false)
+    }),
+
+    diffQuery: Joi.object({
+        from: id,
+        to: id,
+        include: glob,
+        exclude: glob,
+        unified: Joi.boolean().default(false),
+        context: Joi.number().integer().min(0).max(100)
+    }),
+
+    jobParams: Joi.object({
+        jobId: Joi.string().guid().required()
+    }),
+
+    createJob: Joi.object({
+        type: Joi.string().valid('createUniverses').required(),
+        params: Joi.object({
+            count: Joi.number().strict().integer().min(1).max(10000).required(),
+            config: universeConfig
+        }).required(),
+        concurrency: Joi.number().strict().integer().min(1).max(32)
+    }),
+
+    snapshotTagParams: Joi.object({
+        id: id.required(),
+        snapshotId: id.required(),
+        tag: tag.required()
+    }),
+
+    // Newest first; `cursor` is the `nextCursor` of the previous page
+    snapshotHistoryQuery: Joi.object({
+        cursor: Joi.string().max(32).pattern(/^[A-Za-z0-9_-]+$/, 'cursor'),
+        limit: Joi.number().integer().min(1).max(200).default(50),
+        tag,
+        since: Joi.date().iso(),
+        until: Joi.date().iso(),
+        q: Joi.string().min(1).max(256)
+    }),
+
+    addSnapshotTags: Joi.object({
+        tags: Joi.array().items(tag).min(1).max(20).unique().required()
+    }),
+
+    archiveQuery: Joi.object({
+        include: glob,
+        exclude: glob
+    }),
+
+    runBenchmark: Joi.object({
+        profile: Joi.string().valid('quick', 'standard', 'heavy').default('quick'),
+        overrides: Joi.object({
+            commits: Joi.number().integer().min(1).max(5000),
+            filesPerCommit: Joi.number().integer().min(1).max(1000),
+            fileSize: Joi.number().integer().min(0).max(1024 * 1024),
+            restoreCycles: Joi.number().integer().min(0).max(5000),
+            diffs: Joi.number().integer().min(0).max(5000)
+        }).default({}),
+        saveAsBaseline: Joi.boolean().default(false),
+        tolerance: Joi.number().min(0).max(5).default(0.2)
+    }),
+
+    benchmarkHistoryQuery: Joi.object({
+        limit: Joi.number().integer().min(1).max(50).default(20)
+    }),
+
+    metricsHistoryQuery: Joi.object({
+        window: Joi.string().pattern(/^[1-9]\d*[smhd]$/).default('1h'),
+        bucket: Joi.string().pattern(/^[1-9]\d*[smhd]$/).default('1m'),
+        series: Joi.string().pattern(/^[A-Za-z]+(,[A-Za-z]+)*$/)
+    }),
+
+    operationParams: {
+        commit: Joi.object({
+            message: Joi.string().max(4096),
+            tags: Joi.array().items(tag).max(20).unique()
+        }),
+        restore: Joi.object({
+            snapshotId: id.required()
+        }),
+        diff: Joi.object({
+            fromSnapshot: id.required(),
+            toSnapshot: id.required(),
+            include: glob,
+            exclude: glob,
+            unified: Joi.boolean(),
+            context: Joi.number().integer().min(0).max(100)
+        }),
+        materialize: Joi.object({
+            snapshotId: id.required(),
+            include: glob,
+            exclude: glob
+        })
+    },
+
+    // Omitted fields fall back to the global retention policy
+    retentionPolicy: Joi.object({
+        keepLast: Joi.number().integer().min(1).max(100000).allow(null),
+        maxAge: duration.allow(null),
+        keepTagged: Joi.boolean()
+    }),
+
+    runGc: Joi.object({
+        dryRun: Joi.boolean().default(false),
+        namespace: id,
+        universeIds: Joi.array().items(id).min(1).max(1000).unique()
+    }),
+
+    // Socket.IO payloads
+    universesSubscribe: Joi.object({
+        universeIds: Joi.array().items(id).max(1000).unique().default([]),
+        events: Joi.array().items(Joi.string().valid(...UNIVERSE_EVENTS)).min(1).unique().default(UNIVERSE_EVENTS)
+    }).allow(null),
+
+    // Without universeIds or events, every universe subscription is dropped
+    universesUnsubscribe: Joi.object({
+        universeIds: Joi.array().items(id).max(1000).unique(),
+        events: Joi.array().items(Joi.string().valid(...UNIVERSE_EVENTS)).min(1).unique()
+    }).allow(null)
+};
+
+// Params may only be omitted when the operation has no required fields
+const hasRequiredKeys = schema => Object.values(schema.describe().keys || {})
+    .some(key => key.flags && key.flags.presence === 'required');
+
+schemas.operation = Joi.object({
+    operation: Joi.string().valid(...OPERATIONS).required(),
+    params: Joi.when('operation', {
+        switch: OPERATIONS.map(operation => ({
+            is: operation,
+            then: hasRequiredKeys(schemas.operationParams[operation])
+                ? schemas.operationParams[operation].required()
+                : schemas.operationParams[operation].default({})
+        })),
+        otherwise: Joi.any()
+    })
+});
+
+// Socket.IO commands: the REST body plus the target universe and an optional client request id
+const commandEnvelope = Joi.object({
+    requestId: Joi.string().max(128).pattern(/^[A-Za-z0-9._:-]+$/, 'request id')
+});
+const universeCommand = commandEnvelope.keys({
+    universeId: id.required()
+});
+
+schemas.commands = {
+    'universe:create': commandEnvelope.concat(schemas.createUniverses),
+    'universe:fork': universeCommand.concat(schemas.forkUniverse),
+    'universe:commit': universeCommand.concat(schemas.operationParams.commit),
+    'universe:restore': universeCommand.concat(schemas.operationParams.restore),
+    'universe:diff': universeCommand.concat(schemas.operationParams.diff)
+};
+
+/**
+ * Flatten a joi error into [{ field, message, type }]
+ */
+function formatDetails(error, location = null) {
+    return error.details.map(detail => ({
+        field: [location, ...detail.path].filter(part => part !== null && part !== undefined).join('.'),
+        message: detail.message.replace(/"/g, ''),
+        type: detail.type
+    }));
+}
+
+/**
+ * Validate a value against a schema; resolves to { value } or { error: { error, details } }
+ */
+function validatePayload(schema, payload, location = null) {
+    const { value, error } = schema.validate(payload, { abortEarly: false });
+    if (error) {
+        return { error: { error: 'Validation failed', details: formatDetails(error, location) } };
+    }
+    return { value };
+}
+
+/**
+ * Express middleware validating `params`, `query` and/or `body`; validated
+ * (and defaulted) values replace the originals on `req`
+ */
+function validate(spec) {
+    return (req, res, next) => {
+        const details = [];
+
+        for (const location of ['params', 'query', 'body']) {
+            if (!spec[location]) continue;
+            const result = validatePayload(spec[location], req[location] || {}, location);
+            if (result.error) {
+                details.push(...result.error.details);
+            } else {
+                req[location] = result.value;
+            }
+        }
+
+        if (details.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details,
+                requestId: req.requestId
+            });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    OPERATIONS,
+    UNIVERSE_EVENTS,
+    UNIVERSE_STATUSES,
+    schemas,
+    validate,
+    validatePayload
+};
@@ -0,0 +1,76 @@
+const express = require('express');
+const request = require('supertest');
+const { schemas, validate, validatePayload } = require('./validation');
+
+describe('schemas', () => {
+    test('apply defaults to universe creation', () => {
+        expect(validatePayload(schemas.createUniverses, {})).toEqual({ value: { count: 1, config: {} } });
+    });
+
+    test('reject counts that are not integers in range', () => {
+        for (const count of [0, 1001, 2.5, '3']) {
+            expect(validatePayload(schemas.createUniverses, { count }).error).toBeDefined();
+        }
+    });
+
+    test('check the TTL inside otherwise free-form configs', () => {
+        expect(validatePayload(schemas.createUniverses, { config: { ttl: '2h', label: 'x' } }).value.config)
+            .toEqual({ ttl: '2h', label: 'x' });
+        expect(validatePayload(schemas.createUniverses, { config: { ttl: '0h' } }).error).toBeDefined();
+    });
+
+    test('reject ids and globs the CLI could read as flags', () => {
+        expect(validatePayload(schemas.universeParams, { id: '--force' }).error).toBeDefined();
+        expect(validatePayload(schemas.archiveQuery, { include: '-rf' }).error).toBeDefined();
+        expect(validatePayload(schemas.archiveQuery, { include: 'src/**/*.js' }).error).toBeUndefined();
+    });
+
+    test('pick operation params by operation', () => {
+        expect(validatePayload(schemas.operation, { operation: 'commit' }).value).toEqual({ operation: 'commit', params: {} });
+        expect(validatePayload(schemas.operation, { operation: 'restore', params: {} }, 'body').error.details)
+            .toEqual([{ field: 'body.params.snapshotId', message: 'params.snapshotId is required', type: 'any.required' }]);
+        expect(validatePayload(schemas.operation, { operation: 'explode' }).error).toBeDefined();
+    });
+
+    test.each([
+        ['restore', { snapshotId: 's1' }],
+        ['diff', { fromSnapshot: 's1', toSnapshot: 's2' }],
+        ['materialize', { snapshotId: 's1' }]
+    ])('require params for %s', (operation, params) => {
+        expect(validatePayload(schemas.operation, { operation }, 'body').error.details)
+            .toEqual([{ field: 'body.params', message: 'params is required', type: 'any.required' }]);
+        expect(validatePayload(schemas.operation, { operation, params }).error).toBeUndefined();
+    });
+
+    test('validate Socket.IO commands with the REST schemas plus the envelope', () => {
+        expect(validatePayload(schemas.commands['universe:commit'], { universeId: 'u1', requestId: 'r-1', message: 'm' }).error)
+            .toBeUndefined();
+        expect(validatePayload(schemas.commands['universe:commit'], { message: 'm' }).error.details[0].field).toBe('universeId');
+    });
+});
+
+describe('validate', () => {
+    const app = express();
+    app.use(express.json());
+    app.post('/items/:id', validate({ params: schemas.universeParams, query: schemas.deleteUniverseQuery, body: schemas.createUniverses }),
+        (req, res) => res.json({ params: req.params, query: req.query, body: req.body }));
+
+    test('replaces inputs with validated, defaulted values', async () => {
+        const response = await request(app).post('/items/abc?archive=true').send({ count: 2 });
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({
+            params: { id: 'abc' },
+            query: { archive: true },
+            body: { count: 2, config: {} }
+        });
+    });
+
+    test('answers 400 with every problem across locations', async () => {
+        const response = await request(app).post('/items/-bad?archive=maybe').send({ count: 0, extra: true });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Validation failed');
+        expect(response.body.details.map(detail => detail.field)).toEqual(['params.id', 'query.archive', 'body.count', 'body.extra']);
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * Renders /api/openapi.json as a browsable list of operations.
+ * Kept dependency-free and same-origin so it runs under the server's CSP.
+ */
+(function () {
+  'use strict';
+
+  function element(tag, attributes, children) {
+    const node = document.createElement(tag);
+    Object.entries(attributes || {}).forEach(([key, value]) => {
+      if (key === 'text') node.textContent = value;
+      else node.setAttribute(key, value);
+    });
+    (children || []).forEach(child => node.appendChild(child));
+    return node;
+  }
+
+  function renderParameters(parameters) {
+    if (!parameters || parameters.length === 0) return null;
+    const rows = parameters.map(parameter => element('tr', {}, [
+      element('td', { class: 'path', text: parameter.name }),
+      element('td', { text: parameter.in }),
+      element('td', { text: parameter.required ? 'required' : 'optional' }),
+      element('td', { class: 'path', text: JSON.stringify(parameter.schema) })
+    ]));
+    return element('table', {}, [
+      element('tr', {}, ['Name', 'In', 'Required', 'Schema'].map(text => element('th', { text })))
+    ].concat(rows));
+  }
+
+  function renderOperation(path, method, operation) {
+    const body = element('div', { class: 'body' });
+    if (operation.description) body.appendChild(element('p', { text: operation.description }));
+    if (operation['x-required-scope']) {
+      body.appendChild(element('p', { text: `Requires an API key with the ${operation['x-required-scope']} scope (X-API-Key header).` }));
+    }
+
+    const parameters = renderParameters(operation.parameters);
+    if (parameters) {
+      body.appendChild(element('h4', { text: 'Parameters' }));
+      body.appendChild(parameters);
+    }
+
+    if (operation.requestBody) {
+      body.appendChild(element('h4', { text: 'Request body' }));
+      body.appendChild(element('pre', { text: JSON.stringify(operation.requestBody.content, null, 2) }));
+    }
+
+    body.appendChild(element('h4', { text: 'Responses' }));
+    body.appendChild(element('pre', {
+      text: Object.entries(operation.responses || {})
+        .map(([status, response]) => `${status}  ${response.description}`)
+        .join('\n')
+    }));
+
+    if (method === 'get' && !path.includes('{')) {
+      body.appendChild(element('a', { href: path, target: '_blank', rel: 'noopener', text: `Open ${path}` }));
+    }
+
+    return element('details', {}, [
+      element('summary', {}, [
+        element('span', { class: `method ${method}`, text: method.toUpperCase() }),
+        element('span', { class: 'path', text: path }),
+        element('span', { class: 'summary', text: operation.summary || '' })
+      ]),
+      body
+    ]);
+  }
+
+  fetch('/api/openapi.json')
+    .then(response => response.json())
+    .then((spec) => {
+      document.getElementById('title').textContent = `${spec.info.title} ${spec.info.version}`;
+      document.getElementById('description').textContent = spec.info.description || '';
+
+      const groups = {};
+      Object.entries(spec.paths).forEach(([path, methods]) => {
+        Object.entries(methods).forEach(([method, operation]) => {
+          const tag = (operation.tags && operation.tags[0]) || 'Other';
+          (groups[tag] = groups[tag] || []).push(renderOperation(path, method, operation));
+        });
+      });
+
+      const container = document.getElementById('operations');
+      Object.entries(groups).forEach(([tag, operations]) => {
+        container.appendChild(element('h2', { text: tag }));
+        operations.forEach(operation => container.appendChild(operation));
+      });
+    })
+    .catch((error) => {
+      document.getElementById('description').textContent = `Failed to load specification: ${error.message}`;
+    });
+})();
@@ -21,11 +21,57 @@ const path = require('path');
 // Import Real Helios integration modules - replacing all mock implementations
 const RealHeliosEngine = require('./lib/real-helios/real-helios-engine');
 const RealPerformanceAnalytics = require('./lib/real-helios/real-performance-analytics');
+const UniverseManager = require('./lib/universe-manager');
+const JobManager = require('./lib/job-manager');
+const ApiError = require('./lib/api-error');
+const { schemas, validatePayload } = require('./lib/validation');
+const RouteRegistry = require('./lib/route-registry');
+const { buildOpenApiDocument } = require('./lib/openapi');
+const prometheus = require('./lib/prometheus');
+const { ApiKeyStore, AuthFailureLimiter, authenticate, selectNamespace, authenticateSocket, resolveAuthor } = require('./lib/auth');
+const { NamespaceQuotas } = require('./lib/real-helios/namespace-quotas');
+const { LatencyRecorder, parseTargets } = require('./lib/latency-recorder');
+const { subscriptionRooms, eventRooms, listSubscriptions, matchingRooms, summarizeCreated } = require('./lib/socket-subscriptions');
+const { registerSocketCommands, splitSocketArgs } = require('./lib/socket-commands');
+const UniverseCommands = require('./lib/universe-commands');
+const { parseDuration } = require('./lib/duration');
 
 // Configuration
 const PORT = process.env.PORT || 8080;
 const NODE_ENV = process.env.NODE_ENV || 'production';
 const CORS_ORIGIN = process.env.CORS_ORIGIN || '*';
+const HELIOS_BACKEND = process.env.HELIOS_BACKEND || 'js';
+const HELIOS_WORK_DIR = process.env.HELIOS_WORK_DIR || path.join(__dirname, 'workspace');
+const LOG_DIR = process.env.LOG_DIR || '.';
+const HELIOS_CLI_CONCURRENCY = parseInt(process.env.HELIOS_CLI_CONCURRENCY || '4', 10);
+const HELIOS_CLI_TIMEOUT = parseInt(process.env.HELIOS_CLI_TIMEOUT || '30000', 10);
+const BODY_LIMIT = '10mb'; // Applies to JSON bodies and raw file uploads alike
+const HELIOS_API_KEYS = process.env.HELIOS_API_KEYS || '';
+const HELIOS_API_KEYS_FILE = process.env.HELIOS_API_KEYS_FILE || path.join(__dirname, 'api-keys.json');
+const HELIOS_AUTH_DISABLED = process.env.HELIOS_AUTH_DISABLED === 'true';
+const RATE_LIMIT_PER_KEY = parseInt(process.env.RATE_LIMIT_PER_KEY || '1000', 10);
+const AUTH_FAILURE_LIMIT = parseInt(process.env.AUTH_FAILURE_LIMIT || '20', 10);
+const HELIOS_NAMESPACES_FILE = process.env.HELIOS_NAMESPACES_FILE || path.join(__dirname, 'namespaces.json');
+const NAMESPACE_MAX_UNIVERSES = parseInt(process.env.NAMESPACE_MAX_UNIVERSES || '1000', 10);
+const NAMESPACE_MAX_SNAPSHOTS = parseInt(process.env.NAMESPACE_MAX_SNAPSHOTS || '10000', 10);
+const NAMESPACE_MAX_DISK_MB = parseInt(process.env.NAMESPACE_MAX_DISK_MB || '1024', 10);
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY || '4', 10);
+const MAX_RUNNING_JOBS = parseInt(process.env.MAX_RUNNING_JOBS || '2', 10);
+const SOCKET_COMMAND_RATE_LIMIT = parseInt(process.env.SOCKET_COMMAND_RATE_LIMIT || '60', 10);
+const LATENCY_TARGETS = parseTargets(process.env.LATENCY_SLO_TARGETS); // e.g. commit=70us,request=200ms
+const SNAPSHOT_RETENTION = {
+  keepLast: process.env.SNAPSHOT_RETENTION_KEEP_LAST ? parseInt(process.env.SNAPSHOT_RETENTION_KEEP_LAST, 10) : null,
+  maxAge: process.env.SNAPSHOT_RETENTION_MAX_AGE || null, // e.g. 7d
+  keepTagged: process.env.SNAPSHOT_RETENTION_KEEP_TAGGED !== 'false'
+};
+const GC_INTERVAL_MS = process.env.GC_INTERVAL ? parseDuration(process.env.GC_INTERVAL) : 0; // e.g. 1h; unset disables
+const TTL_CHECK_INTERVAL_MS = parseDuration(process.env.TTL_CHECK_INTERVAL || '30s');
+
+// Browsers reject `*` together with credentials; API keys travel in headers, so
+// credentials are only allowed for an explicit origin list
+const corsOptions = CORS_ORIGIN === '*'
+  ? { origin: '*', credentials: false }
+  : { origin: CORS_ORIGIN.split(',').map(origin => origin.trim()), credentials: true };
 
 // Logger setup
 const logger = winston.createLogger({
@@ -36,8 +82,8 @@ const logger = winston.createLogger({
     winston.format.json()
   ),
   transports: [
-    new winston.transports.File({ filename: 'error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'combined.log' })
+    new winston.transports.File({ filename: path.join(LOG_DIR, 'error.log'), level: 'error' }),
+    new winston.transports.File({ filename: path.join(LOG_DIR, 'combined.log') })
   ]
 });
 
@@ -54,9 +100,8 @@ const server = http.createServer(app);
 // Initialize Socket.IO with CORS
 const io = socketIo(server, {
   cors: {
-    origin: CORS_ORIGIN,
-    methods: ["GET", "POST"],
-    credentials: true
+    ...corsOptions,
+    methods: ["GET", "POST"]
   },
   transports: ['websocket', 'polling']
 });
@@ -75,32 +120,35 @@ app.use(helmet({
   }
 }));
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 1000, // Limit each IP to 1000 requests per windowMs
-  message: {
-    error: 'Too many requests from this IP, please try again later.'
-  },
-  standardHeaders: true,
-  legacyHeaders: false
+// API keys with read/write/admin scopes, from HELIOS_API_KEYS and the key file
+const apiKeys = new ApiKeyStore({
+  enabled: !HELIOS_AUTH_DISABLED,
+  keys: HELIOS_API_KEYS,
+  keyFile: HELIOS_API_KEYS_FILE,
+  defaultRateLimit: RATE_LIMIT_PER_KEY
 });
 
-app.use(limiter);
+if (apiKeys.enabled && apiKeys.size === 0) {
+  logger.warn('No API keys configured; every protected route will answer 401', { keyFile: HELIOS_API_KEYS_FILE });
+}
 
-// CORS and body parsing
-app.use(cors({
-  origin: CORS_ORIGIN,
-  credentials: true
-}));
+// CORS and compression
+app.use(cors(corsOptions));
 app.use(compression());
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+// HTTP response latency, recorded for every request
+const requestLatency = new LatencyRecorder({ targets: LATENCY_TARGETS });
 
 // Request logging middleware
 app.use((req, res, next) => {
   const requestId = uuidv4();
+  const startTime = process.hrtime.bigint();
   req.requestId = requestId;
+  res.on('finish', () => {
+    requestLatency.record('request', Number(process.hrtime.bigint() - startTime));
+    metrics.totalRequests = requestLatency.count('request');
+    metrics.averageResponseTime = requestLatency.mean('request') / 1e6; // true running mean, ms
+  });
   logger.info('Request received', {
     requestId,
     method: req.method,
@@ -111,44 +159,78 @@ app.use((req, res, next) => {
   next();
 });
 
-// Initialize Real Helios Engine with packaged CLI
+// Invalid keys count per IP on REST and socket handshakes alike; the per-key
+// limiter below only sees requests that got past authentication
+const authFailures = new AuthFailureLimiter({ limit: AUTH_FAILURE_LIMIT, windowMs: 15 * 60 * 1000 });
+
+// Resolve the caller's API key before anything reads the body
+app.use(authenticate(apiKeys, authFailures));
+
+// Every request acts in one namespace: the key's own, or X-Helios-Namespace for admin keys
+app.use(selectNamespace());
+
+// Rate limiting: one bucket per API key, per IP for unauthenticated callers
+const limiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  limit: (req) => (req.apiKey ? req.apiKey.rateLimit : RATE_LIMIT_PER_KEY),
+  keyGenerator: (req) => (req.apiKey && !req.apiKey.anonymous ? `key:${req.apiKey.id}` : `ip:${req.ip}`),
+  handler: (req, res, next, options) => {
+    res.status(options.statusCode).json({
+      success: false,
+      error: req.apiKey && !req.apiKey.anonymous
+        ? `Rate limit exceeded for API key ${req.apiKey.id}, please try again later.`
+        : 'Too many requests from this IP, please try again later.',
+      requestId: req.requestId
+    });
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+app.use(limiter);
+
+// Body parsing
+// File uploads carry raw bytes, so keep the JSON/form parsers away from them
+const isFileUpload = (req) => req.method === 'PUT' && /^\/api\/universes\/[^/]+\/files\//.test(req.path);
+const jsonParser = express.json({ limit: BODY_LIMIT });
+const urlencodedParser = express.urlencoded({ extended: true, limit: BODY_LIMIT });
+app.use((req, res, next) => (isFileUpload(req) ? next() : jsonParser(req, res, next)));
+app.use((req, res, next) => (isFileUpload(req) ? next() : urlencodedParser(req, res, next)));
+
+// Initialize Real Helios Engine with the configured backend (packaged CLI or in-process JS store)
 const heliosEngine = new RealHeliosEngine({
+  backend: HELIOS_BACKEND,
+  workDir: HELIOS_WORK_DIR,
   heliosCliPath: path.join(__dirname, 'bin/helios-cli'),
+  cliConcurrency: HELIOS_CLI_CONCURRENCY,
+  cliTimeout: HELIOS_CLI_TIMEOUT,
   maxUniverses: 10000,
+  quotas: new NamespaceQuotas({
+    defaults: {
+      maxUniverses: NAMESPACE_MAX_UNIVERSES,
+      maxSnapshots: NAMESPACE_MAX_SNAPSHOTS,
+      maxDiskBytes: NAMESPACE_MAX_DISK_MB * 1024 * 1024
+    },
+    configFile: HELIOS_NAMESPACES_FILE
+  }),
+  latencyTargets: LATENCY_TARGETS,
+  retention: SNAPSHOT_RETENTION,
+  gcIntervalMs: GC_INTERVAL_MS,
+  ttlCheckIntervalMs: TTL_CHECK_INTERVAL_MS,
   performanceTracking: true,
   realTimeMetrics: true
 });
 
 const performanceAnalytics = new RealPerformanceAnalytics(heliosEngine);
 
-// Simple universe management using real Helios engine
-const universeManager = {
-  async getStatistics() {
-    return await heliosEngine.getPerformanceAnalytics();
-  },
-  async createUniverses(count, config) {
-    const results = [];
-    for (let i = 0; i < count; i++) {
-      const result = await heliosEngine.createParallelUniverse({
-        ...config,
-        universeIndex: i
-      });
-      results.push(result);
-    }
-    return results;
-  },
-  async getUniverse(id) {
-    const snapshots = heliosEngine.getAllSnapshots();
-    return snapshots.find(s => s.id === id || s.universeId === id);
-  },
-  async performOperation(id, operation, params) {
-    return await heliosEngine.createDemoState({
-      operation,
-      params,
-      targetUniverse: id
-    });
-  }
-};
+// Universe management on top of the real Helios engine
+const universeManager = new UniverseManager(heliosEngine);
+
+// Background jobs for bulk work that should not hold an HTTP request open
+const jobManager = new JobManager({
+  concurrency: JOB_CONCURRENCY,
+  maxRunningJobs: MAX_RUNNING_JOBS
+});
 
 // Global metrics
 const metrics = {
@@ -156,12 +238,39 @@ const metrics = {
   activeConnections: 0,
   universesCreated: 0,
   totalOperations: 0,
-  averageResponseTime: 0,
+  averageResponseTime: 0, // ms, over all requests
   systemHealth: 'optimal'
 };
 
+// Job events reach every socket in the namespace; universe events only reach subscribers
+const namespaceRoom = (namespace) => `namespace:${namespace}`;
+
+// Admin keys see server-wide metrics; every other caller only its own namespace
+const GLOBAL_METRICS_ROOM = 'metrics-subscribers';
+const metricsRoom = (namespace) => `metrics-subscribers:${namespace}`;
+
+/**
+ * The metrics a non-admin caller may see: universe, snapshot, quota and job
+ * figures of its own namespace
+ */
+const getNamespaceMetrics = async (namespace) => ({
+  namespace,
+  universes: await universeManager.getStatistics(namespace),
+  jobs: jobManager.getMetrics(namespace),
+  timestamp: new Date().toISOString()
+});
+
+// Universe mutations shared by the REST routes and the socket command channel
+const universeCommands = new UniverseCommands({ universeManager, metrics, io });
+
+// REST routes are declared through the registry, which also feeds the OpenAPI document
+const api = new RouteRegistry(app);
+
 // Health check endpoint
-app.get('/health', (req, res) => {
+api.get('/health', {
+  summary: 'Health check and engine status',
+  tags: ['System']
+}, (req, res) => {
   const healthCheck = {
     status: 'healthy',
     timestamp: new Date().toISOString(),
@@ -177,16 +286,22 @@ app.get('/health', (req, res) => {
 
 // API Routes
 
-// Get system metrics and statistics
-app.get('/api/metrics', async (req, res) => {
+// Get system metrics and statistics; server-wide figures need an admin key
+api.get('/api/metrics', {
+  summary: 'Namespace metrics, or system metrics and statistics for admin keys',
+  tags: ['Metrics'],
+  scope: 'read'
+}, async (req, res) => {
   try {
     const startTime = process.hrtime();
 
-    const systemMetrics = {
+    const systemMetrics = ApiKeyStore.hasScope(req.apiKey, 'admin') ? {
       ...metrics,
+      requestLatency: requestLatency.getStats('request'),
       helios: await heliosEngine.getMetrics(),
+      jobs: jobManager.getMetrics(),
       performance: await performanceAnalytics.getLatestMetrics(),
-      universes: await universeManager.getStatistics(),
+      universes: await universeManager.getStatistics(req.namespace),
       system: {
         memory: process.memoryUsage(),
         uptime: process.uptime(),
@@ -195,15 +310,11 @@ app.get('/api/metrics', async (req, res) => {
         nodeVersion: process.version
       },
       timestamp: new Date().toISOString()
-    };
+    } : await getNamespaceMetrics(req.namespace);
 
     const [seconds, nanoseconds] = process.hrtime(startTime);
     const responseTime = seconds * 1000 + nanoseconds / 1000000;
 
-    // Update average response time
-    metrics.averageResponseTime = (metrics.averageResponseTime + responseTime) / 2;
-    metrics.totalRequests++;
-
     res.json({
       success: true,
       data: systemMetrics,
@@ -221,35 +332,67 @@ app.get('/api/metrics', async (req, res) => {
   }
 });
 
-// Create parallel universes with performance tracking
-app.post('/api/universes/create', async (req, res) => {
+// Prometheus scrape endpoint; the figures cover every namespace
+api.get('/metrics', {
+  summary: 'Metrics in Prometheus text exposition format',
+  tags: ['Metrics'],
+  scope: 'admin',
+  produces: prometheus.CONTENT_TYPE
+}, (req, res) => {
   try {
-    const { count = 1, config = {} } = req.body;
-    const startTime = process.hrtime();
-
-    if (count > 1000) {
-      return res.status(400).json({
-        success: false,
-        error: 'Maximum 1000 universes per request',
-        requestId: req.requestId
-      });
-    }
-
-    const universes = await universeManager.createUniverses(count, config);
+    const jobMetrics = jobManager.getMetrics();
+    const families = performanceAnalytics.getPrometheusMetrics().concat([
+      {
+        name: 'helios_socket_connections',
+        help: 'Connected Socket.IO clients.',
+        type: 'gauge',
+        samples: [{ value: metrics.activeConnections }]
+      },
+      {
+        name: 'helios_jobs',
+        help: 'Background jobs by status.',
+        type: 'gauge',
+        samples: ['queued', 'running', 'cancelling', 'completed', 'failed', 'cancelled']
+          .map(status => ({ labels: { status }, value: jobMetrics[status] }))
+      }
+    ]);
+
+    res.set('Content-Type', prometheus.CONTENT_TYPE);
+    res.send(prometheus.renderMetrics(families));
 
-    const [seconds, nanoseconds] = process.hrtime(startTime);
-    const executionTime = seconds * 1000 + nanoseconds / 1000000;
+  } catch (error) {
+    logger.error('Error rendering Prometheus metrics', { error: error.message, requestId: req.requestId });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to render metrics',
+      requestId: req.requestId
+    });
+  }
+});
 
-    metrics.universesCreated += count;
-    metrics.totalOperations++;
+// Quota limits and usage of the caller's namespace
+api.get('/api/namespace', {
+  summary: 'Quota limits and usage of the current namespace',
+  tags: ['Metrics'],
+  scope: 'read'
+}, (req, res) => {
+  res.json({
+    success: true,
+    data: heliosEngine.getNamespace(req.namespace),
+    requestId: req.requestId
+  });
+});
 
-    // Emit real-time update to connected clients
-    io.emit('universes:created', {
-      count,
-      executionTime,
-      universes: universes.map(u => u.getMetadata()),
-      timestamp: new Date().toISOString()
-    });
+// Create parallel universes with performance tracking
+api.post('/api/universes/create', {
+  summary: 'Create parallel universes',
+  tags: ['Universes'],
+  scope: 'write',
+  body: schemas.createUniverses
+}, async (req, res) => {
+  try {
+    const { count } = req.body;
+    const { universes, executionTime } = await universeCommands.create(req.namespace, req.body);
 
     res.json({
       success: true,
@@ -265,6 +408,14 @@ app.post('/api/universes/create', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        details: error.details,
+        requestId: req.requestId
+      });
+    }
     logger.error('Error creating universes', { error: error.message, requestId: req.requestId });
     res.status(500).json({
       success: false,
@@ -274,11 +425,123 @@ app.post('/api/universes/create', async (req, res) => {
   }
 });
 
+// Start a background job (bulk universe creation) and return its id right away
+api.post('/api/jobs', {
+  summary: 'Start an asynchronous bulk universe creation job',
+  tags: ['Jobs'],
+  scope: 'write',
+  body: schemas.createJob,
+  responses: { 202: 'Job accepted', 403: 'Namespace quota exceeded', 429: 'Engine at capacity' }
+}, (req, res) => {
+  try {
+    const { type, params, concurrency } = req.body;
+    const namespace = req.namespace;
+
+    // Fail fast when the whole batch cannot fit; items still re-check as they run
+    heliosEngine.assertCanCreate(namespace, params.count);
+
+    const job = jobManager.submit({
+      type,
+      namespace,
+      total: params.count,
+      concurrency,
+      params,
+      runItem: async (index) => {
+        const universe = await universeManager.createUniverse(params.config, index, { namespace });
+        metrics.universesCreated++;
+        return { universeId: universe.id, snapshotId: universe.snapshots[0] };
+      }
+    });
+
+    metrics.totalOperations++;
+    logger.info('Job submitted', { jobId: job.id, type, total: job.total, namespace, requestId: req.requestId });
+
+    res.status(202).location(`/api/jobs/${job.id}`).json({
+      success: true,
+      data: job.serialize(),
+      requestId: req.requestId
+    });
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        details: error.details,
+        requestId: req.requestId
+      });
+    }
+    logger.error('Error submitting job', { error: error.message, requestId: req.requestId });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to submit job',
+      requestId: req.requestId
+    });
+  }
+});
+
+// Job status, progress and (partial) results
+api.get('/api/jobs/:jobId', {
+  summary: 'Get job status and results',
+  tags: ['Jobs'],
+  scope: 'read',
+  params: schemas.jobParams,
+  responses: { 200: 'Job status', 404: 'Job not found' }
+}, (req, res) => {
+  const job = jobManager.getJob(req.params.jobId, req.namespace);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      requestId: req.requestId
+    });
+  }
+
+  res.json({
+    success: true,
+    data: job.serialize(),
+    requestId: req.requestId
+  });
+});
+
+// Cancel a job; universes that were already created are kept
+api.delete('/api/jobs/:jobId', {
+  summary: 'Cancel a job, keeping partial results',
+  tags: ['Jobs'],
+  scope: 'write',
+  params: schemas.jobParams,
+  responses: { 200: 'Job cancelled (or already finished)', 404: 'Job not found' }
+}, (req, res) => {
+  if (!jobManager.getJob(req.params.jobId, req.namespace)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      requestId: req.requestId
+    });
+  }
+
+  const job = jobManager.cancel(req.params.jobId);
+  logger.info('Job cancellation requested', { jobId: job.id, status: job.status, requestId: req.requestId });
+
+  res.json({
+    success: true,
+    data: job.serialize(),
+    requestId: req.requestId
+  });
+});
+
 // Get specific universe data
-app.get('/api/universes/:id', async (req, res) => {
+api.get('/api/universes/:id', {
+  summary: 'Get a universe by universe id or snapshot id',
+  tags: ['Universes'],
+  scope: 'read',
+  params: schemas.universeParams,
+  responses: { 200: 'Universe details', 404: 'Universe not found' }
+}, async (req, res) => {
   try {
     const { id } = req.params;
-    const universe = await universeManager.getUniverse(id);
+    const universe = universeManager.getUniverse(id, req.namespace);
 
     if (!universe) {
       return res.status(404).json({
@@ -304,27 +567,25 @@ app.get('/api/universes/:id', async (req, res) => {
   }
 });
 
-// Perform universe operations (snapshots, branches, etc.)
-app.post('/api/universes/:id/operations', async (req, res) => {
+// Three-way merge of another universe's snapshot into this universe's working tree
+api.post('/api/universes/:id/merge', {
+  summary: 'Merge a snapshot of another universe into this one',
+  description: 'Merges file by file against the nearest common ancestor and commits the result. Conflicts leave the working tree untouched and answer 409 with `details.conflicts` (base/ours/theirs content per file).',
+  tags: ['Universes'],
+  scope: 'write',
+  params: schemas.universeParams,
+  body: schemas.mergeUniverse,
+  responses: { 200: 'Merge commit (or upToDate)', 404: 'Universe not found', 409: 'Conflicts, or no shared history' }
+}, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { operation, params = {} } = req.body;
-    const startTime = process.hrtime();
-
-    const result = await universeManager.performOperation(id, operation, params);
-
-    const [seconds, nanoseconds] = process.hrtime(startTime);
-    const executionTime = seconds * 1000 + nanoseconds / 1000000;
-
-    metrics.totalOperations++;
+    const author = resolveAuthor(req.apiKey, req.get('X-Helios-Author'));
+    const { result, executionTime } = await universeCommands.merge(req.namespace, req.params.id, req.body, { author });
 
-    // Emit real-time update
-    io.emit('universe:operation', {
-      universeId: id,
-      operation,
-      result: result.metadata,
-      executionTime,
-      timestamp: new Date().toISOString()
+    logger.info('Universe merged', {
+      universeId: result.universeId,
+      sourceUniverseId: result.sourceUniverseId,
+      snapshotId: result.snapshotId,
+      requestId: req.requestId
     });
 
     res.json({
@@ -337,143 +598,1139 @@ app.post('/api/universes/:id/operations', async (req, res) => {
     });
 
   } catch (error) {
-    logger.error('Error performing operation', { error: error.message, requestId: req.requestId });
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        details: error.details,
+        requestId: req.requestId
+      });
+    }
+    logger.error('Error merging universes', { error: error.message, requestId: req.requestId });
     res.status(500).json({
       success: false,
-      error: 'Operation failed',
+      error: 'Merge failed',
       requestId: req.requestId
     });
   }
 });
 
-// Performance benchmarks endpoint
-app.get('/api/benchmarks', async (req, res) => {
+// Pause, resume or archive a universe, or change its idle TTL
+api.patch('/api/universes/:id', {
+  summary: 'Change the lifecycle status or TTL of a universe',
+  tags: ['Universes'],
+  scope: 'write',
+  params: schemas.universeParams,
+  body: schemas.updateUniverse,
+  responses: { 200: 'Updated universe', 404: 'Universe not found', 409: 'Transition not allowed' }
+}, (req, res) => {
   try {
-    const benchmarks = await performanceAnalytics.runBenchmarks();
+    const universe = universeCommands.update(req.namespace, req.params.id, req.body);
 
     res.json({
       success: true,
-      data: benchmarks,
+      data: universe.serialize(),
       requestId: req.requestId
     });
 
   } catch (error) {
-    logger.error('Error running benchmarks', { error: error.message, requestId: req.requestId });
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        details: error.details,
+        requestId: req.requestId
+      });
+    }
+    logger.error('Error updating universe', { error: error.message, requestId: req.requestId });
     res.status(500).json({
       success: false,
-      error: 'Benchmark failed',
+      error: 'Failed to update universe',
       requestId: req.requestId
     });
   }
 });
 
-// WebSocket connection handling
-io.on('connection', (socket) => {
-  metrics.activeConnections++;
-  logger.info('Client connected', { socketId: socket.id });
+// Delete a universe in any status; `archive=true` keeps its workspace on disk
+api.delete('/api/universes/:id', {
+  summary: 'Delete a universe',
+  tags: ['Universes'],
+  scope: 'admin',
+  params: schemas.universeParams,
+  query: schemas.deleteUniverseQuery,
+  responses: { 200: 'Universe deleted', 404: 'Universe not found' }
+}, async (req, res) => {
+  try {
+    const result = await universeCommands.delete(req.namespace, req.params.id, { archive: req.query.archive });
 
-  socket.emit('welcome', {
-    message: 'Connected to Helios Demo Backend',
-    serverVersion: require('./package.json').version,
-    capabilities: [
-      'real-time-metrics',
-      'universe-creation',
-      'performance-analytics',
-      'live-operations'
-    ]
-  });
+    logger.info('Universe deleted', { universeId: result.universeId, archived: Boolean(result.archivePath), requestId: req.requestId });
 
-  // Send initial metrics
-  socket.emit('metrics:update', metrics);
+    res.json({
+      success: true,
+      data: result,
+      requestId: req.requestId
+    });
 
-  // Handle client requests
-  socket.on('metrics:subscribe', () => {
-    socket.join('metrics-subscribers');
-  });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        details: error.details,
+        requestId: req.requestId
+      });
+    }
+    logger.error('Error deleting universe', { error: error.message, requestId: req.requestId });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete universe',
+      requestId: req.requestId
+    });
+  }
+});
 
-  socket.on('universes:subscribe', () => {
-    socket.join('universe-subscribers');
-  });
+// Fork a new universe from a snapshot of an existing one
+api.post('/api/universes/:id/fork', {
+  summary: 'Fork a new universe from a snapshot',
+  tags: ['Universes'],
+  scope: 'write',
+  params: schemas.universeParams,
+  body: schemas.forkUniverse,
+  responses: { 201: 'Forked universe', 404: 'Universe not found' }
+}, async (req, res) => {
+  try {
+    const { universe, executionTime } = await universeCommands.fork(req.namespace, req.params.id, req.body);
 
-  socket.on('disconnect', () => {
-    metrics.activeConnections--;
-    logger.info('Client disconnected', { socketId: socket.id });
-  });
+    res.status(201).json({
+      success: true,
+      data: {
+        universe: universe.serialize(),
+        performance: {
+          executionTime: `${executionTime.toFixed(2)}ms`
+        }
+      },
+      requestId: req.requestId
+    });
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        details: error.details,
+        requestId: req.requestId
+      });
+    }
+    logger.error('Error forking universe', { error: error.message, requestId: req.requestId });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fork universe',
+      requestId: req.requestId
+    });
+  }
 });
 
-// Real-time metrics broadcasting
-setInterval(() => {
-  io.to('metrics-subscribers').emit('metrics:update', {
-    ...metrics,
-    timestamp: new Date().toISOString()
-  });
-}, 1000);
+// Get the ancestor/descendant tree of a universe
+api.get('/api/universes/:id/lineage', {
+  summary: 'Ancestor chain and descendant tree',
+  tags: ['Universes'],
+  scope: 'read',
+  params: schemas.universeParams,
+  responses: { 200: 'Lineage tree', 404: 'Universe not found' }
+}, async (req, res) => {
+  try {
+    const { id } = req.params;
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  logger.error('Unhandled error', {
-    error: err.message,
-    stack: err.stack,
-    requestId: req.requestId
-  });
+    if (!universeManager.getUniverse(id, req.namespace)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Universe not found',
+        requestId: req.requestId
+      });
+    }
 
-  res.status(500).json({
-    success: false,
-    error: NODE_ENV === 'production' ? 'Internal server error' : err.message,
-    requestId: req.requestId
-  });
-});
+    res.json({
+      success: true,
+      data: universeManager.getLineage(id),
+      requestId: req.requestId
+    });
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    error: 'Endpoint not found',
-    availableEndpoints: [
-      'GET /health',
-      'GET /api/metrics',
-      'POST /api/universes/create',
-      'GET /api/universes/:id',
-      'POST /api/universes/:id/operations',
-      'GET /api/benchmarks'
-    ],
-    requestId: req.requestId
-  });
+  } catch (error) {
+    logger.error('Error getting lineage', { error: error.message, requestId: req.requestId });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve lineage',
+      requestId: req.requestId
+    });
+  }
 });
 
-// Graceful shutdown
-const gracefulShutdown = (signal) => {
-  logger.info(`Received ${signal}, shutting down gracefully`);
-
-  server.close(() => {
-    logger.info('HTTP server closed');
-    heliosEngine.shutdown();
-    process.exit(0);
-  });
+// Replace a universe's snapshot retention overrides
+api.put('/api/universes/:id/retention', {
+  summary: 'Set the snapshot retention policy of a universe',
+  tags: ['Snapshots'],
+  scope: 'write',
+  params: schemas.universeParams,
+  body: schemas.retentionPolicy,
+  responses: { 200: 'Overrides and the effective policy', 404: 'Universe not found' }
+}, async (req, res) => {
+  try {
+    const universe = universeCommands.requireUniverse(req.params.id, req.namespace);
+    universe.retention = Object.keys(req.body).length > 0 ? req.body : null;
+    heliosEngine.persistRegistry();
 
-  // Force close server after 10 seconds
-  setTimeout(() => {
+    res.json({
+      success: true,
+      data: {
+        universeId: universe.id,
+        retention: universe.retention,
+        effective: heliosEngine.gc.policyFor(universe)
+      },
+      requestId: req.requestId
+    });
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        details: error.details,
+        requestId: req.requestId
+      });
+    }
+    logger.error('Error setting retention policy', { error: error.message, requestId: req.requestId });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to set retention policy',
+      requestId: req.requestId
+    });
+  }
+});
+
+// Structured file-level diff between two snapshots of a universe
+api.get('/api/universes/:id/diff', {
+  summary: 'Structured file-level diff between two snapshots',
+  tags: ['Snapshots'],
+  scope: 'read',
+  params: schemas.universeParams,
+  query: schemas.diffQuery,
+  responses: { 200: 'Added, modified and deleted files', 400: 'No earlier snapshot to diff against', 404: 'Universe or snapshot not found' }
+}, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { include, exclude, unified, context } = req.query;
+    const startTime = process.hrtime();
+
+    const universe = universeCommands.requireUniverse(id, req.namespace);
+    const requireSnapshot = (snapshotId) => {
+      if (!universe.snapshots.includes(snapshotId)) {
+        throw new ApiError(404, `Snapshot ${snapshotId} not found in universe ${universe.id}`);
+      }
+      return snapshotId;
+    };
+
+    // Default to the latest snapshot and the one before it
+    const toSnapshot = requireSnapshot(req.query.to || universe.snapshots[universe.snapshots.length - 1]);
+    const fromSnapshot = req.query.from || universe.snapshots[universe.snapshots.indexOf(toSnapshot) - 1];
+    if (!fromSnapshot) {
+      throw new ApiError(400, 'No earlier snapshot to diff against; pass `from` explicitly');
+    }
+    requireSnapshot(fromSnapshot);
+
+    const result = await universeManager.performOperation(id, 'diff', {
+      fromSnapshot,
+      toSnapshot,
+      include,
+      exclude,
+      unified,
+      context
+    });
+
+    const [seconds, nanoseconds] = process.hrtime(startTime);
+    const executionTime = seconds * 1000 + nanoseconds / 1000000;
+
+    metrics.totalOperations++;
+
+    io.to(eventRooms(req.namespace, 'diff', [result.universeId])).emit('universe:operation', {
+      universeId: result.universeId,
+      operation: 'diff',
+      snapshotId: toSnapshot,
+      executionTime,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      data: {
+        universeId: result.universeId,
+        fromSnapshot,
+        toSnapshot,
+        summary: result.summary,
+        added: result.added,
+        modified: result.modified,
+        deleted: result.deleted
+      },
+      performance: {
+        executionTime: `${executionTime.toFixed(2)}ms`
+      },
+      requestId: req.requestId
+    });
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        details: error.details,
+        requestId: req.requestId
+      });
+    }
+    logger.error('Error calculating diff', { error: error.message, requestId: req.requestId });
+    res.status(500).json({
+      success: false,
+      error: 'Diff failed',
+      requestId: req.requestId
+    });
+  }
+});
+
+// Pairwise divergence between several universes
+api.post('/api/compare', {
+  summary: 'Compare snapshots of several universes',
+  description: 'Each universe is taken at its latest snapshot unless `snapshotId` is given. `matrix.filesDiffering` and `matrix.bytesChanged` are indexed like `universes`; a differing file counts the size of its larger version. `files` lists every path that is not identical across the set, grouping universes by the version they hold.',
+  tags: ['Universes'],
+  scope: 'read',
+  body: schemas.compareUniverses,
+  responses: { 200: 'Divergence matrix and differing files', 400: 'Snapshot not owned by its universe, or a universe listed twice', 404: 'Universe not found' }
+}, async (req, res) => {
+  try {
+    const { result, executionTime } = await universeCommands.compare(req.namespace, req.body);
+
+    res.json({
+      success: true,
+      data: result,
+      performance: {
+        executionTime: `${executionTime.toFixed(2)}ms`
+      },
+      requestId: req.requestId
+    });
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        details: error.details,
+        requestId: req.requestId
+      });
+    }
+    logger.error('Error comparing universes', { error: error.message, requestId: req.requestId });
+    res.status(500).json({
+      success: false,
+      error: 'Comparison failed',
+      requestId: req.requestId
+    });
+  }
+});
+
+// Snapshot history with commit metadata, newest first
+api.get('/api/universes/:id/snapshots', {
+  summary: 'List snapshots with their commit metadata',
+  description: 'Filter by `tag`, `since`/`until` (ISO 8601) or message text (`q`); pass `nextCursor` back as `cursor` for the next page.',
+  tags: ['Snapshots'],
+  scope: 'read',
+  params: schemas.universeParams,
+  query: schemas.snapshotHistoryQuery,
+  responses: { 200: 'A page of snapshots', 400: 'Invalid cursor', 404: 'Universe not found' }
+}, (req, res) => {
+  try {
+    const universe = universeCommands.requireUniverse(req.params.id, req.namespace);
+    const { cursor, limit, tag, since, until, q } = req.query;
+    const page = universe.listSnapshots({
+      cursor: cursor || null,
+      limit,
+      tag: tag || null,
+      since: since ? since.getTime() : null,
+      until: until ? until.getTime() : null,
+      text: q || null
+    });
+
+    res.json({
+      success: true,
+      data: { universeId: universe.id, ...page },
+      requestId: req.requestId
+    });
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        details: error.details,
+        requestId: req.requestId
+      });
+    }
+    logger.error('Error listing snapshots', { error: error.message, requestId: req.requestId });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list snapshots',
+      requestId: req.requestId
+    });
+  }
+});
+
+// Tag a snapshot; tagged snapshots survive retention by default
+api.post('/api/universes/:id/snapshots/:snapshotId/tags', {
+  summary: 'Add tags to a snapshot',
+  tags: ['Snapshots'],
+  scope: 'write',
+  params: schemas.snapshotParams,
+  body: schemas.addSnapshotTags,
+  responses: { 200: 'Snapshot with its tags', 400: 'Snapshot not in this universe or too many tags', 404: 'Universe not found' }
+}, (req, res) => {
+  try {
+    const universe = universeCommands.requireUniverse(req.params.id, req.namespace);
+    const snapshot = universe.updateSnapshotTags(req.params.snapshotId, { add: req.body.tags });
+
+    res.json({
+      success: true,
+      data: { universeId: universe.id, snapshot },
+      requestId: req.requestId
+    });
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        details: error.details,
+        requestId: req.requestId
+      });
+    }
+    logger.error('Error tagging snapshot', { error: error.message, requestId: req.requestId });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to tag snapshot',
+      requestId: req.requestId
+    });
+  }
+});
+
+api.delete('/api/universes/:id/snapshots/:snapshotId/tags/:tag', {
+  summary: 'Remove a tag from a snapshot',
+  tags: ['Snapshots'],
+  scope: 'write',
+  params: schemas.snapshotTagParams,
+  responses: { 200: 'Snapshot with its remaining tags', 404: 'Universe or tag not found' }
+}, (req, res) => {
+  try {
+    const universe = universeCommands.requireUniverse(req.params.id, req.namespace);
+    const { snapshotId, tag } = req.params;
+    universe.assertOwnSnapshot(snapshotId);
+    if (!universe.describeSnapshot(snapshotId).tags.includes(tag)) {
+      throw new ApiError(404, `Snapshot ${snapshotId} has no tag ${tag}`);
+    }
+    const snapshot = universe.updateSnapshotTags(snapshotId, { remove: [tag] });
+
+    res.json({
+      success: true,
+      data: { universeId: universe.id, snapshot },
+      requestId: req.requestId
+    });
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        details: error.details,
+        requestId: req.requestId
+      });
+    }
+    logger.error('Error removing snapshot tag', { error: error.message, requestId: req.requestId });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove tag',
+      requestId: req.requestId
+    });
+  }
+});
+
+// Download a snapshot as a streamed tar.gz archive
+api.get('/api/universes/:id/snapshots/:snapshotId/archive', {
+  summary: 'Download a snapshot as a tar.gz archive',
+  tags: ['Snapshots'],
+  scope: 'read',
+  params: schemas.snapshotParams,
+  query: schemas.archiveQuery,
+  produces: 'application/gzip',
+  responses: { 200: 'Streamed tar.gz archive', 404: 'Universe or snapshot not found' }
+}, async (req, res) => {
+  try {
+    const { id, snapshotId } = req.params;
+    const { include, exclude } = req.query;
+    const startTime = process.hrtime();
+
+    const universe = universeManager.getUniverse(id, req.namespace);
+    if (!universe || !universe.snapshots.includes(snapshotId)) {
+      return res.status(404).json({
+        success: false,
+        error: universe ? 'Snapshot not found' : 'Universe not found',
+        requestId: req.requestId
+      });
+    }
+
+    const { stream, cleanup } = await universeManager.createSnapshotArchive(id, snapshotId, { include, exclude });
+
+    const [seconds, nanoseconds] = process.hrtime(startTime);
+    const executionTime = seconds * 1000 + nanoseconds / 1000000;
+
+    metrics.totalOperations++;
+
+    io.to(eventRooms(req.namespace, 'materialize', [universe.id])).emit('universe:operation', {
+      universeId: universe.id,
+      operation: 'materialize',
+      snapshotId,
+      executionTime,
+      timestamp: new Date().toISOString()
+    });
+
+    // The temp directory goes away once the response is done, whether it completed or was aborted
+    res.on('close', () => {
+      cleanup().catch(error => logger.error('Error removing archive temp dir', { error: error.message, requestId: req.requestId }));
+    });
+    stream.on('error', (error) => {
+      logger.error('Error streaming archive', { error: error.message, requestId: req.requestId });
+      res.destroy(error);
+    });
+
+    res.set({
+      'Content-Type': 'application/gzip',
+      'Content-Disposition': `attachment; filename="${universe.id}-${snapshotId.slice(0, 12)}.tar.gz"`
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        details: error.details,
+        requestId: req.requestId
+      });
+    }
+    logger.error('Error creating archive', { error: error.message, requestId: req.requestId });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create archive',
+      requestId: req.requestId
+    });
+  }
+});
+
+// Working-tree file access for a universe
+const FILES_ROUTE = '/api/universes/:id/files';
+
+// Read a file, or list a directory (the bare route lists the workspace root)
+api.get(`${FILES_ROUTE}/*path`, {
+  expressPath: [FILES_ROUTE, `${FILES_ROUTE}/*`],
+  summary: 'Read a working-tree file or list a directory',
+  tags: ['Files'],
+  scope: 'read',
+  params: schemas.universeParams,
+  responses: { 200: 'File content, or a JSON directory listing', 404: 'File not found' }
+}, async (req, res) => {
+  try {
+    const filePath = req.params[0] || '';
+    const universe = universeManager.getUniverse(req.params.id, req.namespace);
+
+    if (!universe) {
+      return res.status(404).json({
+        success: false,
+        error: 'Universe not found',
+        requestId: req.requestId
+      });
+    }
+
+    const stat = await universe.statFile(filePath);
+    if (!stat) {
+      throw new ApiError(404, `File ${filePath} not found`);
+    }
+
+    if (stat.isDirectory()) {
+      return res.json({
+        success: true,
+        data: {
+          universeId: universe.id,
+          path: filePath,
+          entries: await universe.listDirectory(filePath)
+        },
+        requestId: req.requestId
+      });
+    }
+
+    const content = await universe.readFile(filePath);
+    res.type(path.extname(filePath) || 'application/octet-stream');
+    res.send(content);
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        details: error.details,
+        requestId: req.requestId
+      });
+    }
+    logger.error('Error reading universe file', { error: error.message, requestId: req.requestId });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read file',
+      requestId: req.requestId
+    });
+  }
+});
+
+// Create or replace a file with the raw request body
+api.put(`${FILES_ROUTE}/*path`, {
+  expressPath: `${FILES_ROUTE}/*`,
+  summary: 'Create or replace a working-tree file',
+  tags: ['Files'],
+  scope: 'write',
+  params: schemas.universeParams,
+  rawBody: true,
+  middleware: [express.raw({ type: () => true, limit: BODY_LIMIT })],
+  responses: { 200: 'File replaced', 201: 'File created', 413: 'File larger than the body limit' }
+}, async (req, res) => {
+  try {
+    const universe = universeManager.getUniverse(req.params.id, req.namespace);
+
+    if (!universe) {
+      return res.status(404).json({
+        success: false,
+        error: 'Universe not found',
+        requestId: req.requestId
+      });
+    }
+
+    const content = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const result = await universe.writeFile(req.params[0], content);
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      data: { universeId: universe.id, ...result },
+      requestId: req.requestId
+    });
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        details: error.details,
+        requestId: req.requestId
+      });
+    }
+    logger.error('Error writing universe file', { error: error.message, requestId: req.requestId });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to write file',
+      requestId: req.requestId
+    });
+  }
+});
+
+// Delete a file or an empty directory
+api.delete(`${FILES_ROUTE}/*path`, {
+  expressPath: `${FILES_ROUTE}/*`,
+  summary: 'Delete a file or empty directory',
+  tags: ['Files'],
+  scope: 'write',
+  params: schemas.universeParams,
+  responses: { 200: 'Deleted', 404: 'File not found', 409: 'Directory not empty' }
+}, async (req, res) => {
+  try {
+    const universe = universeManager.getUniverse(req.params.id, req.namespace);
+
+    if (!universe) {
+      return res.status(404).json({
+        success: false,
+        error: 'Universe not found',
+        requestId: req.requestId
+      });
+    }
+
+    const result = await universe.deleteFile(req.params[0]);
+
+    res.json({
+      success: true,
+      data: { universeId: universe.id, ...result },
+      requestId: req.requestId
+    });
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        details: error.details,
+        requestId: req.requestId
+      });
+    }
+    logger.error('Error deleting universe file', { error: error.message, requestId: req.requestId });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete file',
+      requestId: req.requestId
+    });
+  }
+});
+
+// Perform universe operations (snapshots, branches, etc.)
+api.post('/api/universes/:id/operations', {
+  summary: 'Perform a commit, restore, diff or materialize operation',
+  tags: ['Snapshots'],
+  scope: 'write',
+  params: schemas.universeParams,
+  body: schemas.operation,
+  responses: { 200: 'Operation result', 404: 'Universe not found' }
+}, async (req, res) => {
+  try {
+    const { operation, params } = req.body;
+    const author = resolveAuthor(req.apiKey, req.get('X-Helios-Author'));
+    const { result, executionTime } = await universeCommands.operate(req.namespace, req.params.id, operation, params, { author });
+
+    res.json({
+      success: true,
+      data: result,
+      performance: {
+        executionTime: `${executionTime.toFixed(2)}ms`
+      },
+      requestId: req.requestId
+    });
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        details: error.details,
+        requestId: req.requestId
+      });
+    }
+    logger.error('Error performing operation', { error: error.message, requestId: req.requestId });
+    res.status(500).json({
+      success: false,
+      error: 'Operation failed',
+      requestId: req.requestId
+    });
+  }
+});
+
+// Run a benchmark workload against a scratch workspace and compare it to the baseline
+api.post('/api/benchmarks', {
+  summary: 'Run a benchmark workload profile',
+  tags: ['Metrics'],
+  scope: 'admin',
+  body: schemas.runBenchmark,
+  responses: { 200: 'Measured percentiles, throughput and baseline comparison', 409: 'A benchmark is already running' }
+}, async (req, res) => {
+  try {
+    const benchmarks = await performanceAnalytics.runBenchmarks(req.body);
+
+    logger.info('Benchmark completed', {
+      benchmarkId: benchmarks.id,
+      profile: benchmarks.profile,
+      status: benchmarks.status,
+      requestId: req.requestId
+    });
+
+    res.json({
+      success: true,
+      data: benchmarks,
+      requestId: req.requestId
+    });
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        details: error.details,
+        requestId: req.requestId
+      });
+    }
+    logger.error('Error running benchmarks', { error: error.message, requestId: req.requestId });
+    res.status(500).json({
+      success: false,
+      error: 'Benchmark failed',
+      requestId: req.requestId
+    });
+  }
+});
+
+// Enforce snapshot retention now, or preview what a pass would remove
+api.post('/api/admin/gc', {
+  summary: 'Run a snapshot garbage collection pass',
+  tags: ['Snapshots'],
+  scope: 'admin',
+  body: schemas.runGc,
+  responses: {
+    200: 'Snapshots removed (or that would be) and bytes reclaimed',
+    409: 'A pass is already running',
+    501: 'The backend cannot delete snapshots'
+  }
+}, async (req, res) => {
+  try {
+    const report = await heliosEngine.gc.run(req.body);
+
+    logger.info('Snapshot GC completed', {
+      dryRun: report.dryRun,
+      snapshotsRemoved: report.snapshotsRemoved,
+      unreferencedRemoved: report.unreferencedRemoved,
+      bytesReclaimed: report.bytesReclaimed,
+      requestId: req.requestId
+    });
+
+    res.json({
+      success: true,
+      data: report,
+      requestId: req.requestId
+    });
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        details: error.details,
+        requestId: req.requestId
+      });
+    }
+    logger.error('Error running snapshot GC', { error: error.message, requestId: req.requestId });
+    res.status(500).json({
+      success: false,
+      error: 'Snapshot GC failed',
+      requestId: req.requestId
+    });
+  }
+});
+
+// Bucketed latency and memory history from the 1s/1m/1h rollups
+api.get('/api/metrics/history', {
+  summary: 'Time-bucketed metrics history with percentiles',
+  tags: ['Metrics'],
+  scope: 'read',
+  query: schemas.metricsHistoryQuery
+}, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: performanceAnalytics.getHistoricalData({
+        window: req.query.window,
+        bucket: req.query.bucket,
+        series: req.query.series ? req.query.series.split(',') : null
+      }),
+      requestId: req.requestId
+    });
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        details: error.details,
+        requestId: req.requestId
+      });
+    }
+    logger.error('Error reading metrics history', { error: error.message, requestId: req.requestId });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read metrics history',
+      requestId: req.requestId
+    });
+  }
+});
+
+// Stored benchmark results and the current baseline
+api.get('/api/benchmarks', {
+  summary: 'Stored benchmark results and baseline',
+  tags: ['Metrics'],
+  scope: 'read',
+  query: schemas.benchmarkHistoryQuery
+}, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await performanceAnalytics.getBenchmarkHistory(req.query.limit),
+      requestId: req.requestId
+    });
+
+  } catch (error) {
+    logger.error('Error reading benchmark history', { error: error.message, requestId: req.requestId });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read benchmark results',
+      requestId: req.requestId
+    });
+  }
+});
+
+// OpenAPI document generated from the route registry
+api.get('/api/openapi.json', {
+  summary: 'OpenAPI 3 specification for this API',
+  tags: ['System']
+}, (req, res) => {
+  res.json(buildOpenApiDocument(api, {
+    title: 'Helios Demo Backend API',
+    version: require('./package.json').version,
+    description: require('./package.json').description
+  }));
+});
+
+// Self-hosted API docs; assets are same-origin so they satisfy the helmet CSP
+api.get('/api/docs', {
+  expressPath: '/api/docs',
+  summary: 'Interactive API documentation',
+  tags: ['System'],
+  produces: 'text/html'
+}, (req, res) => {
+  res.sendFile(path.join(__dirname, 'public/api-docs/index.html'));
+});
+app.use('/api/docs', express.static(path.join(__dirname, 'public/api-docs')));
+
+// Socket.IO clients authenticate in the handshake (`auth: { apiKey }`) and need the read scope
+io.use(authenticateSocket(apiKeys, 'read', authFailures));
+
+// WebSocket connection handling
+io.on('connection', (socket) => {
+  metrics.activeConnections++;
+  logger.info('Client connected', { socketId: socket.id, apiKeyId: socket.data.apiKey.id, namespace: socket.data.namespace });
+  socket.join(namespaceRoom(socket.data.namespace));
+
+  socket.emit('welcome', {
+    message: 'Connected to Helios Demo Backend',
+    serverVersion: require('./package.json').version,
+    scopes: socket.data.apiKey.scopes,
+    namespace: socket.data.namespace,
+    capabilities: [
+      'real-time-metrics',
+      'universe-creation',
+      'universe-subscriptions',
+      'universe-commands',
+      'universe-lifecycle',
+      'performance-analytics',
+      'live-operations'
+    ]
+  });
+
+  // Send initial metrics, server-wide for admin keys and namespace-scoped otherwise
+  const globalMetrics = ApiKeyStore.hasScope(socket.data.apiKey, 'admin');
+  if (globalMetrics) {
+    socket.emit('metrics:update', metrics);
+  } else {
+    getNamespaceMetrics(socket.data.namespace).then(update => socket.emit('metrics:update', update));
+  }
+
+  // Handle client requests
+  socket.on('metrics:subscribe', () => {
+    socket.join(globalMetrics ? GLOBAL_METRICS_ROOM : metricsRoom(socket.data.namespace));
+  });
+
+  // Universe events are opt-in: the whole namespace or specific universes, optionally only some event types.
+  // Both handlers acknowledge with the socket's resulting subscriptions when the client passes a callback.
+  socket.on('universes:subscribe', (...args) => {
+    const { payload, reply } = splitSocketArgs(args);
+    const { value, error } = validatePayload(schemas.universesSubscribe, payload);
+    if (error) {
+      socket.emit('error:validation', { event: 'universes:subscribe', ...error });
+      return reply({ success: false, ...error });
+    }
+
+    // Only universes in the socket's own namespace can be followed
+    const universeIds = [];
+    const details = [];
+    value.universeIds.forEach((id, index) => {
+      const universe = universeManager.getUniverse(id, socket.data.namespace);
+      if (universe) {
+        universeIds.push(universe.id);
+      } else {
+        details.push({ field: `universeIds.${index}`, message: `Universe ${id} not found`, type: 'universe.notFound' });
+      }
+    });
+    if (details.length > 0) {
+      socket.emit('error:validation', { event: 'universes:subscribe', error: 'Validation failed', details });
+      return reply({ success: false, error: 'Validation failed', details });
+    }
+
+    socket.join(subscriptionRooms(socket.data.namespace, { universeIds, events: value.events }));
+    reply({ success: true, subscriptions: listSubscriptions(socket) });
+  });
+
+  socket.on('universes:unsubscribe', (...args) => {
+    const { payload, reply } = splitSocketArgs(args);
+    const { value, error } = validatePayload(schemas.universesUnsubscribe, payload);
+    if (error) {
+      socket.emit('error:validation', { event: 'universes:unsubscribe', ...error });
+      return reply({ success: false, ...error });
+    }
+
+    for (const room of matchingRooms(socket, value)) {
+      socket.leave(room);
+    }
+    reply({ success: true, subscriptions: listSubscriptions(socket) });
+  });
+
+  // universe:create/fork/commit/restore/diff with results in the ack callback
+  registerSocketCommands(socket, {
+    commands: universeCommands,
+    logger,
+    rateLimit: SOCKET_COMMAND_RATE_LIMIT
+  });
+
+  socket.on('disconnect', () => {
+    metrics.activeConnections--;
+    logger.info('Client disconnected', { socketId: socket.id });
+  });
+});
+
+// Job progress goes to sockets in the job's namespace
+jobManager.on('progress', (job) => {
+  io.to(namespaceRoom(job.namespace)).emit('job:progress', {
+    ...job.getProgress(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+jobManager.on('completed', (job) => {
+  const { results, errors, ...summary } = job.serialize();
+  io.to(namespaceRoom(job.namespace)).emit('job:completed', {
+    ...summary,
+    timestamp: new Date().toISOString()
+  });
+  if (job.type === 'createUniverses' && results.length > 0) {
+    io.to(eventRooms(job.namespace, 'create')).emit('universes:created',
+      summarizeCreated(results.map(result => result.universeId), { jobId: job.id }));
+  }
+  logger.info('Job finished', { jobId: job.id, status: job.status, succeeded: job.succeeded, failed: job.failed });
+});
+
+// Status changes (pause, resume, archive, delete, TTL expiry) go to lifecycle subscribers
+heliosEngine.on('universeLifecycle', (transition) => {
+  io.to(eventRooms(transition.namespace, 'lifecycle', [transition.universeId])).emit('universe:lifecycle', {
+    ...transition,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// GC results go to each namespace that lost snapshots; object storage is shared, so totals are store-wide
+heliosEngine.on('snapshotsCollected', (report) => {
+  const { universes, ...totals } = report;
+  const namespaces = new Set(universes.map(entry => entry.namespace));
+  for (const namespace of namespaces) {
+    const affected = universes.filter(entry => entry.namespace === namespace);
+    io.to(namespaceRoom(namespace)).emit('gc:completed', {
+      ...totals,
+      universes: affected,
+      namespaceSnapshotsRemoved: affected.reduce((sum, entry) => sum + entry.removed.length, 0),
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Real-time metrics broadcasting: server-wide to admin subscribers, per namespace to the rest
+const metricsBroadcast = setInterval(async () => {
+  io.to(GLOBAL_METRICS_ROOM).emit('metrics:update', {
+    ...metrics,
+    timestamp: new Date().toISOString()
+  });
+
+  for (const room of io.of('/').adapter.rooms.keys()) {
+    if (!room.startsWith(`${GLOBAL_METRICS_ROOM}:`)) continue;
+    const namespace = room.slice(GLOBAL_METRICS_ROOM.length + 1);
+    io.to(room).emit('metrics:update', await getNamespaceMetrics(namespace));
+  }
+}, 1000);
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  logger.error('Unhandled error', {
+    error: err.message,
+    stack: err.stack,
+    requestId: req.requestId
+  });
+
+  // Body parser errors (oversized payloads, malformed JSON) carry a 4xx status
+  const status = err.status || err.statusCode || 500;
+  res.status(status).json({
+    success: false,
+    error: status < 500 || NODE_ENV !== 'production' ? err.message : 'Internal server error',
+    requestId: req.requestId
+  });
+});
+
+// 404 handler
+app.use((req, res) => {
+  res.status(404).json({
+    success: false,
+    error: 'Endpoint not found',
+    availableEndpoints: api.list(),
+    requestId: req.requestId
+  });
+});
+
+/**
+ * Stop background work once the HTTP server is closed: let running jobs
+ * settle, then flush the universe registry
+ */
+const stopServices = async () => {
+  clearInterval(metricsBroadcast);
+  performanceAnalytics.cleanup();
+  await jobManager.shutdown();
+  await heliosEngine.shutdown();
+};
+
+// Graceful shutdown
+const gracefulShutdown = (signal) => {
+  logger.info(`Received ${signal}, shutting down gracefully`);
+
+  server.close(async () => {
+    logger.info('HTTP server closed');
+    await stopServices();
+    process.exit(0);
+  });
+
+  // Force close server after 10 seconds
+  setTimeout(() => {
     logger.error('Could not close connections in time, forcefully shutting down');
     process.exit(1);
   }, 10000);
 };
 
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+// Start server once the engine is up; a backend that cannot start (e.g. a
+// missing CLI binary) is fatal rather than an unhandled rejection. Tests
+// require this module and drive `app` without listening.
+if (require.main === module) {
+  process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+  process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+
+  heliosEngine.ready.then(() => server.listen(PORT, () => {
+    logger.info('Helios Demo Backend started', {
+      port: PORT,
+      environment: NODE_ENV,
+      backend: HELIOS_BACKEND,
+      version: require('./package.json').version,
+      heliosVersion: heliosEngine.getVersion()
+    });
 
-// Start server
-server.listen(PORT, () => {
-  logger.info('Helios Demo Backend started', {
-    port: PORT,
-    environment: NODE_ENV,
-    version: require('./package.json').version,
-    heliosVersion: heliosEngine.getVersion()
+    console.log(`🚀 Helios Demo Backend running on port ${PORT}`);
+    console.log(`🌐 Environment: ${NODE_ENV}`);
+    console.log(`📊 WebSocket enabled for real-time updates`);
+    console.log(`🔧 Helios Engine integrated and ready`);
+  })).catch((error) => {
+    logger.error('Helios engine failed to start', { backend: HELIOS_BACKEND, error: error.message });
+    process.exit(1);
   });
+}
 
-  console.log(`🚀 Helios Demo Backend running on port ${PORT}`);
-  console.log(`🌐 Environment: ${NODE_ENV}`);
-  console.log(`📊 WebSocket enabled for real-time updates`);
-  console.log(`🔧 Helios Engine integrated and ready`);
-});
-
-module.exports = { app, server, io };
\ No newline at end of file
+module.exports = { app, server, io, heliosEngine, stopServices };
@@ -0,0 +1,183 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const request = require('supertest');
+
+describe('REST API', () => {
+    let workDir;
+    let server;
+
+    const KEYS = {
+        reader: 'read-key',
+        writer: 'write-key',
+        otherWriter: 'other-write-key',
+        admin: 'admin-key'
+    };
+
+    const createUniverse = async (key = KEYS.writer) => {
+        const res = await request(server.app).post('/api/universes/create').set('X-API-Key', key).send({ count: 1 });
+        expect(res.status).toBe(200);
+        return res.body.data.universes[0];
+    };
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'helios-server-test-'));
+        Object.assign(process.env, {
+            NODE_ENV: 'production',
+            LOG_DIR: workDir,
+            HELIOS_WORK_DIR: path.join(workDir, 'workspace'),
+            HELIOS_API_KEYS_FILE: path.join(workDir, 'api-keys.json'),
+            HELIOS_NAMESPACES_FILE: path.join(workDir, 'namespaces.json'),
+            HELIOS_API_KEYS: [
+                `reader:${KEYS.reader}:read:team-a`,
+                `writer:${KEYS.writer}:write:team-a`,
+                `other:${KEYS.otherWriter}:write:team-b`,
+                `root:${KEYS.admin}:admin`
+            ].join(',')
+        });
+        server = require('./server');
+        await server.heliosEngine.ready;
+    });
+
+    afterAll(async () => {
+        await server.stopServices();
+        await fs.rm(workDir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    describe('authentication', () => {
+        test('leaves the health check public', async () => {
+            const res = await request(server.app).get('/health');
+            expect(res.status).toBe(200);
+            expect(res.body.status).toBe('healthy');
+        });
+
+        test('answers 401 without a key and for an unknown key', async () => {
+            const missing = await request(server.app).get('/api/namespace');
+            expect(missing.status).toBe(401);
+            expect(missing.body).toMatchObject({ success: false, error: 'API key required' });
+
+            const invalid = await request(server.app).get('/api/namespace').set('X-API-Key', 'nope');
+            expect(invalid.status).toBe(401);
+            expect(invalid.body.error).toBe('Invalid API key');
+        });
+
+        test('accepts bearer tokens', async () => {
+            const res = await request(server.app).get('/api/namespace').set('Authorization', `Bearer ${KEYS.reader}`);
+            expect(res.status).toBe(200);
+            expect(res.body.data.namespace).toBe('team-a');
+        });
+
+        test('answers 403 when the key lacks the route scope', async () => {
+            const res = await request(server.app).post('/api/universes/create').set('X-API-Key', KEYS.reader).send({ count: 1 });
+            expect(res.status).toBe(403);
+            expect(res.body.error).toBe('API key reader lacks the write scope');
+        });
+
+        test('only lets admin keys pick another namespace', async () => {
+            const denied = await request(server.app).get('/api/namespace')
+                .set('X-API-Key', KEYS.writer).set('X-Helios-Namespace', 'team-b');
+            expect(denied.status).toBe(403);
+
+            const allowed = await request(server.app).get('/api/namespace')
+                .set('X-API-Key', KEYS.admin).set('X-Helios-Namespace', 'team-b');
+            expect(allowed.status).toBe(200);
+            expect(allowed.body.data.namespace).toBe('team-b');
+        });
+    });
+
+    describe('validation', () => {
+        test('answers 400 with field details before the handler runs', async () => {
+            const res = await request(server.app).post('/api/universes/create').set('X-API-Key', KEYS.writer).send({ count: 0 });
+            expect(res.status).toBe(400);
+            expect(res.body).toMatchObject({ success: false, error: 'Validation failed' });
+            expect(res.body.details).toEqual([expect.objectContaining({ field: 'body.count' })]);
+        });
+
+        test('requires operation params that have required fields', async () => {
+            const universe = await createUniverse();
+            const res = await request(server.app).post(`/api/universes/${universe.id}/operations`)
+                .set('X-API-Key', KEYS.writer).send({ operation: 'restore' });
+
+            expect(res.status).toBe(400);
+            expect(res.body.details).toEqual([expect.objectContaining({ field: 'body.params', type: 'any.required' })]);
+        });
+    });
+
+    describe('universes', () => {
+        test('creates and commits in the key\'s namespace', async () => {
+            const universe = await createUniverse();
+            expect(universe.namespace).toBe('team-a');
+
+            const res = await request(server.app).post(`/api/universes/${universe.id}/operations`)
+                .set('X-API-Key', KEYS.writer).send({ operation: 'commit', params: { message: 'first' } });
+            expect(res.status).toBe(200);
+            expect(res.body.data.snapshot).toMatchObject({ message: 'first', author: 'writer' });
+        });
+
+        test('hides universes of other namespaces', async () => {
+            const universe = await createUniverse();
+
+            const read = await request(server.app).get(`/api/universes/${universe.id}`).set('X-API-Key', KEYS.otherWriter);
+            expect(read.status).toBe(404);
+
+            const write = await request(server.app).post(`/api/universes/${universe.id}/operations`)
+                .set('X-API-Key', KEYS.otherWriter).send({ operation: 'commit' });
+            expect(write.status).toBe(404);
+        });
+
+        test('passes archive errors through with their status', async () => {
+            const universe = await createUniverse();
+            await request(server.app).patch(`/api/universes/${universe.id}`)
+                .set('X-API-Key', KEYS.writer).send({ status: 'paused' });
+
+            const res = await request(server.app).get(`/api/universes/${universe.id}/snapshots/${universe.snapshots[0]}/archive`)
+                .set('X-API-Key', KEYS.reader);
+            expect(res.status).toBe(409);
+            expect(res.body).toMatchObject({ success: false, details: { status: 'paused' } });
+        });
+
+        test('deletes only with an admin key and only by universe id', async () => {
+            const universe = await createUniverse();
+
+            const denied = await request(server.app).delete(`/api/universes/${universe.id}`).set('X-API-Key', KEYS.writer);
+            expect(denied.status).toBe(403);
+            expect(denied.body.error).toBe('API key writer lacks the admin scope');
+
+            const bySnapshot = await request(server.app).delete(`/api/universes/${universe.snapshots[0]}`)
+                .set('X-API-Key', KEYS.admin).set('X-Helios-Namespace', 'team-a');
+            expect(bySnapshot.status).toBe(404);
+
+            const deleted = await request(server.app).delete(`/api/universes/${universe.id}`)
+                .set('X-API-Key', KEYS.admin).set('X-Helios-Namespace', 'team-a');
+            expect(deleted.status).toBe(200);
+            expect(deleted.body.data).toMatchObject({ universeId: universe.id, deleted: true });
+        });
+    });
+
+    describe('metrics', () => {
+        test('only shows the caller\'s namespace to non-admin keys', async () => {
+            await createUniverse();
+
+            const own = await request(server.app).get('/api/metrics').set('X-API-Key', KEYS.reader);
+            expect(own.status).toBe(200);
+            expect(own.body.data).toMatchObject({ namespace: 'team-a', universes: { total: expect.any(Number) } });
+            expect(own.body.data).not.toHaveProperty('helios');
+            expect(own.body.data).not.toHaveProperty('system');
+
+            const other = await request(server.app).get('/api/metrics').set('X-API-Key', KEYS.otherWriter);
+            expect(other.body.data.universes.total).toBe(0);
+        });
+
+        test('keeps the server-wide view for admin keys', async () => {
+            const res = await request(server.app).get('/api/metrics').set('X-API-Key', KEYS.admin);
+            expect(res.status).toBe(200);
+            expect(res.body.data).toHaveProperty('helios');
+            expect(res.body.data).toHaveProperty('system');
+
+            const scrape = await request(server.app).get('/metrics').set('X-API-Key', KEYS.reader);
+            expect(scrape.status).toBe(403);
+        });
+    });
+});